@@ -0,0 +1,171 @@
+/**
+ * Account Model
+ * A user's balance in one currency. Users can keep several accounts per
+ * currency (e.g. "Savings" and "Bills" pots); User.balances and
+ * User.heldBalances are the totals across them.
+ *
+ * Each user has one primary account per currency, created the first time
+ * it is needed and opened with whatever the user held in that currency until
+ * then. Journal postings that name no account belong to the primary account.
+ * Only services/ledgerService.js and holdService.js change `balance` and
+ * `heldBalance`.
+ *
+ * Every account gets an account number others can pay into (see
+ * utils/bankIdentifiers.js); GBP and EUR accounts also get an IBAN.
+ */
+
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/currencies');
+const { ACCOUNT_TYPES } = require('../config/ledger');
+const { IBAN_COUNTRIES } = require('../config/bank');
+const money = require('../utils/money');
+const { generateAccountNumber, issueIban } = require('../utils/bankIdentifiers');
+
+// Attempts at drawing an unused account number before giving up
+const ACCOUNT_NUMBER_ATTEMPTS = 5;
+
+const accountSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    enum: ACCOUNT_TYPES,
+    default: 'current'
+  },
+  // Frozen accounts can receive money but not pay it out; closed ones neither
+  status: {
+    type: String,
+    enum: ['active', 'frozen', 'closed'],
+    default: 'active'
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  accountNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  iban: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  balance: money.amountType({ default: '0' }),
+  heldBalance: money.amountType({ default: '0' }),
+  closedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes
+accountSchema.index({ user: 1, currency: 1, isPrimary: 1 }, { unique: true, partialFilterExpression: { isPrimary: true } });
+
+// Available balance = balance - heldBalance
+accountSchema.virtual('available').get(function() {
+  if (!money.isSupported(this.currency)) return undefined;
+  return money.subtract(this.balance || '0', this.heldBalance || '0', this.currency);
+});
+
+// Static method to draw an unused account number, with the IBAN that goes
+// with it for currencies that have one
+accountSchema.statics.generateIdentifiers = async function(currency, session) {
+  for (let attempt = 0; attempt < ACCOUNT_NUMBER_ATTEMPTS; attempt++) {
+    const accountNumber = generateAccountNumber();
+
+    if (!(await this.exists({ accountNumber }).session(session || null))) {
+      const country = IBAN_COUNTRIES[currency];
+      return country ? { accountNumber, iban: issueIban(country, accountNumber) } : { accountNumber };
+    }
+  }
+
+  throw new Error('Could not generate an unused account number');
+};
+
+// Number new accounts before saving
+accountSchema.pre('save', async function(next) {
+  if (this.isNew && !this.accountNumber) {
+    Object.assign(this, await this.constructor.generateIdentifiers(this.currency, this.$session()));
+  }
+  next();
+});
+
+// Static method to get a user's primary account in a currency, creating it if
+// needed. A new primary account opens with the user's whole balance and held
+// amount in the currency, which is right because no other account in the
+// currency can exist before it. Resolves null for an unknown user.
+accountSchema.statics.ensurePrimary = async function(userId, currency, session) {
+  const existing = await this.findOne({ user: userId, currency, isPrimary: true }).session(session || null);
+  if (existing) return existing;
+
+  const user = await mongoose.model('User').findById(userId).session(session || null);
+  if (!user) return null;
+
+  const { ledger, held } = user.getBalance(currency);
+  const identifiers = await this.generateIdentifiers(currency, session);
+
+  return this.findOneAndUpdate(
+    { user: user._id, currency, isPrimary: true },
+    {
+      $setOnInsert: {
+        ...identifiers,
+        name: `${currency} Current`,
+        type: 'current',
+        status: 'active',
+        balance: money.toDecimal128(ledger, currency),
+        heldBalance: money.toDecimal128(held, currency)
+      }
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+// Static method to get a user's accounts, creating the primary account of
+// every currency the user holds money in and numbering accounts opened before
+// account numbers existed
+accountSchema.statics.getUserAccounts = async function(user, { includeClosed = false, session } = {}) {
+  for (const currency of CURRENCIES) {
+    const { ledger, held } = user.getBalance(currency);
+    if (!money.isZero(ledger, currency) || !money.isZero(held, currency)) {
+      await this.ensurePrimary(user._id, currency, session);
+    }
+  }
+
+  const unnumbered = await this.find({ user: user._id, accountNumber: { $exists: false } }).session(session || null);
+  for (const account of unnumbered) {
+    await this.updateOne(
+      { _id: account._id, accountNumber: { $exists: false } },
+      { $set: await this.generateIdentifiers(account.currency, session) },
+      { session }
+    );
+  }
+
+  const query = { user: user._id };
+  if (!includeClosed) query.status = { $ne: 'closed' };
+
+  return this.find(query)
+    .sort({ currency: 1, isPrimary: -1, createdAt: 1 })
+    .session(session || null);
+};
+
+module.exports = mongoose.model('Account', accountSchema);
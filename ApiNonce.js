@@ -0,0 +1,47 @@
+/**
+ * ApiNonce Model
+ * Nonces seen on signed API key requests, kept until they can no longer
+ * pass the timestamp check
+ */
+
+const mongoose = require('mongoose');
+
+const apiNonceSchema = new mongoose.Schema({
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiNonceSchema.index({ apiKey: 1, nonce: 1 }, { unique: true });
+
+// TTL index - drop nonces once they are outside the replay window
+apiNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a nonce; resolves false if it was already used
+apiNonceSchema.statics.consume = async function(apiKeyId, nonce, ttlMs) {
+  try {
+    await this.create({
+      apiKey: apiKeyId,
+      nonce,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ApiNonce', apiNonceSchema);
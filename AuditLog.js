@@ -11,6 +11,12 @@ const auditLogSchema = new mongoose.Schema({
     ref: 'User',
     index: true
   },
+  // Staff member acting as `user` through an impersonation session
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   action: {
     type: String,
     required: true,
@@ -18,6 +24,9 @@ const auditLogSchema = new mongoose.Schema({
       'login',
       'logout',
       'register',
+      'password_reset_request',
+      'password_reset',
+      'email_verify',
       'send_money',
       'receive_money',
       'transfer',
@@ -31,16 +40,48 @@ const auditLogSchema = new mongoose.Schema({
       'trading_profit',
       'api_key_create',
       'api_key_delete',
+      'api_key_rotate',
       'profile_update',
       'settings_update',
+      'two_factor_enable',
+      'two_factor_disable',
+      'session_revoke',
+      'impersonation_start',
+      'impersonation_end',
+      'impersonation_request',
+      'step_up',
       'admin_action',
-      'security_alert'
+      'role_change',
+      'security_alert',
+      'hold_capture',
+      'hold_release',
+      'hold_expire',
+      'international_submit',
+      'international_in_transit',
+      'international_complete',
+      'international_fail',
+      'international_return',
+      'transaction_cancel',
+      'transaction_reverse',
+      'adjustment_propose',
+      'adjustment_approve',
+      'adjustment_reject',
+      'adjustment_expire',
+      'account_open',
+      'account_update',
+      'account_close',
+      'account_status',
+      'account_move',
+      'scheduled_payment_create',
+      'scheduled_payment_update',
+      'scheduled_payment_cancel',
+      'scheduled_payment_skip'
     ],
     index: true
   },
   entityType: {
     type: String,
-    enum: ['user', 'transaction', 'wallet', 'mining', 'trading', 'notification', 'apiKey']
+    enum: ['user', 'transaction', 'wallet', 'mining', 'trading', 'notification', 'apiKey', 'session', 'hold', 'adjustment', 'account', 'scheduledPayment']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId
@@ -80,12 +121,12 @@ auditLogSchema.index({ createdAt: -1 });
 // TTL index - auto-delete logs older than 1 year
 auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 31536000 });
 
-// Static method to create audit log
-auditLogSchema.statics.createLog = function(data) {
-  return this.create({
+// Static method to create audit log (pass { session } to write it in a transaction)
+auditLogSchema.statics.createLog = function(data, options = {}) {
+  return new this({
     ...data,
     metadata: new Map(Object.entries(data.metadata || {}))
-  });
+  }).save(options);
 };
 
 // Static method to get user activity logs
@@ -0,0 +1,89 @@
+/**
+ * BalanceAdjustment Model
+ * A manual balance adjustment proposed by one staff member. It posts only once
+ * a second staff member approves it; until then it can be rejected, and it
+ * expires if nobody acts on it in time.
+ */
+
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/currencies');
+const { ADJUSTMENT_REASONS } = require('../config/ledger');
+const money = require('../utils/money');
+
+const balanceAdjustmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  // The change to post: a credit or a debit of `amount`
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: money.amountType({ required: true }),
+  // Balance when proposed and the balance the proposer asked for
+  proposedFrom: money.amountType({ required: true }),
+  proposedTo: money.amountType({ required: true }),
+  reasonCode: {
+    type: String,
+    enum: Object.keys(ADJUSTMENT_REASONS),
+    required: true
+  },
+  note: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String
+  },
+  // Set on approval: the balance before and after posting
+  balanceBefore: money.amountType(),
+  balanceAfter: money.amountType(),
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes
+balanceAdjustmentSchema.index({ status: 1, createdAt: -1 });
+balanceAdjustmentSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('BalanceAdjustment', balanceAdjustmentSchema);
@@ -0,0 +1,68 @@
+/**
+ * BalanceDiscrepancy Model
+ * A mismatch found by the reconciliation job between a user's cached balance
+ * and the ledger (kind 'balance'), or between the cached held amount and the
+ * active holds (kind 'held'). Stays open until a run finds the figures agree.
+ */
+
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/currencies');
+
+const balanceDiscrepancySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  kind: {
+    type: String,
+    enum: ['balance', 'held'],
+    required: true
+  },
+  // Decimal strings as found; `actual` may carry float drift beyond the currency's precision
+  expected: {
+    type: String,
+    required: true
+  },
+  actual: {
+    type: String,
+    required: true
+  },
+  difference: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  detections: {
+    type: Number,
+    default: 1
+  },
+  firstDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+balanceDiscrepancySchema.index({ status: 1, lastDetectedAt: -1 });
+balanceDiscrepancySchema.index({ user: 1, currency: 1, kind: 1, status: 1 });
+
+module.exports = mongoose.model('BalanceDiscrepancy', balanceDiscrepancySchema);
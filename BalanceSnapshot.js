@@ -0,0 +1,37 @@
+/**
+ * BalanceSnapshot Model
+ * A user's ledger balance in one currency at the end of a day (UTC),
+ * written by services/balanceSnapshotService.js
+ */
+
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/currencies');
+const { amountType } = require('../utils/money');
+
+const balanceSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  // Midnight UTC of the day; the balance includes everything posted before the next midnight
+  date: {
+    type: Date,
+    required: true
+  },
+  balance: amountType({ required: true })
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes
+balanceSnapshotSchema.index({ user: 1, currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('BalanceSnapshot', balanceSnapshotSchema);
@@ -0,0 +1,112 @@
+/**
+ * Hold Model
+ * Funds reserved for a pending operation. An active hold lowers the user's
+ * available balance but not the ledger balance; it ends captured (posted to
+ * the ledger), released, or expired.
+ */
+
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/currencies');
+const { SYSTEM_ACCOUNTS, ENTRY_TYPES } = require('../config/ledger');
+const money = require('../utils/money');
+
+const holdSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  amount: money.amountType({ required: true }),
+  status: {
+    type: String,
+    enum: ['active', 'captured', 'released', 'expired'],
+    default: 'active'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  // Account the funds are held in; holds placed before accounts existed have
+  // none and belong to the user's primary account in the currency
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // What capturing the hold posts: the entry type and the system account credited
+  entryType: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  settlementAccount: {
+    type: String,
+    enum: Object.keys(SYSTEM_ACCOUNTS),
+    required: true
+  },
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  capturedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes
+holdSchema.index({ user: 1, status: 1 });
+holdSchema.index({ status: 1, expiresAt: 1 });
+holdSchema.index({ transaction: 1 });
+
+// Static method to total a user's active holds per currency
+holdSchema.statics.getActiveTotals = async function(userId, session) {
+  const totals = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: 'active' } },
+    { $group: { _id: '$currency', total: { $sum: '$amount' } } }
+  ]).session(session || null);
+
+  const held = Object.fromEntries(CURRENCIES.map(currency => [currency, money.fromMinor(0n, currency)]));
+  totals.forEach(({ _id, total }) => { held[_id] = money.normalize(total.toString(), _id); });
+
+  return held;
+};
+
+// Static method to total a user's active holds per account, as
+// [{ account, currency, total }]; `account` is null for holds without one
+holdSchema.statics.getActiveTotalsByAccount = async function(userId, session) {
+  const totals = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: 'active' } },
+    { $group: { _id: { account: { $ifNull: ['$account', null] }, currency: '$currency' }, total: { $sum: '$amount' } } }
+  ]).session(session || null);
+
+  return totals.map(({ _id, total }) => ({
+    account: _id.account,
+    currency: _id.currency,
+    total: money.normalize(total.toString(), _id.currency)
+  }));
+};
+
+module.exports = mongoose.model('Hold', holdSchema);
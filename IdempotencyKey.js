@@ -0,0 +1,138 @@
+/**
+ * IdempotencyKey Model
+ * The first response to a request sent with an Idempotency-Key header, kept
+ * per user and key so retries replay it instead of moving money again
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and validated body; a retry must match it
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // While processing: until when the request holding the key is presumed alive.
+  // After that a retry takes the key over, e.g. when the first request crashed.
+  lockedUntil: {
+    type: Date
+  },
+  // Identifies the request holding the key; changes when a retry takes it over
+  lockToken: {
+    type: String
+  },
+  responseStatus: {
+    type: Number
+  },
+  // Response body as sent, replayed verbatim
+  responseBody: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+// TTL index - forget keys once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a key for a request, holding it for `leaseMs` while
+// the request runs. Resolves { record, created }; when the key is already
+// taken, `record` is the existing one. A key still processing past its lease
+// is taken over by an identical request (created: true) with a new lockToken,
+// so the request it was taken from can no longer complete it.
+idempotencyKeySchema.statics.claim = async function({ userId, key, method, path, requestHash, ttlMs, leaseMs }) {
+  const data = {
+    user: userId,
+    key,
+    method,
+    path,
+    requestHash,
+    lockedUntil: new Date(Date.now() + leaseMs),
+    lockToken: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+
+  try {
+    return { record: await this.create(data), created: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // The TTL monitor runs once a minute; treat an expired key as free
+  const removed = await this.deleteOne({ user: userId, key, expiresAt: { $lte: new Date() } });
+  if (removed.deletedCount > 0) {
+    return this.claim({ userId, key, method, path, requestHash, ttlMs, leaseMs });
+  }
+
+  const takenOver = await this.findOneAndUpdate(
+    { user: userId, key, requestHash, status: 'processing', lockedUntil: { $not: { $gt: new Date() } } },
+    { $set: { lockedUntil: data.lockedUntil, lockToken: data.lockToken } },
+    { new: true }
+  );
+  if (takenOver) {
+    return { record: takenOver, created: true };
+  }
+
+  const record = await this.findOne({ user: userId, key });
+  if (!record) {
+    return this.claim({ userId, key, method, path, requestHash, ttlMs, leaseMs });
+  }
+
+  return { record, created: false };
+};
+
+// Static method to mark a key completed with its response, if `lockToken`
+// still holds it. Pass the `session` of the transaction that moved the money so
+// the response is stored exactly when the movement commits. Resolves whether
+// the key was completed.
+idempotencyKeySchema.statics.complete = async function({ id, lockToken, responseStatus, responseBody, session }) {
+  const result = await this.updateOne(
+    { _id: id, status: 'processing', lockToken },
+    {
+      $set: {
+        status: 'completed',
+        responseStatus,
+        responseBody,
+        completedAt: new Date()
+      }
+    },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const IdempotencyKey = require('./IdempotencyKey');
+
+const claimFor = userId => ({
+  userId,
+  key: 'order-42',
+  method: 'POST',
+  path: '/api/transactions/send',
+  requestHash: 'hash-1',
+  ttlMs: 24 * 60 * 60 * 1000,
+  leaseMs: 60 * 1000
+});
+
+// The error MongoDB raises when the key already exists
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('IdempotencyKey', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('claim', () => {
+    it('creates the key with a lease and a lock token of its own', async () => {
+      jest.spyOn(IdempotencyKey, 'create').mockImplementation(async data => data);
+
+      const { record, created } = await IdempotencyKey.claim(claimFor(userId));
+
+      expect(created).toBe(true);
+      expect(record.lockToken).toMatch(/^[0-9a-f]{32}$/);
+      expect(record.lockedUntil.getTime()).toBeGreaterThan(Date.now() + 59 * 1000);
+    });
+
+    it('returns the existing key while its request is still running', async () => {
+      const existing = { status: 'processing', lockToken: 'first' };
+      jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(existing);
+
+      await expect(IdempotencyKey.claim(claimFor(userId))).resolves.toEqual({ record: existing, created: false });
+    });
+
+    it('takes over a key whose lease ran out, with a new lock token', async () => {
+      jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(duplicateKey());
+      IdempotencyKey.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...update.$set }));
+
+      const { record, created } = await IdempotencyKey.claim(claimFor(userId));
+
+      const [filter] = IdempotencyKey.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ user: userId, key: 'order-42', requestHash: 'hash-1', status: 'processing', lockedUntil: { $not: { $gt: expect.any(Date) } } });
+      expect(created).toBe(true);
+      expect(record.lockToken).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    it('claims the key afresh once it has expired', async () => {
+      const create = jest.spyOn(IdempotencyKey, 'create')
+        .mockRejectedValueOnce(duplicateKey())
+        .mockImplementationOnce(async data => data);
+      IdempotencyKey.deleteOne.mockResolvedValueOnce({ deletedCount: 1 });
+
+      await expect(IdempotencyKey.claim(claimFor(userId))).resolves.toMatchObject({ created: true });
+      expect(create).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('complete', () => {
+    it('stores the response only while its lock token still holds the key', async () => {
+      jest.spyOn(IdempotencyKey, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+      const session = {};
+      const id = new mongoose.Types.ObjectId();
+
+      await expect(IdempotencyKey.complete({ id, lockToken: 't1', responseStatus: 200, responseBody: '{}', session })).resolves.toBe(true);
+      await expect(IdempotencyKey.complete({ id, lockToken: 'stale', responseStatus: 200, responseBody: '{}', session })).resolves.toBe(false);
+
+      const [filter, update, options] = IdempotencyKey.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: id, status: 'processing', lockToken: 't1' });
+      expect(update.$set).toMatchObject({ status: 'completed', responseStatus: 200, responseBody: '{}' });
+      expect(options).toEqual({ session });
+    });
+  });
+});
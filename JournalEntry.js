@@ -0,0 +1,264 @@
+/**
+ * JournalEntry Model
+ * A double-entry ledger movement. Postings in each currency must balance:
+ * total debits equal total credits. A user account's balance is its credits
+ * minus its debits.
+ */
+
+const mongoose = require('mongoose');
+const { SYSTEM_ACCOUNTS, ENTRY_TYPES } = require('../config/ledger');
+const { CURRENCIES } = require('../config/currencies');
+const money = require('../utils/money');
+
+// Check that debits equal credits in every currency, to the smallest unit
+function isBalanced(postings) {
+  const totals = {};
+
+  for (const posting of postings) {
+    const amount = money.toMinor(posting.amount, posting.currency);
+    totals[posting.currency] = (totals[posting.currency] || 0n) + (posting.direction === 'debit' ? amount : -amount);
+  }
+
+  return Object.values(totals).every(total => total === 0n);
+}
+
+const postingSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['user', 'system'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.accountType === 'user'; }
+  },
+  // The user's account (models/Account.js); postings without one belong to
+  // the user's primary account in the currency
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  systemAccount: {
+    type: String,
+    enum: Object.keys(SYSTEM_ACCOUNTS),
+    required: function() { return this.accountType === 'system'; }
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: CURRENCIES
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: money.amountType({
+    required: true,
+    validate: {
+      validator: function(value) {
+        return money.toMinor(value, this.currency) > 0n;
+      },
+      message: 'Posting amounts must be positive and fit the currency precision'
+    }
+  })
+}, {
+  _id: false,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    validate: [
+      {
+        validator: postings => postings.length >= 2,
+        message: 'A journal entry needs at least two postings'
+      },
+      {
+        validator: isBalanced,
+        message: 'Debits and credits must balance in every currency'
+      }
+    ]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Indexes
+journalEntrySchema.index({ 'postings.user': 1, createdAt: -1 });
+journalEntrySchema.index({ 'postings.systemAccount': 1, createdAt: -1 });
+journalEntrySchema.index({ transaction: 1 });
+journalEntrySchema.index({ type: 1, createdAt: -1 });
+
+// Journal entries are append-only; corrections are new entries
+journalEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Journal entries cannot be modified or deleted'));
+});
+
+// Static method to get a user's balance per currency from the journal
+journalEntrySchema.statics.getUserBalances = async function(userId, session) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const totals = await this.aggregate([
+    { $match: { 'postings.user': id } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountType': 'user', 'postings.user': id } },
+    {
+      $group: {
+        _id: '$postings.currency',
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$postings.direction', 'credit'] },
+              '$postings.amount',
+              { $multiply: ['$postings.amount', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]).session(session || null);
+
+  const balances = Object.fromEntries(CURRENCIES.map(currency => [currency, money.fromMinor(0n, currency)]));
+  // Rounded because entries posted before amounts were Decimal128 may hold binary floats
+  totals.forEach(({ _id, balance }) => { balances[_id] = money.normalize(balance.toString(), _id, 'half_even'); });
+
+  return balances;
+};
+
+// Static method to get a user's balance per account from the journal, as
+// [{ account, currency, balance }]; `account` is null for postings to the primary account
+journalEntrySchema.statics.getAccountBalances = async function(userId, session) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const totals = await this.aggregate([
+    { $match: { 'postings.user': id } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountType': 'user', 'postings.user': id } },
+    {
+      $group: {
+        _id: { account: { $ifNull: ['$postings.account', null] }, currency: '$postings.currency' },
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ['$postings.direction', 'credit'] },
+              '$postings.amount',
+              { $multiply: ['$postings.amount', -1] }
+            ]
+          }
+        }
+      }
+    }
+  ]).session(session || null);
+
+  // Rounded because entries posted before amounts were Decimal128 may hold binary floats
+  return totals.map(({ _id, balance }) => ({
+    account: _id.account,
+    currency: _id.currency,
+    balance: money.normalize(balance.toString(), _id.currency, 'half_even')
+  }));
+};
+
+// Static method to get a user's journal entries, most recent first
+journalEntrySchema.statics.getUserEntries = function(userId, options = {}) {
+  const { limit = 50, offset = 0, currency } = options;
+
+  const query = { 'postings.user': userId };
+  if (currency) query['postings.currency'] = currency;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(offset)
+    .exec();
+};
+
+// Static method to get the signed amounts (credits positive, in minor units) of
+// a user's postings in one currency created in [from, before), oldest first
+journalEntrySchema.statics.getUserPostings = async function(userId, currency, { from, before } = {}) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const match = { postings: { $elemMatch: { user: id, currency } } };
+  if (from || before) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (before) match.createdAt.$lt = before;
+  }
+
+  const postings = await this.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1 } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountType': 'user', 'postings.user': id, 'postings.currency': currency } },
+    { $project: { createdAt: 1, direction: '$postings.direction', amount: '$postings.amount' } }
+  ]);
+
+  return postings.map(({ createdAt, direction, amount }) => {
+    // Rounded because entries posted before amounts were Decimal128 may hold binary floats
+    const minor = money.toMinor(amount.toString(), currency, 'half_even');
+    return { createdAt, amount: direction === 'credit' ? minor : -minor };
+  });
+};
+
+// Static method to total a user's postings in one currency by entry type,
+// showing what a balance is made of (sends, mining rewards, adjustments, ...)
+journalEntrySchema.statics.getUserTotalsByType = async function(userId, currency) {
+  const id = new mongoose.Types.ObjectId(String(userId));
+
+  const totals = await this.aggregate([
+    { $match: { postings: { $elemMatch: { user: id, currency } } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.accountType': 'user', 'postings.user': id, 'postings.currency': currency } },
+    {
+      $group: {
+        _id: { type: '$type', direction: '$postings.direction' },
+        total: { $sum: '$postings.amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byType = {};
+  totals.forEach(({ _id, total, count }) => {
+    const entry = byType[_id.type] || { credits: '0', debits: '0', count: 0 };
+    entry[_id.direction === 'credit' ? 'credits' : 'debits'] = money.normalize(total.toString(), currency, 'half_even');
+    entry.count += count;
+    byType[_id.type] = entry;
+  });
+
+  Object.values(byType).forEach(entry => {
+    entry.credits = money.normalize(entry.credits, currency);
+    entry.debits = money.normalize(entry.debits, currency);
+    entry.net = money.subtract(entry.credits, entry.debits, currency);
+  });
+
+  return byType;
+};
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
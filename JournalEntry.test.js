@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('./JournalEntry');
+const ledgerService = require('../services/ledgerService');
+
+const { move, userAccount, systemAccount, toAmount, LedgerError } = ledgerService;
+
+const userId = new mongoose.Types.ObjectId();
+
+// Validation errors of an entry with the given postings, keyed by path
+function validate(postings) {
+  const error = new JournalEntry({ type: 'adjustment', description: 'Test', postings }).validateSync();
+  return error ? error.errors : {};
+}
+
+describe('JournalEntry', () => {
+  it('accepts postings that balance in every currency', () => {
+    const postings = [
+      ...move(systemAccount('external_clearing'), userAccount(userId), 'USD', '10.5'),
+      ...move(userAccount(userId), systemAccount('suspense'), 'BTC', '0.00000001')
+    ];
+
+    expect(validate(postings)).toEqual({});
+  });
+
+  it('rejects postings whose debits and credits differ', () => {
+    const [debit, credit] = move(systemAccount('external_clearing'), userAccount(userId), 'USD', '10.00');
+    const errors = validate([debit, { ...credit, amount: '10.01' }]);
+
+    expect(errors.postings.message).toBe('Debits and credits must balance in every currency');
+  });
+
+  it('rejects entries balanced only across currencies', () => {
+    const [debit] = move(systemAccount('external_clearing'), userAccount(userId), 'USD', '10.00');
+    const [, credit] = move(systemAccount('external_clearing'), userAccount(userId), 'EUR', '10.00');
+
+    expect(validate([debit, credit]).postings.message).toBe('Debits and credits must balance in every currency');
+  });
+
+  it('rejects entries with a single posting', () => {
+    const [debit] = move(systemAccount('external_clearing'), userAccount(userId), 'USD', '10.00');
+
+    expect(validate([debit]).postings).toBeDefined();
+  });
+
+  it('rejects amounts beyond the currency precision', () => {
+    const postings = [
+      { ...systemAccount('external_clearing'), currency: 'USD', direction: 'debit', amount: '0.001' },
+      { ...userAccount(userId), currency: 'USD', direction: 'credit', amount: '0.001' }
+    ];
+
+    expect(Object.keys(validate(postings))).not.toHaveLength(0);
+  });
+});
+
+describe('ledgerService.toAmount', () => {
+  it('normalizes positive amounts', () => {
+    expect(toAmount('5', 'USD')).toBe('5.00');
+    expect(toAmount('0.00000001', 'BTC')).toBe('0.00000001');
+  });
+
+  it('rejects zero, negative and over-precise amounts', () => {
+    for (const value of ['0', '-1', '0.001', 'ten']) {
+      expect(() => toAmount(value, 'USD')).toThrow(LedgerError);
+    }
+
+    let error;
+    try {
+      toAmount('0', 'USD');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ code: 'INVALID_AMOUNT', statusCode: 400 });
+  });
+});
@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { amountType } = require('../utils/money');
 
 const miningSchema = new mongoose.Schema({
   user: {
@@ -35,14 +36,8 @@ const miningSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
-  targetAmount: {
-    type: Number,
-    required: true
-  },
-  minedAmount: {
-    type: Number,
-    default: 0
-  },
+  targetAmount: amountType({ required: true }),
+  minedAmount: amountType({ default: '0' }),
   startTime: {
     type: Date,
     default: Date.now
@@ -64,8 +59,8 @@ const miningSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Indexes
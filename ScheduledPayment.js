@@ -0,0 +1,99 @@
+/**
+ * ScheduledPayment Model
+ * A standing order: a payment to another user of the platform made once on a
+ * future date or repeatedly (daily, weekly, monthly or on the last business
+ * day of each month) until an end date or a number of occurrences.
+ * services/scheduledPaymentService.js makes the payments; each attempt is kept
+ * as a ScheduledPaymentExecution.
+ */
+
+const mongoose = require('mongoose');
+const { FIAT_CURRENCIES } = require('../config/currencies');
+const { PAYMENT_FREQUENCIES } = require('../config/ledger');
+const money = require('../utils/money');
+
+const scheduledPaymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: FIAT_CURRENCIES
+  },
+  amount: money.amountType({ required: true }),
+  // The recipient as the user addressed them, and who that resolved to when
+  // the order was set up; payments keep going to that user and account
+  recipient: {
+    type: String,
+    required: true
+  },
+  recipientUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  // Account the payments leave; the primary account in the currency if not set
+  fromAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 140
+  },
+  frequency: {
+    type: String,
+    enum: PAYMENT_FREQUENCIES,
+    required: true
+  },
+  // First payment; later ones keep its time of day (UTC) and, for monthly orders, its day of the month
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  maxOccurrences: {
+    type: Number,
+    min: 1
+  },
+  // Occurrences run so far, paid or skipped
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  nextRunAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes
+scheduledPaymentSchema.index({ status: 1, nextRunAt: 1 });
+scheduledPaymentSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScheduledPayment', scheduledPaymentSchema);
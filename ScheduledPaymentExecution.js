@@ -0,0 +1,64 @@
+/**
+ * ScheduledPaymentExecution Model
+ * One occurrence of a scheduled payment: paid (with its transaction) or
+ * skipped (with the reason, e.g. insufficient balance). There is at most one
+ * per order and due date, so an occurrence is never paid twice.
+ */
+
+const mongoose = require('mongoose');
+const { FIAT_CURRENCIES } = require('../config/currencies');
+const money = require('../utils/money');
+
+const scheduledPaymentExecutionSchema = new mongoose.Schema({
+  scheduledPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledPayment',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // When the occurrence was due, and which one it was (1 for the first)
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  occurrence: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: FIAT_CURRENCIES
+  },
+  amount: money.amountType({ required: true }),
+  status: {
+    type: String,
+    enum: ['paid', 'skipped'],
+    required: true
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Why a skipped occurrence was not paid
+  code: {
+    type: String
+  },
+  reason: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+// Indexes
+scheduledPaymentExecutionSchema.index({ scheduledPayment: 1, dueAt: 1 }, { unique: true });
+scheduledPaymentExecutionSchema.index({ scheduledPayment: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ScheduledPaymentExecution', scheduledPaymentExecutionSchema);
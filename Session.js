@@ -0,0 +1,264 @@
+/**
+ * Session Model
+ * A login session and its refresh token family. Every refresh rotates the
+ * token id; presenting an older token from the same family revokes it.
+ */
+
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currentTokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastRotatedAt: {
+    type: Date
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  elevatedUntil: {
+    type: Date
+  },
+  elevatedMethod: {
+    type: String,
+    enum: ['password', 'totp', 'backup_code']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'user_revoked', 'admin_revoked', 'password_reset', 'impersonation_ended']
+  },
+  // Set when staff are viewing the app as this user
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  impersonationMode: {
+    type: String,
+    enum: ['read_only', 'full']
+  },
+  impersonationReason: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// TTL index - remove sessions once the refresh token family has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Sessions are touched at most once per interval to avoid a write per request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Virtual for a readable device description parsed from the user agent
+sessionSchema.virtual('device').get(function() {
+  return describeDevice(this.userAgent);
+});
+
+// Refresh token lifetime in milliseconds (JWT_REFRESH_EXPIRE in days, e.g. "30d")
+function refreshLifetimeMs() {
+  const days = parseInt(process.env.JWT_REFRESH_EXPIRE) || 30;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Method to check if the user re-authenticated on this session recently
+sessionSchema.methods.isElevated = function() {
+  return !!(this.elevatedUntil && this.elevatedUntil > Date.now());
+};
+
+// Method to check if staff are impersonating the user on this session
+sessionSchema.methods.isImpersonation = function() {
+  return !!this.impersonator;
+};
+
+// Static method to start a new session for a user
+sessionSchema.statics.start = function(userId, { ipAddress, userAgent } = {}) {
+  return this.create({
+    user: userId,
+    currentTokenId: uuidv4(),
+    ipAddress,
+    userAgent,
+    expiresAt: new Date(Date.now() + refreshLifetimeMs())
+  });
+};
+
+// Static method to start a short-lived session in which an admin acts as a user
+sessionSchema.statics.startImpersonation = function(userId, adminId, { mode, reason, minutes, ipAddress, userAgent }) {
+  return this.create({
+    user: userId,
+    currentTokenId: uuidv4(),
+    impersonator: adminId,
+    impersonationMode: mode,
+    impersonationReason: reason,
+    ipAddress,
+    userAgent,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+};
+
+// Static method to record activity on a session
+sessionSchema.statics.touch = function(session, { ipAddress, userAgent } = {}) {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) {
+    return Promise.resolve();
+  }
+
+  return this.updateOne(
+    { _id: session._id },
+    {
+      $set: {
+        lastSeenAt: new Date(),
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && { userAgent })
+      }
+    }
+  );
+};
+
+// Static method to get a user's active sessions, most recently used first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to count active sessions across all users
+sessionSchema.statics.countActive = function() {
+  return this.countDocuments({
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to rotate a session's refresh token.
+// Succeeds only if `tokenId` is still the current token of an active session;
+// returns the new token id, or null if the token was already rotated or revoked.
+sessionSchema.statics.rotate = async function(sessionId, tokenId, { ipAddress, userAgent } = {}) {
+  const nextTokenId = uuidv4();
+
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      currentTokenId: tokenId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        currentTokenId: nextTokenId,
+        lastRotatedAt: new Date(),
+        expiresAt: new Date(Date.now() + refreshLifetimeMs()),
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && { userAgent })
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  return session ? nextTokenId : null;
+};
+
+// Static method to mark a session as recently re-authenticated
+sessionSchema.statics.elevate = async function(sessionId, method, minutes) {
+  const elevatedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await this.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { elevatedUntil, elevatedMethod: method } }
+  );
+
+  return elevatedUntil;
+};
+
+// Static method to revoke a session
+sessionSchema.statics.revoke = function(sessionId, reason) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Helper function to summarise a user agent string
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', type: 'unknown' };
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime/]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+  const os = (systems.find(([, pattern]) => pattern.test(userAgent)) || ['Other'])[0];
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent)) type = 'tablet';
+  else if (/Mobi|iPhone|Android/.test(userAgent)) type = 'mobile';
+  else if (browser === 'curl' || browser === 'Postman') type = 'api_client';
+
+  return { browser, os, type };
+}
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const Session = require('./Session');
+
+const id = () => new mongoose.Types.ObjectId();
+const minutes = n => new Date(Date.now() + n * 60 * 1000);
+
+describe('Session', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isActive', () => {
+    it('is active until revoked or expired', () => {
+      expect(new Session({ expiresAt: minutes(5) }).isActive()).toBe(true);
+      expect(new Session({ expiresAt: minutes(-1) }).isActive()).toBe(false);
+      expect(new Session({ expiresAt: minutes(5), revokedAt: new Date() }).isActive()).toBe(false);
+    });
+  });
+
+  describe('start', () => {
+    it('starts a token family that expires after the refresh lifetime', async () => {
+      jest.spyOn(Session, 'create').mockImplementation(async fields => fields);
+
+      const session = await Session.start(id(), { ipAddress: '203.0.113.7', userAgent: 'jest' });
+
+      expect(session.currentTokenId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(session.expiresAt.getTime() - Date.now()).toBeGreaterThan(29 * 24 * 60 * 60 * 1000);
+      expect(session).toMatchObject({ ipAddress: '203.0.113.7', userAgent: 'jest' });
+    });
+  });
+
+  describe('rotate', () => {
+    it('replaces the current token of an active session and extends it', async () => {
+      const sessionId = id();
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ _id: sessionId });
+
+      const next = await Session.rotate(sessionId, 'token-1', { ipAddress: '203.0.113.7' });
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({
+        _id: sessionId,
+        currentTokenId: 'token-1',
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: expect.any(Date) }
+      });
+      expect(update.$set.currentTokenId).toBe(next);
+      expect(next).not.toBe('token-1');
+      expect(update.$set.ipAddress).toBe('203.0.113.7');
+      expect(update.$inc).toEqual({ rotationCount: 1 });
+    });
+
+    it('returns null for a token that was already rotated, or a revoked session', async () => {
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(Session.rotate(id(), 'old-token')).resolves.toBeNull();
+    });
+
+    it('gives every rotation a new token id', async () => {
+      jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({});
+      const sessionId = id();
+
+      const first = await Session.rotate(sessionId, 'token-1');
+      const second = await Session.rotate(sessionId, first);
+
+      expect(second).not.toBe(first);
+    });
+  });
+
+  describe('revoke', () => {
+    it('revokes a session once, keeping the first reason', async () => {
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+      const sessionId = id();
+
+      await Session.revoke(sessionId, 'reuse_detected');
+
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: sessionId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'reuse_detected' } }
+      );
+    });
+
+    it('revokes all of a user\'s sessions but the one kept', async () => {
+      jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+      const userId = id();
+      const current = id();
+
+      await Session.revokeAllForUser(userId, 'password_reset');
+      await Session.revokeAllForUser(userId, 'user_revoked', current);
+
+      expect(Session.updateMany.mock.calls[0][0]).toEqual({ user: userId, revokedAt: { $exists: false } });
+      expect(Session.updateMany.mock.calls[1][0]).toEqual({ user: userId, revokedAt: { $exists: false }, _id: { $ne: current } });
+      expect(Session.updateMany.mock.calls[1][1].$set.revokedReason).toBe('user_revoked');
+    });
+  });
+
+  describe('devices', () => {
+    it('describes the device a session was used from', () => {
+      const device = userAgent => new Session({ userAgent }).device;
+
+      expect(device('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36 Edg/120.0'))
+        .toEqual({ browser: 'Edge', os: 'Windows', type: 'desktop' });
+      expect(device('Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36'))
+        .toEqual({ browser: 'Chrome', os: 'Android', type: 'mobile' });
+      expect(device('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Safari/604.1'))
+        .toEqual({ browser: 'Safari', os: 'iOS', type: 'tablet' });
+      expect(device('curl/8.4.0')).toEqual({ browser: 'curl', os: 'Other', type: 'api_client' });
+      expect(device(undefined)).toEqual({ browser: 'Unknown', os: 'Unknown', type: 'unknown' });
+    });
+
+    it('lists only sessions neither revoked nor expired, most recently used first', () => {
+      const sort = jest.fn();
+      jest.spyOn(Session, 'find').mockReturnValue({ sort });
+      const userId = id();
+
+      Session.getActiveSessions(userId);
+
+      expect(Session.find).toHaveBeenCalledWith({ user: userId, revokedAt: { $exists: false }, expiresAt: { $gt: expect.any(Date) } });
+      expect(sort).toHaveBeenCalledWith({ lastSeenAt: -1 });
+    });
+
+    it('records activity at most once a minute', async () => {
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+      await Session.touch({ _id: id(), lastSeenAt: new Date(Date.now() - 30 * 1000) });
+      expect(Session.updateOne).not.toHaveBeenCalled();
+
+      const session = { _id: id(), lastSeenAt: new Date(Date.now() - 61 * 1000) };
+      await Session.touch(session, { ipAddress: '203.0.113.7' });
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: session._id },
+        { $set: { lastSeenAt: expect.any(Date), ipAddress: '203.0.113.7' } }
+      );
+    });
+  });
+});
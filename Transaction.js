@@ -4,6 +4,8 @@
  */
 
 const mongoose = require('mongoose');
+const { CURRENCIES } = require('../config/currencies');
+const { amountType, decimalType } = require('../utils/money');
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -14,40 +16,44 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['send', 'receive', 'transfer', 'crypto_send', 'crypto_receive', 'mining', 'trading'],
+    enum: ['send', 'receive', 'transfer', 'crypto_send', 'crypto_receive', 'mining', 'trading', 'adjustment', 'account_move', 'reversal'],
     required: true
   },
   currency: {
     type: String,
     required: true,
-    enum: ['USD', 'EUR', 'GBP', 'CNY', 'NGN', 'BTC', 'TRX', 'TON', 'ETH']
+    enum: CURRENCIES
   },
-  amount: {
-    type: Number,
-    required: true,
-    min: 0
+  // Amount in `currency`; for transfers `currency` is the source currency
+  amount: amountType({ required: true }),
+  // Accounts the money left and arrived in (models/Account.js)
+  fromAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  toAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
   },
   fromCurrency: {
     type: String,
-    enum: ['USD', 'EUR', 'GBP', 'CNY', 'NGN', 'BTC', 'TRX', 'TON', 'ETH']
+    enum: CURRENCIES
   },
   toCurrency: {
     type: String,
-    enum: ['USD', 'EUR', 'GBP', 'CNY', 'NGN', 'BTC', 'TRX', 'TON', 'ETH']
-  },
-  convertedAmount: {
-    type: Number,
-    min: 0
-  },
-  exchangeRate: {
-    type: Number
+    enum: CURRENCIES
   },
+  convertedAmount: amountType({ currencyPath: 'toCurrency' }),
+  exchangeRate: decimalType(),
+  // The other party; `user` is set for payments between platform users
   sender: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     name: String,
     account: String,
     wallet: String
   },
   recipient: {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     name: String,
     account: String,
     wallet: String,
@@ -58,9 +64,29 @@ const transactionSchema = new mongoose.Schema({
   },
   internationalTransfer: {
     swiftCode: String,
+    // IBAN, or a local account number where the country does not use IBANs
     iban: String,
+    accountNumber: String,
     bankName: String,
-    country: String
+    country: String,
+    // Progress through the correspondent bank (services/internationalTransferService.js)
+    status: {
+      type: String,
+      enum: ['created', 'submitted', 'in_transit', 'completed', 'failed', 'returned', 'cancelled']
+    },
+    correspondent: String,
+    externalReference: String,
+    submittedAt: Date,
+    completedAt: Date,
+    // Last time the correspondent bank was asked for the transfer's status
+    checkedAt: Date,
+    failureReason: String,
+    history: [{
+      _id: false,
+      status: String,
+      reason: String,
+      at: { type: Date, default: Date.now }
+    }]
   },
   cryptoDetails: {
     transactionHash: String,
@@ -69,13 +95,30 @@ const transactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'returned', 'reversed'],
     default: 'completed'
   },
+  // Shared by the linked send and receive of a payment between users
   reference: {
-    type: String,
-    unique: true,
-    sparse: true
+    type: String
+  },
+  // The other side of a payment between users, or the transaction a reversal reverses
+  relatedTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // How much has been given back by reversals (services/reversalService.js)
+  reversedAmount: amountType(),
+  cancelledAt: Date,
+  cancelReason: String,
+  journalEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry'
+  },
+  // Funds reserved while the transaction is pending
+  hold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hold'
   },
   description: String,
   metadata: {
@@ -84,15 +127,21 @@ const transactionSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Indexes
 transactionSchema.index({ user: 1, createdAt: -1 });
+transactionSchema.index({ fromAccount: 1, createdAt: -1 }, { sparse: true });
+transactionSchema.index({ toAccount: 1, createdAt: -1 }, { sparse: true });
 transactionSchema.index({ type: 1, status: 1 });
 transactionSchema.index({ reference: 1 });
+transactionSchema.index({ user: 1, reference: 1 }, { unique: true, partialFilterExpression: { reference: { $exists: true } } });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ 'internationalTransfer.status': 1, createdAt: 1 }, { sparse: true });
+transactionSchema.index({ 'internationalTransfer.status': 1, 'internationalTransfer.checkedAt': 1 }, { sparse: true });
+transactionSchema.index({ relatedTransaction: 1 }, { sparse: true });
 
 // Generate unique reference before saving
 transactionSchema.pre('save', async function(next) {
@@ -106,13 +155,14 @@ transactionSchema.pre('save', async function(next) {
 
 // Static method to get transaction history for a user
 transactionSchema.statics.getUserTransactions = function(userId, options = {}) {
-  const { limit = 20, offset = 0, type, status, currency } = options;
+  const { limit = 20, offset = 0, type, status, currency, accountId } = options;
   
   const query = { user: userId };
   
   if (type) query.type = type;
   if (status) query.status = status;
   if (currency) query.currency = currency;
+  if (accountId) query.$or = [{ fromAccount: accountId }, { toAccount: accountId }];
   
   return this.find(query)
     .sort({ createdAt: -1 })
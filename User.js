@@ -7,6 +7,87 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const net = require('net');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const money = require('../utils/money');
+const { amountType } = money;
+const { CURRENCIES } = require('../config/currencies');
+const { DEFAULT_API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { ROLES, getPermissions } = require('../config/permissions');
+
+// API keys look like gbk_<8 hex lookup prefix>_<64 hex secret>
+const API_KEY_PATTERN = /^gbk_([a-f0-9]{8})_([a-f0-9]{64})$/;
+
+// Keys issued before hashing were 64 hex characters; scripts/migrateApiKeys.js
+// hashed them with their first 8 characters as the prefix
+const LEGACY_API_KEY_PATTERN = /^([a-f0-9]{8})[a-f0-9]{56}$/;
+
+const apiKeySchema = new mongoose.Schema({
+  name: String,
+  prefix: String,
+  keyHash: String,
+  signingSecret: String, // encrypted with ENCRYPTION_KEY
+  requireSignature: { type: Boolean, default: false },
+  scopes: {
+    type: [String],
+    default: () => [...DEFAULT_API_KEY_SCOPES]
+  },
+  ipAllowlist: [String],
+  expiresAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  lastUsed: { type: Date },
+  lastUsedIp: { type: String },
+  rotatedAt: { type: Date },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId },
+  isActive: { type: Boolean, default: true }
+});
+
+// Method to check if the key can still be used
+apiKeySchema.methods.isUsable = function() {
+  return this.isActive && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+// Method to check a client IP against the key's allowlist (exact IPs or CIDR ranges)
+apiKeySchema.methods.allowsIp = function(ip) {
+  if (!this.ipAllowlist || this.ipAllowlist.length === 0) return true;
+  if (!ip) return false;
+
+  const address = ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  const blockList = new net.BlockList();
+
+  this.ipAllowlist.forEach(entry => {
+    const [network, bits] = entry.split('/');
+    const entryFamily = net.isIPv6(network) ? 'ipv6' : 'ipv4';
+
+    if (bits) {
+      blockList.addSubnet(network, parseInt(bits), entryFamily);
+    } else {
+      blockList.addAddress(network, entryFamily);
+    }
+  });
+
+  return blockList.check(address, family);
+};
+
+// Method to check that the key grants every requested scope
+apiKeySchema.methods.hasScopes = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+// Method to get the decrypted HMAC signing secret
+apiKeySchema.methods.getSigningSecret = function() {
+  return this.signingSecret ? decrypt(this.signingSecret) : null;
+};
+
+// Method to get a display status for the key
+apiKeySchema.methods.getStatus = function() {
+  if (!this.isActive) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= Date.now()) return 'expired';
+  if (this.rotatedAt) return 'rotating';
+  return 'active';
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -26,15 +107,41 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't return password by default
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   role: {
     type: String,
-    enum: ['customer', 'admin'],
+    enum: ROLES,
     default: 'customer'
   },
   profile: {
@@ -69,36 +176,59 @@ const userSchema = new mongoose.Schema({
       trim: true
     }
   },
+  // Cached view of the ledger; only services/ledgerService.js changes it.
+  // Amounts are Decimal128, read back as decimal strings (see utils/money.js).
   balances: {
-    USD: { type: Number, default: 0, min: 0 },
-    EUR: { type: Number, default: 0, min: 0 },
-    GBP: { type: Number, default: 0, min: 0 },
-    CNY: { type: Number, default: 0, min: 0 },
-    NGN: { type: Number, default: 0, min: 0 },
-    BTC: { type: Number, default: 0, min: 0 },
-    TRX: { type: Number, default: 0, min: 0 },
-    TON: { type: Number, default: 0, min: 0 },
-    ETH: { type: Number, default: 0, min: 0 }
+    USD: amountType({ currency: 'USD', default: '0' }),
+    EUR: amountType({ currency: 'EUR', default: '0' }),
+    GBP: amountType({ currency: 'GBP', default: '0' }),
+    CNY: amountType({ currency: 'CNY', default: '0' }),
+    NGN: amountType({ currency: 'NGN', default: '0' }),
+    BTC: amountType({ currency: 'BTC', default: '0' }),
+    TRX: amountType({ currency: 'TRX', default: '0' }),
+    TON: amountType({ currency: 'TON', default: '0' }),
+    ETH: amountType({ currency: 'ETH', default: '0' })
+  },
+  // Sum of active holds per currency (see models/Hold.js); only
+  // services/holdService.js and ledgerService.js change it.
+  // Available balance = balances - heldBalances.
+  heldBalances: {
+    USD: amountType({ currency: 'USD', default: '0' }),
+    EUR: amountType({ currency: 'EUR', default: '0' }),
+    GBP: amountType({ currency: 'GBP', default: '0' }),
+    CNY: amountType({ currency: 'CNY', default: '0' }),
+    NGN: amountType({ currency: 'NGN', default: '0' }),
+    BTC: amountType({ currency: 'BTC', default: '0' }),
+    TRX: amountType({ currency: 'TRX', default: '0' }),
+    TON: amountType({ currency: 'TON', default: '0' }),
+    ETH: amountType({ currency: 'ETH', default: '0' })
+  },
+  // Set once the user's balances are backed by journal entries
+  ledgerOpenedAt: {
+    type: Date
   },
   trading: {
-    capital: { type: Number, default: 0, min: 0 },
-    profit: { type: Number, default: 0, min: 0 },
+    capital: amountType({ currency: 'USD', default: '0' }),
+    profit: amountType({ currency: 'USD', default: '0' }),
     robotActive: { type: Boolean, default: false }
   },
-  apiKeys: [{
-    key: String,
-    name: String,
-    createdAt: { type: Date, default: Date.now },
-    lastUsed: { type: Date },
-    isActive: { type: Boolean, default: true }
-  }],
+  apiKeys: [apiKeySchema],
   settings: {
     smsAlerts: { type: Boolean, default: true },
     emailAlerts: { type: Boolean, default: true },
     miningAlerts: { type: Boolean, default: true },
     tradingAlerts: { type: Boolean, default: true },
     twoFactorEnabled: { type: Boolean, default: false },
-    twoFactorSecret: String
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorLastUsedStep: { type: Number, select: false },
+    twoFactorBackupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
   },
   status: {
     type: String,
@@ -117,22 +247,29 @@ const userSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ 'profile.phone': 1 }, { sparse: true });
 userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'apiKeys.prefix': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.profile.firstName || ''} ${this.profile.lastName || ''}`.trim() || this.username;
 });
 
+// Virtual for the permissions granted by the user's role
+userSchema.virtual('permissions').get(function() {
+  return getPermissions(this.role);
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -141,6 +278,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -152,24 +290,29 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Method to generate JWT token bound to a session.
+// Impersonation tokens carry the admin id (imp) and a shorter lifetime.
+userSchema.methods.generateAuthToken = function(sessionId, { impersonator, expiresIn } = {}) {
   const payload = {
     id: this._id,
+    sid: sessionId,
     username: this.username,
     email: this.email,
-    role: this.role
+    role: this.role,
+    ...(impersonator && { imp: impersonator })
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: expiresIn || process.env.JWT_EXPIRE || '7d'
   });
 };
 
-// Method to generate refresh token
-userSchema.methods.generateRefreshToken = function() {
+// Method to generate refresh token for a session's current token id
+userSchema.methods.generateRefreshToken = function(sessionId, tokenId) {
   const payload = {
     id: this._id,
+    sid: sessionId,
+    jti: tokenId,
     type: 'refresh'
   };
 
@@ -178,18 +321,119 @@ userSchema.methods.generateRefreshToken = function() {
   });
 };
 
-// Method to generate API key
-userSchema.methods.generateApiKey = function(name) {
-  const key = crypto.randomBytes(32).toString('hex');
-  
+// Method to generate API key and its request signing secret.
+// Only a hash of the key is stored; the plaintext key and secret are returned once.
+userSchema.methods.generateApiKey = function(name, options = {}) {
+  const { scopes, expiresAt, ipAllowlist, requireSignature } = options;
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `gbk_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  const signingSecret = crypto.randomBytes(32).toString('hex');
+
   this.apiKeys.push({
-    key,
     name: name || 'API Key',
+    prefix,
+    keyHash: this.constructor.hashApiKey(key),
+    signingSecret: encrypt(signingSecret),
+    requireSignature: !!requireSignature,
+    ...(scopes && { scopes }),
+    expiresAt,
+    ipAllowlist,
     createdAt: new Date(),
     isActive: true
   });
 
-  return key;
+  return {
+    key,
+    signingSecret,
+    apiKey: this.apiKeys[this.apiKeys.length - 1]
+  };
+};
+
+// Method to create a single-use password reset token.
+// Only a hash is stored; the plaintext token is returned once.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Method to create a single-use email verification token.
+// Only a hash is stored; the plaintext token is returned once.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Method to generate a fresh set of one-time 2FA backup codes.
+// Only the hashes are stored; the plaintext codes are returned once.
+userSchema.methods.generateBackupCodes = function(count = 10) {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+
+  this.settings.twoFactorBackupCodes = codes.map(code => ({
+    codeHash: hashBackupCode(code)
+  }));
+
+  return codes;
+};
+
+// Method to verify a 2FA code (TOTP or backup code).
+// Requires settings.twoFactorSecret and settings.twoFactorBackupCodes to be selected.
+// Accepted codes are consumed atomically so they cannot be replayed.
+userSchema.methods.verifyTwoFactorCode = async function(code, secret = this.settings.twoFactorSecret) {
+  const candidate = String(code || '').trim();
+
+  const step = totp.verify(secret, candidate);
+  if (step !== null) {
+    // Only accept a time step newer than the last one used
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'settings.twoFactorLastUsedStep': { $exists: false } },
+          { 'settings.twoFactorLastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'settings.twoFactorLastUsedStep': step } }
+    );
+
+    if (result.modifiedCount === 1) {
+      this.settings.twoFactorLastUsedStep = step;
+      return { valid: true, method: 'totp' };
+    }
+
+    return { valid: false, reason: 'replayed' };
+  }
+
+  const codeHash = hashBackupCode(candidate);
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'settings.twoFactorBackupCodes': {
+        $elemMatch: { codeHash, usedAt: { $exists: false } }
+      }
+    },
+    { $set: { 'settings.twoFactorBackupCodes.$.usedAt': new Date() } }
+  );
+
+  if (result.modifiedCount === 1) {
+    return { valid: true, method: 'backup_code' };
+  }
+
+  return { valid: false, reason: 'invalid' };
 };
 
 // Method to check if account is locked
@@ -220,13 +464,66 @@ userSchema.methods.incLoginAttempts = function() {
   return this.updateOne(updates);
 };
 
-// Static method to get user by API key
-userSchema.statics.findByApiKey = function(apiKey) {
-  return this.findOne({
-    'apiKeys.key': apiKey,
-    'apiKeys.isActive': true,
+// Method to get the ledger, held and available balance of a currency
+userSchema.methods.getBalance = function(currency) {
+  const ledger = this.balances[currency];
+  const held = (this.heldBalances && this.heldBalances[currency]) || money.fromMinor(0n, currency);
+
+  return {
+    ledger,
+    held,
+    available: money.subtract(ledger, held, currency)
+  };
+};
+
+// Method to get the ledger, held and available balance of every currency
+userSchema.methods.getBalances = function() {
+  return Object.fromEntries(CURRENCIES.map(currency => [currency, this.getBalance(currency)]));
+};
+
+// Static method to hash a reset or verification token for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static method to hash an API key for storage
+userSchema.statics.hashApiKey = function(apiKey) {
+  return crypto.createHmac('sha256', process.env.API_KEY_SECRET).update(apiKey).digest('hex');
+};
+
+// Static method to get user and key record by API key.
+// Looks the key up by its prefix and compares hashes in constant time. Prefixes
+// are short and not unique, so every key sharing the prefix is compared.
+userSchema.statics.findByApiKey = async function(apiKey) {
+  const match = API_KEY_PATTERN.exec(apiKey || '') || LEGACY_API_KEY_PATTERN.exec(apiKey || '');
+  if (!match) return null;
+
+  const prefix = match[1];
+  const users = await this.find({
+    'apiKeys.prefix': prefix,
     status: 'active'
   });
+
+  const actual = Buffer.from(this.hashApiKey(apiKey), 'hex');
+
+  for (const user of users) {
+    for (const keyRecord of user.apiKeys) {
+      if (keyRecord.prefix !== prefix || !keyRecord.keyHash) continue;
+
+      const expected = Buffer.from(keyRecord.keyHash, 'hex');
+      if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        return { user, apiKey: keyRecord };
+      }
+    }
+  }
+
+  return null;
 };
 
+// Backup codes are normalised before hashing so dashes and case don't matter
+function hashBackupCode(code) {
+  const normalised = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+}
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
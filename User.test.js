@@ -0,0 +1,136 @@
+process.env.API_KEY_SECRET = process.env.API_KEY_SECRET || 'test-api-key-secret';
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'test-encryption-key';
+
+const User = require('./User');
+const { DEFAULT_API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+// A user in memory, as findByApiKey() would load it
+const newUser = username => new User({ username, email: `${username}@example.com`, password: 'Secret123!', status: 'active' });
+
+// Issue a key whose prefix is forced to `prefix`, as if the random prefix collided
+function keyWithPrefix(user, prefix, name) {
+  const { key, apiKey } = user.generateApiKey(name);
+  const collided = key.replace(/^gbk_[a-f0-9]{8}_/, `gbk_${prefix}_`);
+
+  apiKey.prefix = prefix;
+  apiKey.keyHash = User.hashApiKey(collided);
+
+  return { key: collided, apiKey };
+}
+
+describe('User API keys', () => {
+  let findSpy;
+
+  afterEach(() => {
+    if (findSpy) findSpy.mockRestore();
+  });
+
+  describe('generateApiKey', () => {
+    it('stores only a hash of the key, with its prefix and read-only default scopes', () => {
+      const user = newUser('alice');
+      const { key, signingSecret, apiKey } = user.generateApiKey('CI');
+
+      expect(key).toMatch(/^gbk_[a-f0-9]{8}_[a-f0-9]{64}$/);
+      expect(apiKey.prefix).toBe(key.slice(4, 12));
+      expect(apiKey.keyHash).toBe(User.hashApiKey(key));
+      expect(JSON.stringify(user.apiKeys)).not.toContain(key);
+      expect(apiKey.scopes).toEqual(DEFAULT_API_KEY_SCOPES);
+      expect(apiKey.signingSecret).not.toBe(signingSecret);
+      expect(apiKey.getSigningSecret()).toBe(signingSecret);
+    });
+
+    it('keeps requested scopes, expiry and IP allowlist', () => {
+      const expiresAt = new Date(Date.now() + 60 * 1000);
+      const { apiKey } = newUser('alice').generateApiKey('Payouts', {
+        scopes: ['transactions:write'],
+        expiresAt,
+        ipAllowlist: ['10.0.0.0/8'],
+        requireSignature: true
+      });
+
+      expect(apiKey.scopes).toEqual(['transactions:write']);
+      expect(apiKey.hasScopes(['transactions:write'])).toBe(true);
+      expect(apiKey.hasScopes(['transactions:write', 'balances:read'])).toBe(false);
+      expect(apiKey.requireSignature).toBe(true);
+      expect(apiKey.isUsable()).toBe(true);
+      expect(apiKey.allowsIp('10.1.2.3')).toBe(true);
+      expect(apiKey.allowsIp('::ffff:10.1.2.3')).toBe(true);
+      expect(apiKey.allowsIp('192.168.0.1')).toBe(false);
+    });
+
+    it('makes expired and deactivated keys unusable', () => {
+      const { apiKey } = newUser('alice').generateApiKey('Old', { expiresAt: new Date(Date.now() - 1000) });
+      expect(apiKey.isUsable()).toBe(false);
+
+      const { apiKey: revoked } = newUser('bob').generateApiKey('Revoked');
+      revoked.isActive = false;
+      expect(revoked.isUsable()).toBe(false);
+    });
+  });
+
+  describe('findByApiKey', () => {
+    const mockUsers = users => {
+      findSpy = jest.spyOn(User, 'find').mockResolvedValue(users);
+    };
+
+    it('finds the user and key record', async () => {
+      const alice = newUser('alice');
+      const { key, apiKey } = alice.generateApiKey('CI');
+      mockUsers([alice]);
+
+      const result = await User.findByApiKey(key);
+
+      expect(result.user).toBe(alice);
+      expect(result.apiKey).toBe(apiKey);
+      expect(User.find).toHaveBeenCalledWith({ 'apiKeys.prefix': apiKey.prefix, status: 'active' });
+    });
+
+    it('rejects a key with a known prefix but the wrong secret', async () => {
+      const alice = newUser('alice');
+      const { key } = alice.generateApiKey('CI');
+      mockUsers([alice]);
+
+      await expect(User.findByApiKey(key.slice(0, -1) + (key.endsWith('0') ? '1' : '0'))).resolves.toBeNull();
+    });
+
+    it('finds the right key when two keys of one user share a prefix', async () => {
+      const alice = newUser('alice');
+      keyWithPrefix(alice, 'abcdef01', 'First');
+      const second = keyWithPrefix(alice, 'abcdef01', 'Second');
+      mockUsers([alice]);
+
+      await expect(User.findByApiKey(second.key)).resolves.toMatchObject({ apiKey: second.apiKey });
+    });
+
+    it('finds the right user when keys of different users share a prefix', async () => {
+      const alice = newUser('alice');
+      const bob = newUser('bob');
+      keyWithPrefix(alice, 'abcdef01', 'Alice');
+      const bobs = keyWithPrefix(bob, 'abcdef01', 'Bob');
+      mockUsers([alice, bob]);
+
+      const result = await User.findByApiKey(bobs.key);
+
+      expect(result.user).toBe(bob);
+      expect(result.apiKey).toBe(bobs.apiKey);
+    });
+
+    it('accepts legacy keys migrated with their first 8 characters as the prefix', async () => {
+      const legacyKey = 'a1b2c3d4'.padEnd(64, '9');
+      const alice = newUser('alice');
+      alice.apiKeys.push({ name: 'Legacy', prefix: 'a1b2c3d4', keyHash: User.hashApiKey(legacyKey) });
+      mockUsers([alice]);
+
+      await expect(User.findByApiKey(legacyKey)).resolves.toMatchObject({ user: alice });
+    });
+
+    it('does not look up malformed keys', async () => {
+      mockUsers([]);
+
+      for (const key of [undefined, '', 'gbk_short_key', `gbk_ABCDEF01_${'0'.repeat(64)}`]) {
+        await expect(User.findByApiKey(key)).resolves.toBeNull();
+      }
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { amountType } = require('../utils/money');
 
 const walletSchema = new mongoose.Schema({
   user: {
@@ -29,11 +30,7 @@ const walletSchema = new mongoose.Schema({
     type: String,
     select: false // Never return private key in queries
   },
-  balance: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
+  balance: amountType({ default: '0' }),
   label: {
     type: String,
     trim: true
@@ -53,8 +50,8 @@ const walletSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
 });
 
 // Indexes
@@ -0,0 +1,361 @@
+/**
+ * Account Routes
+ * A user's accounts (pots) per currency; see models/Account.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Account = require('../models/Account');
+const AuditLog = require('../models/AuditLog');
+const { protect, requireScope } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { logger } = require('../middleware/logger');
+const { withTransaction } = require('../utils/dbTransaction');
+const { isValidAccountNumber, isValidIban, normalizeIban } = require('../utils/bankIdentifiers');
+
+// Most accounts a user can have open at once
+const MAX_ACCOUNTS_PER_USER = parseInt(process.env.MAX_ACCOUNTS_PER_USER) || 20;
+
+// @route   GET /api/accounts
+// @desc    List the current user's accounts
+// @access  Private
+router.get('/', protect, requireScope('balances:read'), async (req, res) => {
+  try {
+    const includeClosed = req.query.includeClosed === 'true';
+    const user = await User.findById(req.user._id);
+
+    const accounts = await withTransaction(session => Account.getUserAccounts(user, { includeClosed, session }));
+
+    res.status(200).json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    logger.error('Get accounts error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNTS_FETCH_FAILED',
+        message: 'Failed to fetch accounts'
+      }
+    });
+  }
+});
+
+// @route   POST /api/accounts
+// @desc    Open an account
+// @access  Private
+router.post('/', protect, requireScope('accounts:write'), validate(schemas.openAccount), async (req, res) => {
+  try {
+    const { currency, name, type } = req.body;
+
+    const openAccounts = await Account.countDocuments({ user: req.user._id, status: { $ne: 'closed' } });
+
+    if (openAccounts >= MAX_ACCOUNTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_LIMIT_REACHED',
+          message: `You can have at most ${MAX_ACCOUNTS_PER_USER} open accounts`
+        }
+      });
+    }
+
+    const account = await withTransaction(async (session) => {
+      // The primary account comes first, so it opens with the money already held in the currency
+      await Account.ensurePrimary(req.user._id, currency, session);
+
+      const account = await new Account({
+        user: req.user._id,
+        currency,
+        name,
+        type
+      }).save({ session });
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'account_open',
+        entityType: 'account',
+        entityId: account._id,
+        description: `Opened ${type} account "${name}" in ${currency}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return account;
+    });
+
+    logger.info(`User ${req.user.username} opened ${currency} account ${account._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account opened successfully',
+      data: account
+    });
+  } catch (error) {
+    logger.error('Open account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_OPEN_FAILED',
+        message: 'Failed to open account'
+      }
+    });
+  }
+});
+
+// Lower-case name words without accents or punctuation
+function nameWords(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// "John Smith" -> "J*** S****"
+function maskName(name) {
+  return name.split(/\s+/).filter(Boolean).map(word => word[0] + '*'.repeat(Math.max(word.length - 1, 2))).join(' ');
+}
+
+// Compare the name a payer typed with the account holder's: 'match', 'close_match'
+// (same words in another order, or same surname and first initial) or 'no_match'
+function checkName(given, holder) {
+  const a = nameWords(given);
+  const b = nameWords(holder);
+
+  if (a.length === 0 || b.length === 0) return 'no_match';
+  if (a.join(' ') === b.join(' ')) return 'match';
+  if (a.length === b.length && [...a].sort().join(' ') === [...b].sort().join(' ')) return 'close_match';
+  if (a[a.length - 1] === b[b.length - 1] && a[0][0] === b[0][0]) return 'close_match';
+
+  return 'no_match';
+}
+
+// @route   POST /api/accounts/lookup
+// @desc    Resolve an account number or IBAN to its masked holder name, and check a payee name against it
+// @access  Private
+router.post('/lookup', protect, requireScope('transactions:write'), validate(schemas.lookupAccount), async (req, res) => {
+  try {
+    const { accountNumber, name } = req.body;
+    const iban = req.body.iban && normalizeIban(req.body.iban);
+
+    if (accountNumber && !isValidAccountNumber(accountNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ACCOUNT_NUMBER',
+          message: 'Account number is not valid; check the digits'
+        }
+      });
+    }
+
+    if (iban && !isValidIban(iban)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_IBAN',
+          message: 'IBAN is not valid; check the digits'
+        }
+      });
+    }
+
+    const account = await Account.findOne({
+      ...(accountNumber ? { accountNumber } : { iban }),
+      status: { $ne: 'closed' }
+    }).populate('user', 'username profile.firstName profile.lastName status');
+
+    if (!account || !account.user || account.user.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_FOUND',
+          message: 'No account found with these details'
+        }
+      });
+    }
+
+    const holder = account.user.fullName;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accountNumber: account.accountNumber,
+        iban: account.iban,
+        currency: account.currency,
+        holderName: maskName(holder),
+        nameCheck: name ? checkName(name, holder) : null,
+        ownAccount: account.user._id.equals(req.user._id)
+      }
+    });
+  } catch (error) {
+    logger.error('Account lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_LOOKUP_FAILED',
+        message: 'Failed to look up account'
+      }
+    });
+  }
+});
+
+// @route   GET /api/accounts/:id
+// @desc    Get one of the current user's accounts
+// @access  Private
+router.get('/:id', protect, requireScope('balances:read'), async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_FOUND',
+          message: 'Account not found'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: account
+    });
+  } catch (error) {
+    logger.error('Get account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_FETCH_FAILED',
+        message: 'Failed to fetch account'
+      }
+    });
+  }
+});
+
+// @route   PUT /api/accounts/:id
+// @desc    Rename an account or change its type
+// @access  Private
+router.put('/:id', protect, requireScope('accounts:write'), validate(schemas.updateAccount), async (req, res) => {
+  try {
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: { $ne: 'closed' } },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_FOUND',
+          message: 'Account not found or closed'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'account_update',
+      entityType: 'account',
+      entityId: account._id,
+      description: `Updated ${account.currency} account "${account.name}"`,
+      metadata: req.body,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account updated successfully',
+      data: account
+    });
+  } catch (error) {
+    logger.error('Update account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_UPDATE_FAILED',
+        message: 'Failed to update account'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/accounts/:id
+// @desc    Close an empty account
+// @access  Private
+router.delete('/:id', protect, requireScope('accounts:write'), async (req, res) => {
+  try {
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id, status: { $ne: 'closed' } });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_FOUND',
+          message: 'Account not found or already closed'
+        }
+      });
+    }
+
+    if (account.isPrimary) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PRIMARY_ACCOUNT',
+          message: 'The primary account of a currency cannot be closed'
+        }
+      });
+    }
+
+    // Closed only while empty, so nothing is lost if money arrives meanwhile
+    const closed = await Account.findOneAndUpdate(
+      { _id: account._id, status: { $ne: 'closed' }, balance: 0, heldBalance: 0 },
+      { $set: { status: 'closed', closedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_EMPTY',
+          message: `"${account.name}" still holds ${account.balance} ${account.currency}; move it out and let pending transactions finish before closing it`
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'account_close',
+      entityType: 'account',
+      entityId: closed._id,
+      description: `Closed ${closed.currency} account "${closed.name}"`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${req.user.username} closed account ${closed._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account closed successfully',
+      data: closed
+    });
+  } catch (error) {
+    logger.error('Close account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_CLOSE_FAILED',
+        message: 'Failed to close account'
+      }
+    });
+  }
+});
+
+module.exports = router;
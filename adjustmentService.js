@@ -0,0 +1,199 @@
+/**
+ * Adjustment Service
+ * Maker-checker flow for manual balance adjustments: one staff member proposes
+ * a new balance with a reason code and a note, a second one approves it (the
+ * difference is posted as an `adjustment` Transaction and journal entry) or
+ * rejects it. Proposals nobody reviews expire after ADJUSTMENT_EXPIRE_HOURS.
+ *
+ * Pass the `session` from utils/dbTransaction's withTransaction() so the
+ * adjustment and the caller's own records commit together.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../middleware/logger');
+const ledgerService = require('./ledgerService');
+const money = require('../utils/money');
+const { ADJUSTMENT_REASONS } = require('../config/ledger');
+
+const { LedgerError } = ledgerService;
+
+// How long a proposal waits for review
+const ADJUSTMENT_EXPIRE_HOURS = parseInt(process.env.ADJUSTMENT_EXPIRE_HOURS) || 48;
+
+// Start adjustment service
+function startAdjustmentService() {
+  logger.info('Starting adjustment service...');
+
+  // Expire unreviewed proposals every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await expireAdjustments();
+    } catch (error) {
+      logger.error('Adjustment expiry error:', error);
+    }
+  });
+
+  logger.info('Adjustment service started successfully');
+}
+
+// Propose setting a user's balance in one currency to `newBalance`.
+// The difference from the current balance is what approval posts.
+async function proposeAdjustment({ userId, currency, newBalance, reasonCode, note, proposedBy, session }) {
+  const user = await User.findById(userId).session(session);
+
+  if (!user) {
+    throw new LedgerError('ACCOUNT_NOT_FOUND', `No account found for user ${userId}`);
+  }
+
+  const current = user.balances[currency];
+  const difference = money.toMinor(newBalance, currency) - money.toMinor(current, currency);
+
+  if (difference === 0n) {
+    throw new LedgerError('NO_CHANGE', `The ${currency} balance is already ${current}`);
+  }
+
+  return new BalanceAdjustment({
+    user: user._id,
+    currency,
+    direction: difference > 0n ? 'credit' : 'debit',
+    amount: money.fromMinor(difference > 0n ? difference : -difference, currency),
+    proposedFrom: current,
+    proposedTo: newBalance,
+    reasonCode,
+    note,
+    proposedBy,
+    expiresAt: new Date(Date.now() + ADJUSTMENT_EXPIRE_HOURS * 60 * 60 * 1000)
+  }).save({ session });
+}
+
+// Approve a pending adjustment and post it. The proposed difference is posted
+// even if the balance has moved since; balanceBefore/balanceAfter record what
+// it was applied to. Resolves { adjustment, transaction, entry }.
+async function approveAdjustment(adjustmentId, { approvedBy, session }) {
+  const now = new Date();
+  const adjustment = await BalanceAdjustment.findOneAndUpdate(
+    { _id: adjustmentId, status: 'pending', expiresAt: { $gt: now } },
+    { $set: { status: 'approved', reviewedBy: approvedBy._id, reviewedAt: now } },
+    { session, new: true }
+  );
+
+  if (!adjustment) {
+    throw new LedgerError('ADJUSTMENT_NOT_PENDING', 'Adjustment is not pending approval');
+  }
+
+  const { currency, amount, direction } = adjustment;
+  const user = await User.findById(adjustment.user).session(session);
+
+  if (!user) {
+    throw new LedgerError('ACCOUNT_NOT_FOUND', `No account found for user ${adjustment.user}`);
+  }
+
+  const balanceBefore = user.balances[currency];
+  const balanceAfter = direction === 'credit'
+    ? money.add(currency, balanceBefore, amount)
+    : money.subtract(balanceBefore, amount, currency);
+  const reason = ADJUSTMENT_REASONS[adjustment.reasonCode];
+
+  const transaction = new Transaction({
+    user: user._id,
+    type: 'adjustment',
+    currency,
+    amount,
+    status: 'completed',
+    description: `Balance adjustment: ${reason}`,
+    metadata: {
+      adjustmentId: adjustment._id.toString(),
+      direction,
+      reasonCode: adjustment.reasonCode
+    }
+  });
+
+  const adjustments = ledgerService.systemAccount('adjustments');
+  const account = ledgerService.userAccount(user._id);
+
+  // A debit the available balance cannot cover throws INSUFFICIENT_BALANCE
+  const entry = await ledgerService.post({
+    type: 'adjustment',
+    transaction: transaction._id,
+    description: `Balance adjustment ${adjustment._id} (${adjustment.reasonCode}) approved by ${approvedBy.username}`,
+    postings: direction === 'credit'
+      ? ledgerService.move(adjustments, account, currency, amount)
+      : ledgerService.move(account, adjustments, currency, amount),
+    createdBy: approvedBy._id,
+    metadata: {
+      adjustmentId: adjustment._id,
+      proposedBy: adjustment.proposedBy,
+      reasonCode: adjustment.reasonCode
+    },
+    session
+  });
+
+  transaction.journalEntry = entry._id;
+  await transaction.save({ session });
+
+  Object.assign(adjustment, { balanceBefore, balanceAfter, transaction: transaction._id, journalEntry: entry._id });
+  await adjustment.save({ session });
+
+  return { adjustment, transaction, entry };
+}
+
+// Reject a pending adjustment
+async function rejectAdjustment(adjustmentId, { rejectedBy, reason, session }) {
+  const adjustment = await BalanceAdjustment.findOneAndUpdate(
+    { _id: adjustmentId, status: 'pending' },
+    { $set: { status: 'rejected', reviewedBy: rejectedBy._id, reviewedAt: new Date(), rejectionReason: reason } },
+    { session, new: true }
+  );
+
+  if (!adjustment) {
+    throw new LedgerError('ADJUSTMENT_NOT_PENDING', 'Adjustment is not pending approval');
+  }
+
+  return adjustment;
+}
+
+// Mark proposals past their expiry as expired
+async function expireAdjustments() {
+  const expired = await BalanceAdjustment.find({ status: 'pending', expiresAt: { $lte: new Date() } });
+
+  for (const { _id } of expired) {
+    try {
+      const adjustment = await BalanceAdjustment.findOneAndUpdate(
+        { _id, status: 'pending' },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+
+      // Reviewed since it was read
+      if (!adjustment) continue;
+
+      await AuditLog.createLog({
+        user: adjustment.proposedBy,
+        action: 'adjustment_expire',
+        entityType: 'adjustment',
+        entityId: adjustment._id,
+        description: `Balance adjustment of ${adjustment.direction} ${adjustment.amount} ${adjustment.currency} for user ${adjustment.user} expired without review`,
+        metadata: {
+          targetUser: adjustment.user,
+          reasonCode: adjustment.reasonCode
+        }
+      });
+
+      logger.info(`Balance adjustment ${adjustment._id} expired`);
+    } catch (error) {
+      logger.error(`Error expiring balance adjustment ${_id}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  startAdjustmentService,
+  proposeAdjustment,
+  approveAdjustment,
+  rejectAdjustment,
+  expireAdjustments
+};
@@ -0,0 +1,138 @@
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../models/AuditLog', () => ({ createLog: jest.fn() }));
+jest.mock('./ledgerService', () => ({
+  ...jest.requireActual('./ledgerService'),
+  post: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const ledgerService = require('./ledgerService');
+const { proposeAdjustment, approveAdjustment, rejectAdjustment, expireAdjustments } = require('./adjustmentService');
+
+// A query resolving `value`, as returned by Model.findById()
+const query = value => ({ session: () => Promise.resolve(value) });
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('adjustmentService', () => {
+  const session = {};
+  const maker = id();
+  const checker = { _id: id(), username: 'checker' };
+  let user;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    user = { _id: id(), balances: { USD: '100.00' } };
+    User.findById.mockReturnValue(query(user));
+    ledgerService.post.mockResolvedValue({ _id: id() });
+    jest.spyOn(BalanceAdjustment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('proposeAdjustment', () => {
+    it('records the difference to the new balance without posting anything', async () => {
+      const adjustment = await proposeAdjustment({ userId: user._id, currency: 'USD', newBalance: '75.50', reasonCode: 'error_correction', note: 'Duplicate deposit', proposedBy: maker, session });
+
+      expect(adjustment).toMatchObject({ status: 'pending', direction: 'debit', proposedBy: maker });
+      expect(adjustment.amount.toString()).toBe('24.50');
+      expect(adjustment.expiresAt.getTime()).toBeGreaterThan(Date.now() + 47 * 60 * 60 * 1000);
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('refuses a new balance equal to the current one', async () => {
+      await expect(proposeAdjustment({ userId: user._id, currency: 'USD', newBalance: '100', reasonCode: 'error_correction', proposedBy: maker, session }))
+        .rejects.toMatchObject({ code: 'NO_CHANGE' });
+    });
+  });
+
+  describe('approveAdjustment', () => {
+    // The pending proposal as claimed by the approver
+    const claimed = fields => new BalanceAdjustment({
+      user: user._id,
+      currency: 'USD',
+      direction: 'credit',
+      amount: '25.00',
+      proposedFrom: '100.00',
+      proposedTo: '125.00',
+      reasonCode: 'error_correction',
+      note: 'Missing deposit',
+      proposedBy: maker,
+      status: 'approved',
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      ...fields
+    });
+
+    it('claims only pending, unexpired proposals', async () => {
+      jest.spyOn(BalanceAdjustment, 'findOneAndUpdate').mockResolvedValue(null);
+      const adjustmentId = id();
+
+      await expect(approveAdjustment(adjustmentId, { approvedBy: checker, session })).rejects.toMatchObject({ code: 'ADJUSTMENT_NOT_PENDING' });
+
+      const [filter, update] = BalanceAdjustment.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: adjustmentId, status: 'pending', expiresAt: { $gt: expect.any(Date) } });
+      expect(update.$set).toMatchObject({ status: 'approved', reviewedBy: checker._id });
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('posts a credit from the adjustments account and records the balance it applied to', async () => {
+      jest.spyOn(BalanceAdjustment, 'findOneAndUpdate').mockResolvedValue(claimed());
+      user.balances.USD = '110.00';
+
+      const { adjustment, transaction } = await approveAdjustment(id(), { approvedBy: checker, session });
+
+      expect(ledgerService.post.mock.calls[0][0]).toMatchObject({
+        type: 'adjustment',
+        postings: ledgerService.move(ledgerService.systemAccount('adjustments'), ledgerService.userAccount(user._id), 'USD', '25.00'),
+        createdBy: checker._id
+      });
+      expect(adjustment.balanceBefore.toString()).toBe('110.00');
+      expect(adjustment.balanceAfter.toString()).toBe('135.00');
+      expect(transaction).toMatchObject({ type: 'adjustment', status: 'completed' });
+      expect(adjustment.transaction).toEqual(transaction._id);
+    });
+
+    it('posts a debit to the adjustments account', async () => {
+      jest.spyOn(BalanceAdjustment, 'findOneAndUpdate').mockResolvedValue(claimed({ direction: 'debit' }));
+
+      const { adjustment } = await approveAdjustment(id(), { approvedBy: checker, session });
+
+      expect(ledgerService.post.mock.calls[0][0].postings)
+        .toEqual(ledgerService.move(ledgerService.userAccount(user._id), ledgerService.systemAccount('adjustments'), 'USD', '25.00'));
+      expect(adjustment.balanceAfter.toString()).toBe('75.00');
+    });
+  });
+
+  describe('rejectAdjustment', () => {
+    it('rejects only pending proposals', async () => {
+      jest.spyOn(BalanceAdjustment, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(rejectAdjustment(id(), { rejectedBy: checker, reason: 'No evidence', session })).rejects.toMatchObject({ code: 'ADJUSTMENT_NOT_PENDING' });
+      expect(BalanceAdjustment.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'rejected', rejectionReason: 'No evidence' });
+    });
+  });
+
+  describe('expireAdjustments', () => {
+    it('expires proposals nobody reviewed in time and audits it', async () => {
+      const expired = { _id: id(), user: user._id, proposedBy: maker, direction: 'credit', amount: '25.00', currency: 'USD', reasonCode: 'error_correction' };
+      jest.spyOn(BalanceAdjustment, 'find').mockResolvedValue([{ _id: expired._id }]);
+      jest.spyOn(BalanceAdjustment, 'findOneAndUpdate').mockResolvedValue(expired);
+
+      await expireAdjustments();
+
+      expect(BalanceAdjustment.findOneAndUpdate).toHaveBeenCalledWith({ _id: expired._id, status: 'pending' }, { $set: { status: 'expired' } }, { new: true });
+      expect(AuditLog.createLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'adjustment_expire', user: maker }));
+    });
+  });
+});
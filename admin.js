@@ -6,23 +6,47 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
-const { protect, authorize } = require('../middleware/auth');
+const JournalEntry = require('../models/JournalEntry');
+const Hold = require('../models/Hold');
+const Account = require('../models/Account');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const Notification = require('../models/Notification');
+const { protect, requirePermission } = require('../middleware/auth');
+const { ROLES, PRIVILEGED_ROLES, ROLE_PERMISSIONS, PERMISSIONS, hasPermission, getPermissions, outranksOrEquals } = require('../config/permissions');
+const { validate, schemas } = require('../middleware/validation');
 const { logger } = require('../middleware/logger');
+const ledgerService = require('../services/ledgerService');
+const holdService = require('../services/holdService');
+const reconciliationService = require('../services/reconciliationService');
+const adjustmentService = require('../services/adjustmentService');
+const reversalService = require('../services/reversalService');
+const { withTransaction } = require('../utils/dbTransaction');
+const money = require('../utils/money');
+const { ROUNDING } = require('../config/currencies');
+
+// Lifetime of an impersonation session, in minutes
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
 
 // @route   GET /api/admin/stats
 // @desc    Get system statistics
-// @access  Private (Admin only)
-router.get('/stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private (stats:read)
+router.get('/stats', protect, requirePermission('stats:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ status: 'active' });
     const totalTransactions = await Transaction.countDocuments();
-    const systemVolume = await Transaction.aggregate([
-      { $group: { _id: null, total: { $sum: '$amount' } } }
+    // Volume per currency; amounts in different currencies cannot be added up
+    const volumeByCurrency = await Transaction.aggregate([
+      { $group: { _id: '$currency', total: { $sum: '$amount' } } }
     ]);
+    const systemVolume = Object.fromEntries(volumeByCurrency
+      .filter(({ _id }) => money.isSupported(_id))
+      .map(({ _id, total }) => [_id, money.normalize(total.toString(), _id, ROUNDING.REPORTING)]));
 
-    const activeSessions = totalUsers; // Simplified - in production, use session store
+    const activeSessions = await Session.countActive();
 
     res.status(200).json({
       success: true,
@@ -30,7 +54,7 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
         totalUsers,
         activeUsers,
         totalTransactions,
-        systemVolume: systemVolume[0]?.total || 0,
+        systemVolume,
         activeSessions,
         systemStatus: 'healthy'
       }
@@ -49,8 +73,8 @@ router.get('/stats', protect, authorize('admin'), async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users
-// @access  Private (Admin only)
-router.get('/users', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:read)
+router.get('/users', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const { limit = 50, offset = 0, status, role } = req.query;
 
@@ -89,8 +113,8 @@ router.get('/users', protect, authorize('admin'), async (req, res) => {
 
 // @route   PUT /api/admin/users/:userId/status
 // @desc    Update user status
-// @access  Private (Admin only)
-router.put('/users/:userId/status', protect, authorize('admin'), async (req, res) => {
+// @access  Private (users:status)
+router.put('/users/:userId/status', protect, requirePermission('users:status'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { status } = req.body;
@@ -153,19 +177,1258 @@ router.put('/users/:userId/status', protect, authorize('admin'), async (req, res
   }
 });
 
+// @route   GET /api/admin/roles
+// @desc    Get roles and the permissions they grant
+// @access  Private (users:read)
+router.get('/roles', protect, requirePermission('users:read'), async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      roles: ROLES.map(role => ({
+        role,
+        permissions: ROLE_PERMISSIONS[role]
+      })),
+      permissions: PERMISSIONS
+    }
+  });
+});
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Assign a role to a user
+// @access  Private (roles:assign)
+router.put('/users/:userId/role', protect, requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ROLE',
+          message: 'Invalid role'
+        }
+      });
+    }
+
+    if (req.user._id.toString() === userId) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You cannot change your own role'
+        }
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const previousRole = user.role;
+    const touchesPrivilegedRole = PRIVILEGED_ROLES.includes(role) || PRIVILEGED_ROLES.includes(previousRole);
+
+    // Nobody can grant or take away more power than they hold themselves
+    if ((touchesPrivilegedRole && !hasPermission(req.user.role, 'admins:manage')) ||
+        !outranksOrEquals(req.user.role, role) ||
+        !outranksOrEquals(req.user.role, previousRole)) {
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'role_change',
+        entityType: 'user',
+        entityId: user._id,
+        description: `Admin ${req.user.username} was denied changing user ${user.username} role from ${previousRole} to ${role}`,
+        status: 'failure',
+        metadata: {
+          previousRole,
+          requestedRole: role
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `You are not allowed to change a ${previousRole} to ${role}`
+        }
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'role_change',
+      entityType: 'user',
+      entityId: user._id,
+      description: `Admin ${req.user.username} changed user ${user.username} role from ${previousRole} to ${role}`,
+      metadata: {
+        previousRole,
+        newRole: role
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Admin ${req.user.username} changed user ${user.username} role from ${previousRole} to ${role}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        userId: user._id,
+        previousRole,
+        role: user.role,
+        permissions: user.permissions
+      }
+    });
+  } catch (error) {
+    logger.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_ROLE_UPDATE_FAILED',
+        message: 'Failed to update user role'
+      }
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:userId/sessions
+// @desc    Get a user's active sessions
+// @access  Private (users:read)
+router.get('/users/:userId/sessions', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        sessionId: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        impersonator: session.impersonator,
+        impersonationMode: session.impersonationMode
+      }))
+    });
+  } catch (error) {
+    logger.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSIONS_FETCH_FAILED',
+        message: 'Failed to fetch sessions'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:userId/sessions/:sessionId
+// @desc    Revoke a user's session
+// @access  Private (users:sessions)
+router.delete('/users/:userId/sessions/:sessionId', protect, requirePermission('users:sessions'), async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'admin_revoked' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'admin_action',
+      entityType: 'session',
+      entityId: sessionId,
+      description: `Admin ${req.user.username} revoked session ${sessionId} of user ${userId}`,
+      metadata: {
+        targetUser: userId
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Admin ${req.user.username} revoked session ${sessionId} of user ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Admin revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_FAILED',
+        message: 'Failed to revoke session'
+      }
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:userId/ledger
+// @desc    Get a user's journal entries and the balances they add up to
+// @access  Private (users:read)
+router.get('/users/:userId/ledger', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit = 50, offset = 0, currency } = req.query;
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const entries = await JournalEntry.getUserEntries(userId, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      currency
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cachedBalances: user.toJSON().balances,
+        ledgerBalances: await JournalEntry.getUserBalances(userId),
+        ledgerOpenedAt: user.ledgerOpenedAt,
+        accounts: await Account.find({ user: userId }).sort({ currency: 1, isPrimary: -1, createdAt: 1 }),
+        entries
+      },
+      meta: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get user ledger error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LEDGER_FETCH_FAILED',
+        message: 'Failed to fetch ledger'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/balances/rebuild
+// @desc    Rebuild a user's cached balances from the journal
+// @access  Private (balances:adjust)
+router.post('/users/:userId/balances/rebuild', protect, requirePermission('balances:adjust'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await withTransaction(session => ledgerService.rebuildBalances(userId, session));
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'admin_action',
+      entityType: 'user',
+      entityId: userId,
+      description: `Admin ${req.user.username} rebuilt balances of user ${userId} from the ledger`,
+      metadata: {
+        before: result.before,
+        after: result.after,
+        corrected: result.drift
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.drift.length > 0
+        ? `Balances rebuilt; corrected ${result.drift.join(', ')}`
+        : 'Balances already match the ledger',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Rebuild balances error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BALANCE_REBUILD_FAILED',
+        message: 'Failed to rebuild balances'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:userId/impersonate
+// @desc    Start a time-limited session acting as a customer (read-only by default)
+// @access  Private (users:impersonate; full mode needs users:impersonate_write)
+router.post('/users/:userId/impersonate', protect, requirePermission('users:impersonate'), validate(schemas.impersonate), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, mode } = req.body;
+
+    if (mode === 'full' && !hasPermission(req.user.role, 'users:impersonate_write')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Missing required permission(s): users:impersonate_write'
+        }
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    // Only customers can be impersonated, never staff (including yourself)
+    if (getPermissions(user.role).length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Staff accounts cannot be impersonated'
+        }
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_SUSPENDED',
+          message: 'Account is not active'
+        }
+      });
+    }
+
+    const session = await Session.startImpersonation(user._id, req.user._id, {
+      mode,
+      reason,
+      minutes: IMPERSONATION_EXPIRE_MINUTES,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const token = user.generateAuthToken(session._id, {
+      impersonator: req.user._id,
+      expiresIn: IMPERSONATION_EXPIRE_MINUTES * 60
+    });
+
+    await AuditLog.createLog({
+      user: user._id,
+      impersonatedBy: req.user._id,
+      action: 'impersonation_start',
+      entityType: 'session',
+      entityId: session._id,
+      description: `Admin ${req.user.username} started ${mode} impersonation of user ${user.username}`,
+      metadata: {
+        mode,
+        reason,
+        expiresAt: session.expiresAt
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Admin ${req.user.username} started ${mode} impersonation of user ${user.username}`);
+
+    // The token is returned rather than set as a cookie so the admin's own session is kept
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation session started',
+      data: {
+        token,
+        sessionId: session._id,
+        user: {
+          id: user._id,
+          username: user.username,
+          email: user.email
+        },
+        mode,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'IMPERSONATION_FAILED',
+        message: 'Failed to start impersonation'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/admin/impersonations/:sessionId
+// @desc    End an impersonation session
+// @access  Private (users:impersonate for your own sessions, users:sessions for others')
+router.delete('/impersonations/:sessionId', protect, requirePermission('users:impersonate'), async (req, res) => {
+  try {
+    const query = {
+      _id: req.params.sessionId,
+      impersonator: { $exists: true },
+      revokedAt: { $exists: false }
+    };
+
+    if (!hasPermission(req.user.role, 'users:sessions')) {
+      query.impersonator = req.user._id;
+    }
+
+    const session = await Session.findOneAndUpdate(
+      query,
+      { $set: { revokedAt: new Date(), revokedReason: 'impersonation_ended' } },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Impersonation session not found'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: session.user,
+      impersonatedBy: session.impersonator,
+      action: 'impersonation_end',
+      entityType: 'session',
+      entityId: session._id,
+      description: `Admin ${req.user.username} ended impersonation session ${session._id}`,
+      metadata: {
+        endedBy: req.user._id
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Admin ${req.user.username} ended impersonation session ${session._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation session ended'
+    });
+  } catch (error) {
+    logger.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_FAILED',
+        message: 'Failed to end impersonation session'
+      }
+    });
+  }
+});
+
+// @route   GET /api/admin/holds
+// @desc    List holds on user funds
+// @access  Private (users:read)
+router.get('/holds', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status, user, currency } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+    if (currency) query.currency = currency;
+
+    const holds = await Hold.find(query)
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+
+    const total = await Hold.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: holds,
+      meta: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get holds error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'HOLDS_FETCH_FAILED',
+        message: 'Failed to fetch holds'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/holds/:holdId/capture
+// @desc    Capture a hold: post the held funds and complete its transaction
+// @access  Private (balances:adjust)
+router.post('/holds/:holdId/capture', protect, requirePermission('balances:adjust'), async (req, res) => {
+  try {
+    const hold = await withTransaction(async (session) => {
+      const { hold, entry } = await holdService.captureHold(req.params.holdId, {
+        createdBy: req.user._id,
+        session
+      });
+
+      if (hold.transaction) {
+        await Transaction.updateOne(
+          { _id: hold.transaction },
+          { $set: { status: 'completed', journalEntry: entry._id } },
+          { session }
+        );
+      }
+
+      await new Notification({
+        user: hold.user,
+        type: 'transaction',
+        title: 'Transaction Completed',
+        message: `${hold.description} has completed`,
+        data: {
+          holdId: hold._id,
+          transactionId: hold.transaction,
+          currency: hold.currency,
+          amount: hold.amount
+        },
+        priority: 'normal'
+      }).save({ session });
+
+      await AuditLog.createLog({
+        user: hold.user,
+        action: 'hold_capture',
+        entityType: 'hold',
+        entityId: hold._id,
+        description: `Admin ${req.user.username} captured hold of ${hold.amount} ${hold.currency}`,
+        metadata: {
+          capturedBy: req.user._id,
+          transactionId: hold.transaction,
+          journalEntry: entry._id
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return hold;
+    });
+
+    logger.info(`Admin ${req.user.username} captured hold ${hold._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold captured',
+      data: hold
+    });
+  } catch (error) {
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Capture hold error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'HOLD_CAPTURE_FAILED',
+        message: 'Failed to capture hold'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/holds/:holdId/release
+// @desc    Release a hold: return the funds and fail its transaction
+// @access  Private (balances:adjust)
+router.post('/holds/:holdId/release', protect, requirePermission('balances:adjust'), validate(schemas.releaseHold), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const hold = await withTransaction(async (session) => {
+      const hold = await holdService.releaseHold(req.params.holdId, { reason, session });
+
+      if (hold.transaction) {
+        await Transaction.updateOne(
+          { _id: hold.transaction, status: { $in: ['pending', 'processing'] } },
+          { $set: { status: 'failed' } },
+          { session }
+        );
+      }
+
+      await new Notification({
+        user: hold.user,
+        type: 'transaction',
+        title: 'Funds Released',
+        message: `${hold.description} did not go through; ${hold.amount} ${hold.currency} is available again`,
+        data: {
+          holdId: hold._id,
+          transactionId: hold.transaction,
+          currency: hold.currency,
+          amount: hold.amount
+        },
+        priority: 'high'
+      }).save({ session });
+
+      await AuditLog.createLog({
+        user: hold.user,
+        action: 'hold_release',
+        entityType: 'hold',
+        entityId: hold._id,
+        description: `Admin ${req.user.username} released hold of ${hold.amount} ${hold.currency}: ${reason}`,
+        metadata: {
+          releasedBy: req.user._id,
+          transactionId: hold.transaction,
+          reason
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return hold;
+    });
+
+    logger.info(`Admin ${req.user.username} released hold ${hold._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold released',
+      data: hold
+    });
+  } catch (error) {
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Release hold error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'HOLD_RELEASE_FAILED',
+        message: 'Failed to release hold'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/transactions/:id/reverse
+// @desc    Reverse a completed send or receive, in full or in part, with a compensating transaction
+// @access  Private (transactions:reverse)
+router.post('/transactions/:id/reverse', protect, requirePermission('transactions:reverse'), validate(schemas.reverseTransaction), async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    const original = await Transaction.findById(req.params.id);
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSACTION_NOT_FOUND',
+          message: 'Transaction not found'
+        }
+      });
+    }
+
+    // Staff cannot refund payments they are a party to
+    const parties = [original.user, original.sender.user, original.recipient.user].filter(Boolean);
+    if (parties.some(party => party.equals(req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'SELF_REVERSAL_NOT_ALLOWED',
+          message: 'Transactions you are a party to must be reversed by another admin'
+        }
+      });
+    }
+
+    const { originals, reversals } = await withTransaction(async (session) => {
+      const result = await reversalService.reverseTransaction(original._id, {
+        amount,
+        reason,
+        reversedBy: req.user,
+        session
+      });
+      const { originals, reversals, entry } = result;
+
+      for (const [i, reversal] of reversals.entries()) {
+        const reversed = originals[i];
+        const credited = reversal.metadata.get('direction') === 'credit';
+
+        await new Notification({
+          user: reversal.user,
+          type: 'transaction',
+          title: credited ? 'Refund Received' : 'Transaction Reversed',
+          message: credited
+            ? `${reversal.amount} ${reversal.currency} of transaction ${reversed.reference} was refunded to you`
+            : `${reversal.amount} ${reversal.currency} received in transaction ${reversed.reference} was reversed`,
+          data: {
+            transactionId: reversal._id,
+            originalTransactionId: reversed._id,
+            currency: reversal.currency,
+            amount: reversal.amount
+          },
+          priority: 'high'
+        }).save({ session });
+
+        await AuditLog.createLog({
+          user: req.user._id,
+          action: 'transaction_reverse',
+          entityType: 'transaction',
+          entityId: reversed._id,
+          description: `Admin ${req.user.username} reversed ${reversal.amount} ${reversal.currency} of ${reversed.type} ${reversed.reference} (${reversal.metadata.get('direction')} to user ${reversal.user}): ${reason}`,
+          metadata: {
+            targetUser: reversal.user,
+            reversalTransactionId: reversal._id,
+            amount: reversal.amount,
+            direction: reversal.metadata.get('direction'),
+            reversedAmount: reversed.reversedAmount,
+            originalAmount: reversed.amount,
+            status: reversed.status,
+            reason,
+            journalEntry: entry._id
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }, { session });
+      }
+
+      return result;
+    });
+
+    logger.info(`Admin ${req.user.username} reversed ${reversals[0].amount} ${reversals[0].currency} of transaction ${original.reference}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Transaction reversed',
+      data: {
+        transactions: originals,
+        reversals
+      }
+    });
+  } catch (error) {
+    // e.g. not completed, more than is left, or a debit the recipient cannot cover
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Reverse transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVERSAL_FAILED',
+        message: 'Failed to reverse transaction'
+      }
+    });
+  }
+});
+
+// @route   PUT /api/admin/accounts/:id/status
+// @desc    Freeze or unfreeze a user's account
+// @access  Private (users:status)
+router.put('/accounts/:id/status', protect, requirePermission('users:status'), validate(schemas.updateAccountStatus), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const account = await Account.findOneAndUpdate(
+      { _id: req.params.id, status: { $ne: 'closed' } },
+      { $set: { status } },
+      { new: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_FOUND',
+          message: 'Account not found or closed'
+        }
+      });
+    }
+
+    await new Notification({
+      user: account.user,
+      type: 'security',
+      title: status === 'frozen' ? 'Account Frozen' : 'Account Unfrozen',
+      message: status === 'frozen'
+        ? `Your ${account.currency} account "${account.name}" has been frozen; it can receive money but not pay out`
+        : `Your ${account.currency} account "${account.name}" is active again`,
+      data: {
+        accountId: account._id
+      },
+      priority: 'high'
+    }).save();
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'account_status',
+      entityType: 'account',
+      entityId: account._id,
+      description: `Admin ${req.user.username} set account ${account._id} of user ${account.user} to ${status}: ${reason}`,
+      metadata: {
+        targetUser: account.user,
+        status,
+        reason
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`Admin ${req.user.username} set account ${account._id} to ${status}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Account ${status === 'frozen' ? 'frozen' : 'unfrozen'}`,
+      data: account
+    });
+  } catch (error) {
+    logger.error('Update account status error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_STATUS_UPDATE_FAILED',
+        message: 'Failed to update account status'
+      }
+    });
+  }
+});
+
+// @route   GET /api/admin/adjustments
+// @desc    List balance adjustment proposals (pending by default)
+// @access  Private (balances:adjust)
+router.get('/adjustments', protect, requirePermission('balances:adjust'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status = 'pending', user, currency } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (user) query.user = user;
+    if (currency) query.currency = currency;
+
+    const adjustments = await BalanceAdjustment.find(query)
+      .populate('user', 'username email')
+      .populate('proposedBy', 'username')
+      .populate('reviewedBy', 'username')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+
+    const total = await BalanceAdjustment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: adjustments,
+      meta: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get balance adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADJUSTMENTS_FETCH_FAILED',
+        message: 'Failed to fetch balance adjustments'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/adjustments/:id/approve
+// @desc    Approve another admin's balance adjustment and post it
+// @access  Private (balances:adjust)
+router.post('/adjustments/:id/approve', protect, requirePermission('balances:adjust'), async (req, res) => {
+  try {
+    const proposal = await BalanceAdjustment.findById(req.params.id);
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ADJUSTMENT_NOT_FOUND',
+          message: 'Balance adjustment not found'
+        }
+      });
+    }
+
+    // Maker-checker: the approver must be someone other than the proposer and the account holder
+    if (proposal.proposedBy.equals(req.user._id) || proposal.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'SELF_APPROVAL_NOT_ALLOWED',
+          message: 'A balance adjustment must be approved by an admin other than its proposer and the account holder'
+        }
+      });
+    }
+
+    const { adjustment, transaction } = await withTransaction(async (session) => {
+      const result = await adjustmentService.approveAdjustment(proposal._id, {
+        approvedBy: req.user,
+        session
+      });
+      const { adjustment, transaction, entry } = result;
+
+      await new Notification({
+        user: adjustment.user,
+        type: 'transaction',
+        title: 'Balance Adjusted',
+        message: `Your ${adjustment.currency} balance was ${adjustment.direction === 'credit' ? 'credited' : 'debited'} ${adjustment.amount} ${adjustment.currency}`,
+        data: {
+          transactionId: transaction._id,
+          currency: adjustment.currency,
+          amount: adjustment.amount
+        },
+        priority: 'high'
+      }).save({ session });
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'adjustment_approve',
+        entityType: 'adjustment',
+        entityId: adjustment._id,
+        description: `Admin ${req.user.username} approved balance adjustment of user ${adjustment.user}: ${adjustment.currency} ${adjustment.balanceBefore} -> ${adjustment.balanceAfter} (${adjustment.reasonCode})`,
+        metadata: {
+          targetUser: adjustment.user,
+          proposedBy: adjustment.proposedBy,
+          currency: adjustment.currency,
+          direction: adjustment.direction,
+          amount: adjustment.amount,
+          before: adjustment.balanceBefore,
+          after: adjustment.balanceAfter,
+          reasonCode: adjustment.reasonCode,
+          note: adjustment.note,
+          transactionId: transaction._id,
+          journalEntry: entry._id
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return result;
+    });
+
+    logger.info(`Admin ${req.user.username} approved balance adjustment ${adjustment._id}: ${adjustment.currency} ${adjustment.balanceBefore} -> ${adjustment.balanceAfter}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance adjustment approved and posted',
+      data: {
+        adjustment,
+        transaction
+      }
+    });
+  } catch (error) {
+    // e.g. already reviewed, expired, or a debit the available balance cannot cover
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Approve balance adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADJUSTMENT_APPROVE_FAILED',
+        message: 'Failed to approve balance adjustment'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/adjustments/:id/reject
+// @desc    Reject a pending balance adjustment (the proposer may withdraw their own)
+// @access  Private (balances:adjust)
+router.post('/adjustments/:id/reject', protect, requirePermission('balances:adjust'), validate(schemas.rejectAdjustment), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const adjustment = await withTransaction(async (session) => {
+      const adjustment = await adjustmentService.rejectAdjustment(req.params.id, {
+        rejectedBy: req.user,
+        reason,
+        session
+      });
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'adjustment_reject',
+        entityType: 'adjustment',
+        entityId: adjustment._id,
+        description: `Admin ${req.user.username} rejected balance adjustment of user ${adjustment.user}: ${reason}`,
+        metadata: {
+          targetUser: adjustment.user,
+          proposedBy: adjustment.proposedBy,
+          currency: adjustment.currency,
+          before: adjustment.proposedFrom,
+          after: adjustment.proposedTo,
+          reasonCode: adjustment.reasonCode,
+          reason
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return adjustment;
+    });
+
+    logger.info(`Admin ${req.user.username} rejected balance adjustment ${adjustment._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Balance adjustment rejected',
+      data: adjustment
+    });
+  } catch (error) {
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Reject balance adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADJUSTMENT_REJECT_FAILED',
+        message: 'Failed to reject balance adjustment'
+      }
+    });
+  }
+});
+
+// @route   POST /api/admin/reconciliation/run
+// @desc    Run the balance reconciliation now
+// @access  Private (audit:read)
+router.post('/reconciliation/run', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const summary = await reconciliationService.runReconciliation();
+
+    if (!summary) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'RECONCILIATION_RUNNING',
+          message: 'A reconciliation run is already in progress'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'admin_action',
+      description: `Admin ${req.user.username} ran balance reconciliation`,
+      metadata: summary,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Run reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RECONCILIATION_FAILED',
+        message: 'Failed to run reconciliation'
+      }
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/discrepancies
+// @desc    List balance mismatches found by reconciliation
+// @access  Private (audit:read)
+router.get('/reconciliation/discrepancies', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status = 'open', user, currency, kind } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (user) query.user = user;
+    if (currency) query.currency = currency;
+    if (kind) query.kind = kind;
+
+    const discrepancies = await BalanceDiscrepancy.find(query)
+      .populate('user', 'username email')
+      .sort({ lastDetectedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+
+    const total = await BalanceDiscrepancy.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: discrepancies,
+      meta: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get discrepancies error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DISCREPANCIES_FETCH_FAILED',
+        message: 'Failed to fetch discrepancies'
+      }
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/discrepancies/:id
+// @desc    Get a mismatch with the records behind the expected figure
+// @access  Private (audit:read)
+router.get('/reconciliation/discrepancies/:id', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const discrepancy = await BalanceDiscrepancy.findById(req.params.id)
+      .populate('user', 'username email');
+
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DISCREPANCY_NOT_FOUND',
+          message: 'Discrepancy not found'
+        }
+      });
+    }
+
+    const userId = discrepancy.user._id;
+    const { currency } = discrepancy;
+    const data = { discrepancy };
+
+    if (discrepancy.kind === 'balance') {
+      // Journal entries make up the ledger balance; totals show what kind
+      const entries = await JournalEntry.find({ postings: { $elemMatch: { user: userId, currency } } })
+        .populate('transaction', 'type status reference amount currency createdAt')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(offset));
+
+      data.totalsByType = await JournalEntry.getUserTotalsByType(userId, currency);
+      data.entries = entries;
+    } else {
+      data.holds = await Hold.find({ user: userId, currency, status: 'active' })
+        .populate('transaction', 'type status reference amount currency createdAt')
+        .sort({ createdAt: -1 });
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get discrepancy error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DISCREPANCY_FETCH_FAILED',
+        message: 'Failed to fetch discrepancy'
+      }
+    });
+  }
+});
+
 // @route   GET /api/admin/audit-logs
 // @desc    Get audit logs
-// @access  Private (Admin only)
-router.get('/audit-logs', protect, authorize('admin'), async (req, res) => {
+// @access  Private (audit:read)
+router.get('/audit-logs', protect, requirePermission('audit:read'), async (req, res) => {
   try {
-    const { limit = 100, offset = 0, action, user } = req.query;
+    const { limit = 100, offset = 0, action, user, impersonatedBy } = req.query;
 
     const query = {};
     if (action) query.action = action;
     if (user) query.user = user;
+    if (impersonatedBy) query.impersonatedBy = impersonatedBy;
 
     const logs = await AuditLog.find(query)
       .populate('user', 'username email')
+      .populate('impersonatedBy', 'username email')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(parseInt(offset));
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Signed in as an admin allowed to adjust balances
+const mockAdmin = { _id: new mongoose.Types.ObjectId(), username: 'checker' };
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockAdmin;
+    next();
+  },
+  requirePermission: () => (req, res, next) => next()
+}));
+jest.mock('../services/adjustmentService', () => ({ approveAdjustment: jest.fn() }));
+jest.mock('../utils/dbTransaction', () => ({ withTransaction: work => work({}) }));
+
+const express = require('express');
+const request = require('supertest');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const adjustmentService = require('../services/adjustmentService');
+const { LedgerError } = require('../services/ledgerService');
+const adminRoutes = require('./admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('POST /api/admin/adjustments/:id/approve', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    adjustmentService.approveAdjustment.mockReset();
+  });
+
+  const approve = proposal => {
+    jest.spyOn(BalanceAdjustment, 'findById').mockResolvedValue(proposal);
+    return request(app).post(`/api/admin/adjustments/${proposal ? proposal._id : id()}/approve`);
+  };
+
+  it('does not let the proposer approve their own adjustment', async () => {
+    const res = await approve({ _id: id(), proposedBy: mockAdmin._id, user: id() });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('SELF_APPROVAL_NOT_ALLOWED');
+    expect(adjustmentService.approveAdjustment).not.toHaveBeenCalled();
+  });
+
+  it('does not let an admin approve an adjustment of their own balance', async () => {
+    const res = await approve({ _id: id(), proposedBy: id(), user: mockAdmin._id });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('SELF_APPROVAL_NOT_ALLOWED');
+    expect(adjustmentService.approveAdjustment).not.toHaveBeenCalled();
+  });
+
+  it('reports proposals that are not found', async () => {
+    const res = await approve(null);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('ADJUSTMENT_NOT_FOUND');
+  });
+
+  it('reports proposals already reviewed or expired', async () => {
+    adjustmentService.approveAdjustment.mockRejectedValue(new LedgerError('ADJUSTMENT_NOT_PENDING', 'Adjustment is not pending approval'));
+
+    const res = await approve({ _id: id(), proposedBy: id(), user: id() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('ADJUSTMENT_NOT_PENDING');
+    expect(adjustmentService.approveAdjustment).toHaveBeenCalledWith(expect.anything(), { approvedBy: mockAdmin, session: {} });
+  });
+});
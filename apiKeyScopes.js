@@ -0,0 +1,31 @@
+/**
+ * API Key Scopes
+ * Permissions that can be granted to an API key
+ */
+
+const API_KEY_SCOPES = {
+  'profile:read': 'Read profile and settings',
+  'profile:write': 'Update profile and settings',
+  'balances:read': 'Read balances',
+  'transactions:read': 'Read transaction history',
+  'transactions:write': 'Send, receive and transfer money',
+  'accounts:write': 'Open, rename and close accounts',
+  'crypto:read': 'Read crypto wallets and balances',
+  'crypto:write': 'Create wallets and send crypto',
+  'mining:read': 'Read mining status and addresses',
+  'mining:write': 'Start and stop mining',
+  'trading:read': 'Read trading status',
+  'trading:write': 'Toggle the trading robot and withdraw profit',
+  'notifications:read': 'Read notifications',
+  'notifications:write': 'Mark notifications as read',
+  // Stands in for step-up authentication, which API keys cannot do
+  'step_up:signed': 'Perform operations that need step-up authentication, in signed requests only'
+};
+
+// Keys created without explicit scopes are read-only
+const DEFAULT_API_KEY_SCOPES = Object.keys(API_KEY_SCOPES).filter(scope => scope.endsWith(':read'));
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_SCOPES
+};
@@ -5,7 +5,132 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
+const ApiNonce = require('../models/ApiNonce');
+const requestSigning = require('../utils/requestSigning');
+const { hasPermission } = require('../config/permissions');
+const { STEP_UP_RULES } = require('../config/stepUp');
+const { toUSD } = require('../config/currencies');
+
+// Accepted clock skew for signed requests, in seconds
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.API_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Verify an API key request signature.
+// Returns null when the request is acceptable, otherwise the error to send.
+const checkRequestSignature = async (req, keyRecord) => {
+  const signature = req.headers['x-signature'];
+  const timestamp = req.headers['x-timestamp'];
+  const nonce = req.headers['x-nonce'];
+
+  if (!signature && !timestamp && !nonce) {
+    return keyRecord.requireSignature
+      ? { code: 'SIGNATURE_REQUIRED', message: 'This API key requires signed requests' }
+      : null;
+  }
+
+  if (!signature || !/^\d+$/.test(timestamp || '') || !/^[A-Za-z0-9_-]{16,128}$/.test(nonce || '')) {
+    return { code: 'INVALID_SIGNATURE', message: 'X-Signature, X-Timestamp and X-Nonce headers are required for signed requests' };
+  }
+
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { code: 'STALE_REQUEST', message: 'Request timestamp is outside the allowed window' };
+  }
+
+  const secret = keyRecord.getSigningSecret();
+  const isValid = secret && requestSigning.verify(secret, {
+    timestamp,
+    nonce,
+    method: req.method,
+    path: req.originalUrl,
+    rawBody: req.rawBody
+  }, signature);
+
+  if (!isValid) {
+    return { code: 'INVALID_SIGNATURE', message: 'Request signature is invalid', alert: 'Invalid API request signature' };
+  }
+
+  // Nonces are kept for the whole window in which the timestamp is still accepted
+  const isFresh = await ApiNonce.consume(keyRecord._id, nonce, 2 * SIGNATURE_TOLERANCE_SECONDS * 1000);
+
+  if (!isFresh) {
+    return { code: 'REPLAYED_REQUEST', message: 'Request nonce has already been used', alert: 'Replayed API request rejected' };
+  }
+
+  return null;
+};
+
+// Load the session an access token belongs to, or null if it is no longer usable
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isActive() || session.user.toString() !== String(decoded.id)) {
+    return null;
+  }
+
+  return session;
+};
+
+// Methods an impersonator may use in read-only mode
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Mark a request made through an impersonation session, enforce its mode and
+// audit it with both the staff member and the user once the response is sent.
+// Returns null when the request may continue, otherwise the error to send.
+const applyImpersonation = async (req, res, session, user) => {
+  const admin = await User.findById(session.impersonator).select('username role status');
+
+  if (!admin || admin.status !== 'active' || !hasPermission(admin.role, 'users:impersonate')) {
+    await Session.revoke(session._id, 'impersonation_ended');
+    return { status: 401, code: 'SESSION_REVOKED', message: 'Impersonation session has ended' };
+  }
+
+  // Write access also depends on the admin still holding the permission for it
+  const mode = session.impersonationMode === 'full' && hasPermission(admin.role, 'users:impersonate_write')
+    ? 'full'
+    : 'read_only';
+
+  req.impersonator = admin;
+  req.impersonation = {
+    sessionId: session._id,
+    admin: { id: admin._id, username: admin.username },
+    mode,
+    expiresAt: session.expiresAt
+  };
+  user.impersonatedBy = admin._id;
+  res.set('X-Impersonation', mode);
+
+  res.on('finish', () => {
+    AuditLog.createLog({
+      user: user._id,
+      impersonatedBy: admin._id,
+      action: 'impersonation_request',
+      entityType: 'session',
+      entityId: session._id,
+      description: `${admin.username} as ${user.username}: ${req.method} ${req.originalUrl}`,
+      status: res.statusCode < 400 ? 'success' : 'failure',
+      metadata: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        mode
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Impersonation audit error:', error));
+  });
+
+  // Logging out is how an impersonator ends the session, so it is always allowed
+  const isLogout = req.method === 'POST' && req.originalUrl.split('?')[0] === '/api/auth/logout';
+
+  if (mode === 'read_only' && !READ_ONLY_METHODS.includes(req.method) && !isLogout) {
+    return { status: 403, code: 'IMPERSONATION_READ_ONLY', message: 'This impersonation session is read-only' };
+  }
+
+  return null;
+};
 
 // Protect routes - require JWT authentication
 exports.protect = async (req, res, next) => {
@@ -21,6 +146,11 @@ exports.protect = async (req, res, next) => {
       token = req.cookies.token;
     }
 
+    // Fall back to API key authentication for integration clients
+    if (!token && req.headers['x-api-key']) {
+      return exports.apiKeyAuth(req, res, next);
+    }
+
     // Check if token exists
     if (!token) {
       return res.status(401).json({
@@ -36,6 +166,19 @@ exports.protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject tokens whose session has been revoked or expired
+      const session = await findActiveSession(decoded);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'SESSION_REVOKED',
+            message: 'Session has been revoked or expired'
+          }
+        });
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
 
@@ -60,8 +203,26 @@ exports.protect = async (req, res, next) => {
         });
       }
 
-      // Add user to request object
+      // Staff acting as the user; protect can run twice on a route, so only once
+      if (session.isImpersonation() && !req.impersonation) {
+        const impersonationError = await applyImpersonation(req, res, session, user);
+
+        if (impersonationError) {
+          return res.status(impersonationError.status).json({
+            success: false,
+            error: {
+              code: impersonationError.code,
+              message: impersonationError.message
+            }
+          });
+        }
+      } else if (req.impersonation) {
+        user.impersonatedBy = req.impersonation.admin.id;
+      }
+
+      // Add user and session to request object
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -99,27 +260,82 @@ exports.apiKeyAuth = async (req, res, next) => {
       });
     }
 
-    // Find user by API key
-    const user = await User.findByApiKey(apiKey);
+    // Already authenticated by an earlier protect in the chain
+    if (req.apiKey) {
+      return next();
+    }
 
-    if (!user) {
+    // Find user and key record by API key
+    const result = await User.findByApiKey(apiKey);
+
+    if (!result || !result.apiKey.isUsable()) {
       return res.status(401).json({
         success: false,
         error: {
           code: 'INVALID_API_KEY',
-          message: 'Invalid API key'
+          message: 'Invalid or expired API key'
         }
       });
     }
 
-    // Update last used time for API key
-    const apiKeyIndex = user.apiKeys.findIndex(key => key.key === apiKey);
-    if (apiKeyIndex !== -1) {
-      user.apiKeys[apiKeyIndex].lastUsed = new Date();
-      await user.save();
+    const { user, apiKey: keyRecord } = result;
+
+    if (!keyRecord.allowsIp(req.ip)) {
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'security_alert',
+        entityType: 'apiKey',
+        entityId: keyRecord._id,
+        description: `API key ${keyRecord.prefix} used from IP outside its allowlist`,
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'IP_NOT_ALLOWED',
+          message: 'API key cannot be used from this IP address'
+        }
+      });
     }
 
+    // Verify the signature when the client signs or the key requires it
+    const signatureError = await checkRequestSignature(req, keyRecord);
+
+    if (signatureError) {
+      if (signatureError.alert) {
+        await AuditLog.createLog({
+          user: user._id,
+          action: 'security_alert',
+          entityType: 'apiKey',
+          entityId: keyRecord._id,
+          description: `${signatureError.alert} for API key ${keyRecord.prefix}`,
+          status: 'failure',
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: signatureError.code,
+          message: signatureError.message
+        }
+      });
+    }
+
+    // Update last used time for API key
+    await User.updateOne(
+      { _id: user._id, 'apiKeys._id': keyRecord._id },
+      { $set: { 'apiKeys.$.lastUsed': new Date(), 'apiKeys.$.lastUsedIp': req.ip } }
+    );
+
     req.user = user;
+    req.apiKey = keyRecord;
+    req.signedRequest = Boolean(req.headers['x-signature']);
     next();
   } catch (error) {
     console.error('API key auth error:', error);
@@ -133,6 +349,112 @@ exports.apiKeyAuth = async (req, res, next) => {
   }
 };
 
+// Require API key scopes. Session (JWT) requests are not scope-limited.
+exports.requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.apiKey || req.apiKey.hasScopes(scopes)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_SCOPE',
+        message: `API key is missing required scope(s): ${scopes.filter(scope => !req.apiKey.scopes.includes(scope)).join(', ')}`
+      }
+    });
+  };
+};
+
+// Require an interactive session - API keys cannot be used on this route
+exports.requireSession = (req, res, next) => {
+  if (req.apiKey || !req.authSession) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'SESSION_REQUIRED',
+        message: 'This route requires a signed-in session and cannot be used with an API key'
+      }
+    });
+  }
+  next();
+};
+
+// Require a verified email address (e.g. for outbound transfers)
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before making outbound transfers'
+      }
+    });
+  }
+  next();
+};
+
+// Require recent re-authentication for a high-risk operation (see config/stepUp.js).
+// The amount is read from req.body.amount, or from `amountOf(req)` when given,
+// in req.body.currency and compared in USD.
+// API keys cannot step up: above the threshold they need the step_up:signed scope
+// and a signed request, since a signature alone only proves the key was used.
+exports.requireStepUp = (operation, amountOf = req => req.body.amount) => {
+  const rule = STEP_UP_RULES[operation];
+
+  return (req, res, next) => {
+    const amountUSD = toUSD(req.body.currency, amountOf(req));
+
+    if (amountUSD < rule.thresholdUSD) {
+      return next();
+    }
+
+    if (req.apiKey) {
+      if (!req.apiKey.hasScopes(['step_up:signed'])) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'STEP_UP_REQUIRED',
+            message: `${rule.description} from ${rule.thresholdUSD} USD needs an API key with the step_up:signed scope, or a logged-in session that has stepped up`,
+            details: {
+              operation,
+              thresholdUSD: rule.thresholdUSD
+            }
+          }
+        });
+      }
+
+      if (req.signedRequest) {
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'SIGNATURE_REQUIRED',
+          message: `${rule.description} with an API key requires a signed request`
+        }
+      });
+    }
+
+    if (!req.authSession || !req.authSession.isElevated()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'STEP_UP_REQUIRED',
+          message: `${rule.description} requires recent re-authentication. Confirm your password or 2FA code at /api/auth/step-up and retry.`,
+          details: {
+            operation,
+            thresholdUSD: rule.thresholdUSD
+          }
+        }
+      });
+    }
+
+    next();
+  };
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -149,11 +471,29 @@ exports.authorize = (...roles) => {
   };
 };
 
-// Check if user is owner or admin
+// Grant access to users whose role has all of the given permissions
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: `Missing required permission(s): ${missing.join(', ')}`
+        }
+      });
+    }
+    next();
+  };
+};
+
+// Check if user is owner or staff allowed to read users
 exports.isOwnerOrAdmin = (req, res, next) => {
   const resourceUserId = req.params.userId || req.body.userId;
   
-  if (req.user.role === 'admin' || req.user._id.toString() === resourceUserId) {
+  if (hasPermission(req.user.role, 'users:read') || req.user._id.toString() === resourceUserId) {
     return next();
   }
   
@@ -187,15 +527,17 @@ exports.checkTwoFactor = async (req, res, next) => {
       });
     }
 
-    // Verify 2FA code (in production, use proper TOTP library)
-    const isValid = twoFactorCode.length === 6 && /^\d+$/.test(twoFactorCode);
+    // Verify the TOTP or backup code against the stored secret
+    const userWithSecret = await User.findById(user._id)
+      .select('+settings.twoFactorSecret +settings.twoFactorBackupCodes');
+    const { valid, reason } = await userWithSecret.verifyTwoFactorCode(twoFactorCode);
 
-    if (!isValid) {
+    if (!valid) {
       // Log failed 2FA attempt
       await AuditLog.createLog({
         user: user._id,
         action: 'security_alert',
-        description: 'Failed 2FA attempt',
+        description: reason === 'replayed' ? 'Replayed 2FA code rejected' : 'Failed 2FA attempt',
         status: 'failure',
         ipAddress: req.ip,
         userAgent: req.get('user-agent')
@@ -237,10 +579,12 @@ exports.optional = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
+        const session = await findActiveSession(decoded);
+        const user = session && await User.findById(decoded.id).select('-password');
         
         if (user && user.status === 'active') {
           req.user = user;
+          req.authSession = session;
         }
       } catch (error) {
         // Token invalid, but we don't fail
@@ -0,0 +1,276 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ApiNonce = require('../models/ApiNonce');
+const requestSigning = require('../utils/requestSigning');
+const { apiKeyAuth, requireScope, requireStepUp } = require('./auth');
+const { STEP_UP_RULES } = require('../config/stepUp');
+
+// Minimal Express response recording what was sent
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+}
+
+// An API key record granting `scopes`
+const apiKeyWith = scopes => ({
+  scopes,
+  hasScopes: wanted => wanted.every(scope => scopes.includes(scope))
+});
+
+describe('auth middleware', () => {
+  describe('requireScope', () => {
+    it('lets session requests through', () => {
+      const next = jest.fn();
+
+      requireScope('transactions:write')({}, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('lets API keys with every scope through', () => {
+      const next = jest.fn();
+      const req = { apiKey: apiKeyWith(['transactions:read', 'transactions:write']) };
+
+      requireScope('transactions:read', 'transactions:write')(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('names the scopes an API key is missing', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+      const req = { apiKey: apiKeyWith(['transactions:read']) };
+
+      requireScope('transactions:read', 'transactions:write', 'crypto:write')(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toEqual({
+        code: 'INSUFFICIENT_SCOPE',
+        message: 'API key is missing required scope(s): transactions:write, crypto:write'
+      });
+    });
+  });
+
+  describe('apiKeyAuth request signatures', () => {
+    const SECRET = 'c'.repeat(64);
+    const user = { _id: 'user-1', username: 'alice' };
+    let keyRecord;
+
+    // A request with the API key, signed with `secret` unless told otherwise
+    function signedRequest({ secret = SECRET, timestamp = String(Math.floor(Date.now() / 1000)), nonce = 'nonce-0123456789abcdef', signed = true, tamper } = {}) {
+      const req = {
+        method: 'POST',
+        originalUrl: '/api/transactions/send',
+        rawBody: '{"amount":"10.00"}',
+        ip: '203.0.113.7',
+        headers: { 'x-api-key': `gbk_${'1'.repeat(8)}_${'2'.repeat(64)}` },
+        get: () => 'jest'
+      };
+
+      if (signed) {
+        req.headers['x-timestamp'] = timestamp;
+        req.headers['x-nonce'] = nonce;
+        req.headers['x-signature'] = requestSigning.sign(secret, {
+          timestamp,
+          nonce,
+          method: req.method,
+          path: req.originalUrl,
+          rawBody: req.rawBody
+        });
+      }
+
+      if (tamper) req.rawBody = tamper;
+      return req;
+    }
+
+    beforeEach(() => {
+      keyRecord = {
+        _id: 'key-1',
+        prefix: '11111111',
+        requireSignature: false,
+        isUsable: () => true,
+        allowsIp: () => true,
+        getSigningSecret: () => SECRET
+      };
+      jest.spyOn(User, 'findByApiKey').mockImplementation(async () => ({ user, apiKey: keyRecord }));
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+      jest.spyOn(AuditLog, 'createLog').mockResolvedValue({});
+      jest.spyOn(ApiNonce, 'consume').mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('accepts a correctly signed request and marks it signed', async () => {
+      const req = signedRequest();
+      const next = jest.fn();
+
+      await apiKeyAuth(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toBe(user);
+      expect(req.signedRequest).toBe(true);
+      expect(ApiNonce.consume).toHaveBeenCalledWith('key-1', 'nonce-0123456789abcdef', 600 * 1000);
+    });
+
+    it('accepts unsigned requests unless the key requires signatures', async () => {
+      const next = jest.fn();
+      const req = signedRequest({ signed: false });
+
+      await apiKeyAuth(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+      expect(req.signedRequest).toBe(false);
+
+      keyRecord.requireSignature = true;
+      const res = mockResponse();
+      await apiKeyAuth(signedRequest({ signed: false }), res, jest.fn());
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error.code).toBe('SIGNATURE_REQUIRED');
+    });
+
+    it('rejects a signature over a different body and raises a security alert', async () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await apiKeyAuth(signedRequest({ tamper: '{"amount":"9999.00"}' }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+      expect(AuditLog.createLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'security_alert' }));
+      expect(ApiNonce.consume).not.toHaveBeenCalled();
+    });
+
+    it('rejects a signature made with another secret', async () => {
+      const res = mockResponse();
+
+      await apiKeyAuth(signedRequest({ secret: 'd'.repeat(64) }), res, jest.fn());
+
+      expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('rejects incomplete signature headers', async () => {
+      const req = signedRequest();
+      delete req.headers['x-nonce'];
+      const res = mockResponse();
+
+      await apiKeyAuth(req, res, jest.fn());
+
+      expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('rejects timestamps outside the allowed window', async () => {
+      for (const offset of [-301, 301]) {
+        const res = mockResponse();
+
+        await apiKeyAuth(signedRequest({ timestamp: String(Math.floor(Date.now() / 1000) + offset) }), res, jest.fn());
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error.code).toBe('STALE_REQUEST');
+      }
+    });
+
+    it('rejects a replayed nonce', async () => {
+      ApiNonce.consume.mockResolvedValue(false);
+      const res = mockResponse();
+      const next = jest.fn();
+
+      await apiKeyAuth(signedRequest(), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.body.error.code).toBe('REPLAYED_REQUEST');
+      expect(AuditLog.createLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'security_alert' }));
+    });
+
+    it('rejects unknown and unusable keys', async () => {
+      User.findByApiKey.mockResolvedValueOnce(null);
+      const res = mockResponse();
+      await apiKeyAuth(signedRequest(), res, jest.fn());
+      expect(res.body.error.code).toBe('INVALID_API_KEY');
+
+      keyRecord.isUsable = () => false;
+      const expired = mockResponse();
+      await apiKeyAuth(signedRequest(), expired, jest.fn());
+      expect(expired.body.error.code).toBe('INVALID_API_KEY');
+    });
+  });
+
+  describe('requireStepUp', () => {
+    const threshold = STEP_UP_RULES.send_money.thresholdUSD;
+    const below = String(threshold - 1);
+    const above = String(threshold);
+
+    // Run the send_money check for a request; resolves the response and whether it went on
+    function check(req) {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      requireStepUp('send_money')({ ...req, body: { currency: 'USD', ...req.body } }, res, next);
+
+      return { res, passed: next.mock.calls.length === 1 };
+    }
+
+    const session = elevated => ({ isElevated: () => elevated });
+
+    it('lets amounts below the threshold through without a step-up', () => {
+      expect(check({ body: { amount: below }, authSession: session(false) }).passed).toBe(true);
+      expect(check({ body: { amount: below }, apiKey: apiKeyWith([]) }).passed).toBe(true);
+    });
+
+    it('compares the amount in USD', () => {
+      const { res, passed } = check({ body: { currency: 'BTC', amount: '1' }, authSession: session(false) });
+
+      expect(passed).toBe(false);
+      expect(res.body.error.code).toBe('STEP_UP_REQUIRED');
+    });
+
+    it('requires sessions above the threshold to have stepped up recently', () => {
+      const { res, passed } = check({ body: { amount: above }, authSession: session(false) });
+
+      expect(passed).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toMatchObject({ code: 'STEP_UP_REQUIRED', details: { operation: 'send_money', thresholdUSD: threshold } });
+
+      expect(check({ body: { amount: above }, authSession: session(true) }).passed).toBe(true);
+    });
+
+    it('does not let a signature alone stand in for a step-up', () => {
+      const { res, passed } = check({ body: { amount: above }, apiKey: apiKeyWith(['transactions:write']), signedRequest: true });
+
+      expect(passed).toBe(false);
+      expect(res.body.error.code).toBe('STEP_UP_REQUIRED');
+    });
+
+    it('requires a signed request from API keys with the step_up:signed scope', () => {
+      const apiKey = apiKeyWith(['transactions:write', 'step_up:signed']);
+      const unsigned = check({ body: { amount: above }, apiKey, signedRequest: false });
+
+      expect(unsigned.passed).toBe(false);
+      expect(unsigned.res.body.error.code).toBe('SIGNATURE_REQUIRED');
+
+      expect(check({ body: { amount: above }, apiKey, signedRequest: true }).passed).toBe(true);
+    });
+  });
+
+  describe('requireStepUp with the amount a route names', () => {
+    it('steps up for the amount the route gives rather than the body\'s', () => {
+      const amountOf = req => req.order.amount;
+      const res = mockResponse();
+      const next = jest.fn();
+      const req = {
+        body: { currency: 'USD', status: 'active' },
+        order: { amount: String(STEP_UP_RULES.send_money.thresholdUSD) },
+        authSession: { isElevated: () => false }
+      };
+
+      requireStepUp('send_money', amountOf)(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.body.error.code).toBe('STEP_UP_REQUIRED');
+    });
+  });
+});
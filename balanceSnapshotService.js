@@ -0,0 +1,253 @@
+/**
+ * Balance Snapshot Service
+ * Writes each user's end-of-day ledger balances (UTC) and answers "what was
+ * the balance on this day?". Days without a snapshot are filled in from the
+ * nearest earlier snapshot plus the journal postings of the user's
+ * transactions since then. Days before the user's balances were on the ledger
+ * are rebuilt backwards from the opening balance using Transaction records.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const BalanceSnapshot = require('../models/BalanceSnapshot');
+const JournalEntry = require('../models/JournalEntry');
+const { logger } = require('../middleware/logger');
+const money = require('../utils/money');
+const { CURRENCIES } = require('../config/currencies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a history request may cover, in days
+const MAX_HISTORY_DAYS = 366;
+
+// Start balance snapshot service
+function startBalanceSnapshotService() {
+  logger.info('Starting balance snapshot service...');
+
+  // Just after midnight UTC, snapshot the day that ended
+  cron.schedule('5 0 * * *', async () => {
+    try {
+      await takeSnapshots();
+    } catch (error) {
+      logger.error('Balance snapshot error:', error);
+    }
+  }, { timezone: 'Etc/UTC' });
+
+  logger.info('Balance snapshot service started successfully');
+}
+
+// Midnight UTC of the day containing `date`
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Midnight UTC of the following day
+function nextDay(day) {
+  return new Date(day.getTime() + DAY_MS);
+}
+
+// Parse a YYYY-MM-DD day as midnight UTC; null if it is not a valid date
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const day = new Date(`${value}T00:00:00.000Z`);
+  return Number.isNaN(day.getTime()) || day.toISOString().slice(0, 10) !== value ? null : day;
+}
+
+// Format a day as YYYY-MM-DD
+function formatDay(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+// Change a transaction made before the ledger existed made to one currency's
+// balance, in minor units, following how balances were updated back then.
+// Auto-trading results only touched trading capital, not balances.
+function preLedgerChange(transaction, currency) {
+  const minor = (value) => money.toMinor(value.toString(), currency, 'half_even');
+
+  switch (transaction.type) {
+    case 'receive':
+    case 'mining':
+      return minor(transaction.amount);
+    case 'send':
+    case 'crypto_send':
+      return -minor(transaction.amount);
+    case 'transfer':
+      return (transaction.toCurrency === currency ? minor(transaction.convertedAmount || 0) : 0n) -
+        (transaction.fromCurrency === currency ? minor(transaction.amount) : 0n);
+    case 'trading':
+      return transaction.metadata && transaction.metadata.tradeType ? 0n : minor(transaction.amount);
+    default:
+      return 0n;
+  }
+}
+
+// End-of-day balances of the days from `fromDay` to `toDay` that ended before
+// the user's balances were on the ledger, keyed by day. Each is the balance the
+// ledger opened with (or the current balance, if it has not opened yet) less
+// the transactions made between the end of that day and the opening.
+async function getPreLedgerBalances(user, currency, fromDay, toDay) {
+  const openedAt = user.ledgerOpenedAt || new Date();
+  let balance;
+
+  if (user.ledgerOpenedAt) {
+    const totals = await JournalEntry.getUserTotalsByType(user._id, currency);
+    balance = money.toMinor(totals.opening_balance ? totals.opening_balance.net : '0', currency);
+  } else {
+    const current = await User.findById(user._id).select('balances');
+    balance = money.toMinor(current.toObject().balances[currency] || '0', currency);
+  }
+
+  const transactions = await Transaction.find({
+    user: user._id,
+    createdAt: { $gte: nextDay(fromDay), $lt: openedAt },
+    $or: [{ currency }, { fromCurrency: currency }, { toCurrency: currency }]
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const balances = new Map();
+  let next = 0;
+
+  // Walk back from the opening, undoing each transaction made after a day ended
+  let day = startOfDay(openedAt);
+  if (day > toDay) day = toDay;
+
+  for (; day >= fromDay; day = new Date(day.getTime() - DAY_MS)) {
+    const cutoff = nextDay(day);
+
+    while (next < transactions.length && transactions[next].createdAt >= cutoff) {
+      balance -= preLedgerChange(transactions[next], currency);
+      next += 1;
+    }
+
+    // Without a ledger, today's balance is the current one
+    if (cutoff <= openedAt || !user.ledgerOpenedAt) balances.set(day.getTime(), balance);
+  }
+
+  return balances;
+}
+
+// End-of-day balances of one currency for each day from `fromDay` to `toDay`.
+// Each point says where it came from: 'snapshot', 'computed' from the journal,
+// 'transactions' if rebuilt from Transaction records before the user's balances
+// were on the ledger, 'current' for a day that has not ended, or 'unavailable'
+// before the user signed up.
+async function getBalanceHistory(user, currency, fromDay, toDay) {
+  const now = new Date();
+
+  const snapshots = await BalanceSnapshot.find({
+    user: user._id,
+    currency,
+    date: { $gte: fromDay, $lte: toDay }
+  });
+  const byDay = new Map(snapshots.map(snapshot => [snapshot.date.getTime(), snapshot]));
+
+  // Start from the last snapshot before the range, or from the first posting
+  const base = await BalanceSnapshot.findOne({ user: user._id, currency, date: { $lt: fromDay } })
+    .sort({ date: -1 });
+
+  const postings = await JournalEntry.getUserPostings(user._id, currency, {
+    from: base ? nextDay(base.date) : undefined,
+    before: nextDay(toDay)
+  });
+
+  const preLedger = !user.ledgerOpenedAt || fromDay < user.ledgerOpenedAt
+    ? await getPreLedgerBalances(user, currency, fromDay, toDay)
+    : new Map();
+
+  let balance = base ? money.toMinor(base.balance, currency) : 0n;
+  let next = 0;
+  const history = [];
+
+  for (let day = fromDay; day <= toDay; day = nextDay(day)) {
+    const cutoff = nextDay(day);
+
+    while (next < postings.length && postings[next].createdAt < cutoff) {
+      balance += postings[next].amount;
+      next += 1;
+    }
+
+    const snapshot = byDay.get(day.getTime());
+
+    if (snapshot) {
+      balance = money.toMinor(snapshot.balance, currency);
+      history.push({ date: formatDay(day), balance: snapshot.balance, source: 'snapshot' });
+    } else if (user.createdAt && cutoff <= user.createdAt) {
+      history.push({ date: formatDay(day), balance: null, source: 'unavailable' });
+    } else if (preLedger.has(day.getTime())) {
+      history.push({
+        date: formatDay(day),
+        balance: money.fromMinor(preLedger.get(day.getTime()), currency),
+        source: cutoff > now ? 'current' : 'transactions'
+      });
+    } else {
+      history.push({
+        date: formatDay(day),
+        balance: money.fromMinor(balance, currency),
+        source: cutoff > now ? 'current' : 'computed'
+      });
+    }
+  }
+
+  return history;
+}
+
+// End-of-day balance of every currency on one day
+async function getBalancesAsOf(user, day) {
+  const balances = {};
+
+  for (const currency of CURRENCIES) {
+    const [point] = await getBalanceHistory(user, currency, day, day);
+    balances[currency] = { balance: point.balance, source: point.source };
+  }
+
+  return balances;
+}
+
+// Snapshot every user's balances at the end of `day` (default: yesterday).
+// Zero balances are not stored; reads compute them from the journal.
+async function takeSnapshots(day = startOfDay(new Date(Date.now() - DAY_MS))) {
+  const cutoff = nextDay(day);
+  let users = 0;
+  let written = 0;
+
+  const cursor = User.find({ ledgerOpenedAt: { $lt: cutoff } })
+    .select('_id username ledgerOpenedAt')
+    .cursor();
+
+  for await (const user of cursor) {
+    try {
+      for (const currency of CURRENCIES) {
+        const [point] = await getBalanceHistory(user, currency, day, day);
+
+        if (point.source !== 'computed' || money.isZero(point.balance, currency)) continue;
+
+        const result = await BalanceSnapshot.updateOne(
+          { user: user._id, currency, date: day },
+          { $setOnInsert: { balance: money.toDecimal128(point.balance, currency) } },
+          { upsert: true }
+        );
+        written += result.upsertedCount;
+      }
+      users += 1;
+    } catch (error) {
+      logger.error(`Error snapshotting balances of user ${user._id}:`, error);
+    }
+  }
+
+  logger.info(`Balance snapshots for ${formatDay(day)}: ${written} written for ${users} users`);
+
+  return { date: formatDay(day), users, written };
+}
+
+module.exports = {
+  MAX_HISTORY_DAYS,
+  startBalanceSnapshotService,
+  startOfDay,
+  parseDay,
+  getBalanceHistory,
+  getBalancesAsOf,
+  takeSnapshots
+};
@@ -5,20 +5,47 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
-const { protect, authorize } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+const { protect, requirePermission, requireScope, requireSession } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
 const { logger } = require('../middleware/logger');
+const ledgerService = require('../services/ledgerService');
+const balanceSnapshotService = require('../services/balanceSnapshotService');
+const adjustmentService = require('../services/adjustmentService');
+const { withTransaction } = require('../utils/dbTransaction');
+const money = require('../utils/money');
+const { CURRENCIES, USD_RATES, ROUNDING } = require('../config/currencies');
 
 // @route   GET /api/balances
-// @desc    Get all balances for current user
+// @desc    Get ledger, held and available balances for current user, totalled across accounts
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requireScope('balances:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
+    const accounts = await withTransaction(session => Account.getUserAccounts(user, { session }));
+
+    // User.balances holds the totals; each currency also lists the accounts they add up from
+    const balances = user.getBalances();
+    Object.entries(balances).forEach(([currency, balance]) => {
+      balance.accounts = accounts
+        .filter(account => account.currency === currency)
+        .map(account => ({
+          id: account._id,
+          name: account.name,
+          type: account.type,
+          status: account.status,
+          isPrimary: account.isPrimary,
+          ledger: account.balance,
+          held: account.heldBalance,
+          available: account.available
+        }));
+    });
 
     res.status(200).json({
       success: true,
-      data: user.balances
+      data: balances
     });
   } catch (error) {
     logger.error('Get balances error:', error);
@@ -32,15 +59,138 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/balances/history
+// @desc    Get end-of-day (UTC) ledger balances of one currency over a range of days
+// @access  Private
+router.get('/history', protect, requireScope('balances:read'), async (req, res) => {
+  try {
+    const { currency } = req.query;
+
+    if (!money.isSupported(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CURRENCY_NOT_SUPPORTED',
+          message: 'Currency not supported'
+        }
+      });
+    }
+
+    const today = balanceSnapshotService.startOfDay(new Date());
+    const to = req.query.to ? balanceSnapshotService.parseDay(req.query.to) : today;
+    // Without `from`, the 30 days up to `to`
+    const from = req.query.from
+      ? balanceSnapshotService.parseDay(req.query.from)
+      : to && new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE',
+          message: 'Dates must be given as YYYY-MM-DD'
+        }
+      });
+    }
+
+    const days = Math.round((to - from) / (24 * 60 * 60 * 1000)) + 1;
+
+    if (days < 1 || days > balanceSnapshotService.MAX_HISTORY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE_RANGE',
+          message: `from must not be after to, and the range may cover at most ${balanceSnapshotService.MAX_HISTORY_DAYS} days`
+        }
+      });
+    }
+
+    // Days after today have no balance yet
+    const last = to > today ? today : to;
+    const user = await User.findById(req.user._id);
+    const history = from > last
+      ? []
+      : await balanceSnapshotService.getBalanceHistory(user, currency, from, last);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currency,
+        from: req.query.from || from.toISOString().slice(0, 10),
+        to: req.query.to || to.toISOString().slice(0, 10),
+        history
+      }
+    });
+  } catch (error) {
+    logger.error('Get balance history error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BALANCE_HISTORY_FAILED',
+        message: 'Failed to fetch balance history'
+      }
+    });
+  }
+});
+
+// @route   GET /api/balances/as-of
+// @desc    Get end-of-day (UTC) ledger balances of every currency on a day
+// @access  Private
+router.get('/as-of', protect, requireScope('balances:read'), async (req, res) => {
+  try {
+    const date = balanceSnapshotService.parseDay(req.query.date);
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE',
+          message: 'date is required as YYYY-MM-DD'
+        }
+      });
+    }
+
+    if (date > balanceSnapshotService.startOfDay(new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE',
+          message: 'date must not be in the future'
+        }
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const balances = await balanceSnapshotService.getBalancesAsOf(user, date);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date: req.query.date,
+        balances
+      }
+    });
+  } catch (error) {
+    logger.error('Get balances as of date error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'BALANCE_HISTORY_FAILED',
+        message: 'Failed to fetch balances'
+      }
+    });
+  }
+});
+
 // @route   GET /api/balances/:currency
 // @desc    Get specific balance
 // @access  Private
-router.get('/:currency', protect, async (req, res) => {
+router.get('/:currency', protect, requireScope('balances:read'), async (req, res) => {
   try {
     const { currency } = req.params;
     const user = await User.findById(req.user._id);
 
-    if (!user.balances[currency] && user.balances[currency] !== 0) {
+    if (!money.isSupported(currency)) {
       return res.status(400).json({
         success: false,
         error: {
@@ -62,11 +212,15 @@ router.get('/:currency', protect, async (req, res) => {
       ETH: 'ETH'
     };
 
+    const { ledger, held, available } = user.getBalance(currency);
+
     res.status(200).json({
       success: true,
       data: {
         currency,
-        balance: user.balances[currency],
+        balance: ledger,
+        held,
+        available,
         symbol: symbols[currency] || currency
       }
     });
@@ -83,31 +237,48 @@ router.get('/:currency', protect, async (req, res) => {
 });
 
 // @route   PUT /api/balances/:currency
-// @desc    Update balance (Admin only)
-// @access  Private (Admin)
-router.put('/:currency', protect, authorize('admin'), async (req, res) => {
+// @desc    Propose setting a user's balance; posts once a second admin approves it
+// @access  Private (balances:adjust)
+router.put('/:currency', protect, requireSession, requirePermission('balances:adjust'), validate(schemas.proposeAdjustment), async (req, res) => {
   try {
     const { currency } = req.params;
-    const { amount } = req.body;
 
-    if (typeof amount !== 'number' || amount < 0) {
+    if (!money.isSupported(currency)) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_AMOUNT',
-          message: 'Invalid amount'
+          code: 'CURRENCY_NOT_SUPPORTED',
+          message: 'Currency not supported'
         }
       });
     }
 
-    const { userId } = req.body;
-    
-    if (!userId) {
+    // Amounts are decimal strings (or numbers) within the currency's precision
+    let amount;
+    try {
+      amount = money.normalize(req.body.amount, currency);
+    } catch (error) {
+      amount = null;
+    }
+
+    if (amount === null || amount.startsWith('-')) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'USER_ID_REQUIRED',
-          message: 'User ID is required'
+          code: 'INVALID_AMOUNT',
+          message: `Invalid amount; ${currency} amounts have at most ${money.getDecimals(currency)} decimal places`
+        }
+      });
+    }
+
+    const { userId, reasonCode, note } = req.body;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'SELF_ADJUSTMENT_NOT_ALLOWED',
+          message: 'You cannot adjust your own balance'
         }
       });
     }
@@ -124,29 +295,66 @@ router.put('/:currency', protect, authorize('admin'), async (req, res) => {
       });
     }
 
-    const previousBalance = user.balances[currency] || 0;
-    user.balances[currency] = amount;
-    await user.save();
+    const adjustment = await withTransaction(async (session) => {
+      const adjustment = await adjustmentService.proposeAdjustment({
+        userId,
+        currency,
+        newBalance: amount,
+        reasonCode,
+        note,
+        proposedBy: req.user._id,
+        session
+      });
 
-    // Log the balance update
-    logger.info(`Admin ${req.user.username} updated balance for user ${user.username}: ${currency} ${previousBalance} -> ${amount}`);
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'adjustment_propose',
+        entityType: 'adjustment',
+        entityId: adjustment._id,
+        description: `Admin ${req.user.username} proposed setting the ${currency} balance of user ${userId} from ${adjustment.proposedFrom} to ${amount} (${reasonCode})`,
+        metadata: {
+          targetUser: adjustment.user,
+          currency,
+          direction: adjustment.direction,
+          amount: adjustment.amount,
+          before: adjustment.proposedFrom,
+          after: amount,
+          reasonCode,
+          note
+        },
+        status: 'pending',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
 
-    res.status(200).json({
+      return adjustment;
+    });
+
+    logger.info(`Admin ${req.user.username} proposed balance adjustment ${adjustment._id} for user ${user.username}: ${currency} ${adjustment.proposedFrom} -> ${amount}`);
+
+    res.status(202).json({
       success: true,
-      message: 'Balance updated successfully',
-      data: {
-        currency,
-        previousBalance,
-        newBalance: amount
-      }
+      message: 'Balance adjustment proposed; it takes effect once another admin approves it',
+      data: adjustment
     });
   } catch (error) {
-    logger.error('Update balance error:', error);
+    // e.g. the balance is already at the amount
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Propose balance adjustment error:', error);
     res.status(500).json({
       success: false,
       error: {
         code: 'BALANCE_UPDATE_FAILED',
-        message: 'Failed to update balance'
+        message: 'Failed to propose balance adjustment'
       }
     });
   }
@@ -155,30 +363,18 @@ router.put('/:currency', protect, authorize('admin'), async (req, res) => {
 // @route   GET /api/balances/total
 // @desc    Get total balance across all currencies converted to USD
 // @access  Private
-router.get('/total/converted', protect, async (req, res) => {
+router.get('/total/converted', protect, requireScope('balances:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
-    
-    // Conversion rates (in production, fetch from external API)
-    const conversionRates = {
-      USD: 1,
-      EUR: 1.09,
-      GBP: 1.27,
-      CNY: 0.14,
-      NGN: 0.00065,
-      BTC: 45000,
-      TRX: 0.10,
-      TON: 2.50,
-      ETH: 2500
-    };
 
-    let totalUSD = 0;
+    // Indicative values, rounded per currency so the total is the sum of the breakdown
+    let totalUSD = 0n;
     const breakdown = {};
 
-    Object.keys(user.balances).forEach(currency => {
+    CURRENCIES.forEach(currency => {
       const amount = user.balances[currency];
-      const usdValue = amount * (conversionRates[currency] || 1);
-      totalUSD += usdValue;
+      const usdValue = money.convert(amount, String(USD_RATES[currency]), currency, 'USD', ROUNDING.REPORTING);
+      totalUSD += money.toMinor(usdValue, 'USD');
       breakdown[currency] = {
         amount,
         usdValue
@@ -188,7 +384,7 @@ router.get('/total/converted', protect, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        totalUSD,
+        totalUSD: money.fromMinor(totalUSD, 'USD'),
         breakdown
       }
     });
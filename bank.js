@@ -0,0 +1,23 @@
+/**
+ * Bank Configuration
+ * Identifiers the platform issues account numbers and IBANs under
+ */
+
+// Four-letter bank code used in the IBANs we issue
+const BANK_CODE = (process.env.BANK_CODE || 'GLBK').toUpperCase();
+
+// Six-digit sort code (branch) used in the IBANs we issue
+const BANK_SORT_CODE = process.env.BANK_SORT_CODE || '040075';
+
+// Currencies whose accounts also get an IBAN, and the country it is issued in.
+// Both countries use the same layout: bank code, sort code, 8-digit account number.
+const IBAN_COUNTRIES = {
+  GBP: 'GB',
+  EUR: 'IE'
+};
+
+module.exports = {
+  BANK_CODE,
+  BANK_SORT_CODE,
+  IBAN_COUNTRIES
+};
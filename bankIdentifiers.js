@@ -0,0 +1,121 @@
+/**
+ * Bank Identifiers
+ * Account numbers with a check digit, IBANs with ISO 7064 mod-97 check digits,
+ * and SWIFT/BIC codes
+ */
+
+const crypto = require('crypto');
+const { BANK_CODE, BANK_SORT_CODE } = require('../config/bank');
+const { COUNTRY_CODES, IBAN_LENGTHS } = require('../config/countries');
+
+// Account numbers are 7 random digits followed by a Luhn check digit
+const ACCOUNT_NUMBER_LENGTH = 8;
+
+// Luhn check digit of a string of digits
+function luhnCheckDigit(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit, starting from the right of the payload
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Generate a random account number (not checked for uniqueness)
+function generateAccountNumber() {
+  const payload = crypto.randomInt(0, 10 ** (ACCOUNT_NUMBER_LENGTH - 1)).toString().padStart(ACCOUNT_NUMBER_LENGTH - 1, '0');
+  return payload + luhnCheckDigit(payload);
+}
+
+// Check an account number's length and check digit
+function isValidAccountNumber(value) {
+  if (typeof value !== 'string' || !new RegExp(`^\\d{${ACCOUNT_NUMBER_LENGTH}}$`).test(value)) return false;
+  return luhnCheckDigit(value.slice(0, -1)) === value.slice(-1);
+}
+
+// Strip spaces and upper-case an IBAN as typed ("gb82 west ..." -> "GB82WEST...")
+function normalizeIban(value) {
+  return String(value).replace(/\s+/g, '').toUpperCase();
+}
+
+// Remainder mod 97 of an IBAN rearranged for checking: country code and check
+// digits moved to the end, letters replaced by numbers (A = 10 ... Z = 35)
+function ibanRemainder(rearranged) {
+  let remainder = 0;
+
+  for (const char of rearranged) {
+    const value = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder;
+}
+
+// Build an IBAN from a country code and BBAN, computing the check digits
+function buildIban(countryCode, bban) {
+  const remainder = ibanRemainder(`${bban}${countryCode}00`);
+  return `${countryCode}${String(98 - remainder).padStart(2, '0')}${bban}`;
+}
+
+// Check an IBAN's shape, its length for the issuing country and its mod-97 check digits
+function isValidIban(value) {
+  const iban = normalizeIban(value);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban)) return false;
+  if (IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) return false;
+  return hasValidIbanChecksum(iban);
+}
+
+// Check only the mod-97 check digits of an IBAN made of letters and digits
+function hasValidIbanChecksum(value) {
+  const iban = normalizeIban(value);
+  return ibanRemainder(iban.slice(4) + iban.slice(0, 4)) === 1;
+}
+
+// IBAN we issue for one of our account numbers
+function issueIban(countryCode, accountNumber) {
+  return buildIban(countryCode, `${BANK_CODE}${BANK_SORT_CODE}${accountNumber}`);
+}
+
+// Strip spaces and upper-case a BIC as typed
+function normalizeBic(value) {
+  return String(value).replace(/\s+/g, '').toUpperCase();
+}
+
+// Check a BIC's structure (ISO 9362): 4-character institution code, country code,
+// 2-character location code and an optional 3-character branch code. A second
+// location character of 0 marks a test BIC, which cannot receive payments,
+// and the letter O is not allowed there.
+function isValidBic(value) {
+  const bic = normalizeBic(value);
+  const match = /^[A-Z0-9]{4}([A-Z]{2})[A-Z0-9]([A-NP-Z1-9])([A-Z0-9]{3})?$/.exec(bic);
+  return Boolean(match) && COUNTRY_CODES.includes(match[1]);
+}
+
+// Print an IBAN in groups of four ("GB82 WEST 1234 ...")
+function formatIban(value) {
+  return normalizeIban(value).replace(/(.{4})(?=.)/g, '$1 ');
+}
+
+module.exports = {
+  ACCOUNT_NUMBER_LENGTH,
+  luhnCheckDigit,
+  generateAccountNumber,
+  isValidAccountNumber,
+  normalizeIban,
+  buildIban,
+  isValidIban,
+  hasValidIbanChecksum,
+  issueIban,
+  normalizeBic,
+  isValidBic,
+  formatIban
+};
@@ -0,0 +1,93 @@
+const bankIdentifiers = require('./bankIdentifiers');
+const { BANK_CODE, BANK_SORT_CODE } = require('../config/bank');
+
+describe('bankIdentifiers', () => {
+  describe('account numbers', () => {
+    it('computes Luhn check digits', () => {
+      expect(bankIdentifiers.luhnCheckDigit('7992739871')).toBe('3');
+      expect(bankIdentifiers.luhnCheckDigit('0000000')).toBe('0');
+    });
+
+    it('generates valid account numbers', () => {
+      for (let i = 0; i < 20; i++) {
+        const accountNumber = bankIdentifiers.generateAccountNumber();
+        expect(accountNumber).toMatch(/^\d{8}$/);
+        expect(bankIdentifiers.isValidAccountNumber(accountNumber)).toBe(true);
+      }
+    });
+
+    it('rejects a wrong check digit, length or type', () => {
+      const payload = '1234567';
+      const check = Number(bankIdentifiers.luhnCheckDigit(payload));
+
+      expect(bankIdentifiers.isValidAccountNumber(payload + check)).toBe(true);
+      expect(bankIdentifiers.isValidAccountNumber(payload + ((check + 1) % 10))).toBe(false);
+      expect(bankIdentifiers.isValidAccountNumber(payload)).toBe(false);
+      expect(bankIdentifiers.isValidAccountNumber(`${payload}${check}0`)).toBe(false);
+      expect(bankIdentifiers.isValidAccountNumber(Number(payload + check))).toBe(false);
+    });
+  });
+
+  describe('IBANs', () => {
+    it('accepts valid IBANs as typed', () => {
+      expect(bankIdentifiers.isValidIban('GB82 WEST 1234 5698 7654 32')).toBe(true);
+      expect(bankIdentifiers.isValidIban('de89370400440532013000')).toBe(true);
+      expect(bankIdentifiers.isValidIban('NO9386011117947')).toBe(true);
+    });
+
+    it('rejects wrong check digits', () => {
+      expect(bankIdentifiers.isValidIban('GB83WEST12345698765432')).toBe(false);
+      expect(bankIdentifiers.hasValidIbanChecksum('GB83WEST12345698765432')).toBe(false);
+    });
+
+    it('rejects IBANs of the wrong length for their country', () => {
+      // Valid mod-97 check digits, but GB IBANs are 22 characters
+      const short = bankIdentifiers.buildIban('GB', 'WEST123456987654');
+      expect(bankIdentifiers.hasValidIbanChecksum(short)).toBe(true);
+      expect(bankIdentifiers.isValidIban(short)).toBe(false);
+    });
+
+    it('rejects unknown countries and malformed input', () => {
+      expect(bankIdentifiers.isValidIban('XX82WEST12345698765432')).toBe(false);
+      expect(bankIdentifiers.isValidIban('GB82-WEST-1234-5698-7654-32')).toBe(false);
+      expect(bankIdentifiers.isValidIban('')).toBe(false);
+    });
+
+    it('builds IBANs with valid check digits', () => {
+      expect(bankIdentifiers.buildIban('GB', 'WEST12345698765432')).toBe('GB82WEST12345698765432');
+    });
+
+    it('issues valid IBANs for our account numbers', () => {
+      const accountNumber = bankIdentifiers.generateAccountNumber();
+
+      for (const country of ['GB', 'IE']) {
+        const iban = bankIdentifiers.issueIban(country, accountNumber);
+        expect(iban).toMatch(new RegExp(`^${country}\\d{2}${BANK_CODE}${BANK_SORT_CODE}${accountNumber}$`));
+        expect(bankIdentifiers.isValidIban(iban)).toBe(true);
+      }
+    });
+
+    it('formats IBANs in groups of four', () => {
+      expect(bankIdentifiers.formatIban('gb82west12345698765432')).toBe('GB82 WEST 1234 5698 7654 32');
+    });
+  });
+
+  describe('BICs', () => {
+    it('accepts 8- and 11-character BICs', () => {
+      expect(bankIdentifiers.isValidBic('DEUTDEFF')).toBe(true);
+      expect(bankIdentifiers.isValidBic('deut de ff 500')).toBe(true);
+      expect(bankIdentifiers.isValidBic('NWBKGB2L')).toBe(true);
+    });
+
+    it('rejects test BICs and the letter O as second location character', () => {
+      expect(bankIdentifiers.isValidBic('DEUTDEF0')).toBe(false);
+      expect(bankIdentifiers.isValidBic('DEUTDEFO')).toBe(false);
+    });
+
+    it('rejects unknown countries and wrong lengths', () => {
+      expect(bankIdentifiers.isValidBic('DEUTXXFF')).toBe(false);
+      expect(bankIdentifiers.isValidBic('DEUTDEF')).toBe(false);
+      expect(bankIdentifiers.isValidBic('DEUTDEFF50')).toBe(false);
+    });
+  });
+});
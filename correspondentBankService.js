@@ -0,0 +1,110 @@
+/**
+ * Correspondent Bank Service
+ * Adapters to the correspondent banks that carry international transfers.
+ * services/internationalTransferService.js submits transfers through the
+ * adapter named by CORRESPONDENT_BANK_ADAPTER and polls it for their progress.
+ *
+ * An adapter implements:
+ *   submit(transfer)    -> { accepted: true, externalReference } or { accepted: false, reason }
+ *   getStatus(transfer) -> { status, reason } where status is one of
+ *                          'submitted', 'in_transit', 'completed', 'failed', 'returned'
+ * `transfer` is the Transaction; submit() may be called again for a transfer
+ * that was submitted without its reference being recorded, so it must be
+ * idempotent on transfer.reference.
+ */
+
+// Base class documenting the adapter interface
+class CorrespondentBankAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async submit(transfer) {
+    throw new Error(`${this.name} adapter does not implement submit() for ${transfer.reference}`);
+  }
+
+  async getStatus(transfer) {
+    throw new Error(`${this.name} adapter does not implement getStatus() for ${transfer.reference}`);
+  }
+}
+
+// Local stand-in for a correspondent bank. MOCK_CORRESPONDENT_MODE sets what it does:
+//   succeed - in transit on the first poll, completed on the next (default)
+//   delay   - in transit until MOCK_CORRESPONDENT_DELAY_MINUTES after submission, then completed
+//   reject  - refuses every transfer on submission
+//   fail    - accepts transfers, then fails them in transit
+//   return  - completes transfers, then the beneficiary bank sends them back
+class MockCorrespondentBank extends CorrespondentBankAdapter {
+  constructor({ mode = 'succeed', delayMinutes = 60 } = {}) {
+    super('mock');
+
+    if (!MockCorrespondentBank.MODES.includes(mode)) {
+      throw new Error(`Unknown MOCK_CORRESPONDENT_MODE "${mode}"; use one of ${MockCorrespondentBank.MODES.join(', ')}`);
+    }
+
+    this.mode = mode;
+    this.delayMinutes = delayMinutes;
+  }
+
+  async submit(transfer) {
+    if (this.mode === 'reject') {
+      return { accepted: false, reason: 'Rejected by the correspondent bank (mock)' };
+    }
+
+    return { accepted: true, externalReference: `MOCK-${transfer.reference}` };
+  }
+
+  async getStatus(transfer) {
+    const { status, submittedAt } = transfer.internationalTransfer;
+
+    switch (this.mode) {
+      case 'delay': {
+        const due = new Date(submittedAt).getTime() + this.delayMinutes * 60 * 1000;
+        return { status: Date.now() < due ? 'in_transit' : 'completed' };
+      }
+      case 'fail':
+        return status === 'submitted'
+          ? { status: 'in_transit' }
+          : { status: 'failed', reason: 'Beneficiary account could not be credited (mock)' };
+      case 'return':
+        return status === 'completed'
+          ? { status: 'returned', reason: 'Returned by the beneficiary bank (mock)' }
+          : { status: 'completed' };
+      default:
+        return { status: status === 'submitted' ? 'in_transit' : 'completed' };
+    }
+  }
+}
+
+MockCorrespondentBank.MODES = ['succeed', 'delay', 'reject', 'fail', 'return'];
+
+// Adapter factories by CORRESPONDENT_BANK_ADAPTER name
+const ADAPTERS = {
+  mock: () => new MockCorrespondentBank({
+    mode: process.env.MOCK_CORRESPONDENT_MODE || 'succeed',
+    delayMinutes: parseInt(process.env.MOCK_CORRESPONDENT_DELAY_MINUTES) || 60
+  })
+};
+
+let adapter = null;
+
+// The configured adapter, created on first use
+function getAdapter() {
+  if (!adapter) {
+    const name = process.env.CORRESPONDENT_BANK_ADAPTER || 'mock';
+
+    if (!ADAPTERS[name]) {
+      throw new Error(`Unknown CORRESPONDENT_BANK_ADAPTER "${name}"`);
+    }
+
+    adapter = ADAPTERS[name]();
+  }
+
+  return adapter;
+}
+
+module.exports = {
+  CorrespondentBankAdapter,
+  MockCorrespondentBank,
+  getAdapter
+};
@@ -9,14 +9,19 @@ const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const AuditLog = require('../models/AuditLog');
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope, requireVerifiedEmail, requireStepUp } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const { idempotent, saveResponse, IdempotencyError } = require('../middleware/idempotency');
 const { logger } = require('../middleware/logger');
+const ledgerService = require('../services/ledgerService');
+const { withTransaction } = require('../utils/dbTransaction');
+const money = require('../utils/money');
+const { ROUNDING } = require('../config/currencies');
 
 // @route   POST /api/crypto/wallet
 // @desc    Create new crypto wallet
 // @access  Private
-router.post('/wallet', protect, validate(schemas.createWallet), async (req, res) => {
+router.post('/wallet', protect, requireScope('crypto:write'), validate(schemas.createWallet), async (req, res) => {
   try {
     const { currency, label } = req.body;
 
@@ -84,7 +89,7 @@ router.post('/wallet', protect, validate(schemas.createWallet), async (req, res)
 // @route   GET /api/crypto/wallets
 // @desc    Get all wallets
 // @access  Private
-router.get('/wallets', protect, async (req, res) => {
+router.get('/wallets', protect, requireScope('crypto:read'), async (req, res) => {
   try {
     const wallets = await Wallet.find({
       user: req.user._id,
@@ -118,83 +123,102 @@ router.get('/wallets', protect, async (req, res) => {
 // @route   POST /api/crypto/send
 // @desc    Send crypto
 // @access  Private
-router.post('/send', protect, validate(schemas.sendCrypto), async (req, res) => {
+router.post('/send', protect, requireScope('crypto:write'), requireVerifiedEmail, validate(schemas.sendCrypto), requireStepUp('crypto_send'), idempotent, async (req, res) => {
   try {
     const { currency, amount, recipientAddress } = req.body;
-    const user = await User.findById(req.user._id);
 
-    // Check if user has sufficient balance
-    if (user.balances[currency] < amount) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INSUFFICIENT_BALANCE',
-          message: `Insufficient ${currency} balance`
-        }
+    // Move the money and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      // Create transaction record
+      const transaction = new Transaction({
+        user: req.user._id,
+        type: 'crypto_send',
+        currency,
+        amount,
+        recipient: {
+          wallet: recipientAddress
+        },
+        cryptoDetails: {
+          transactionHash: generateTxHash(),
+          network: currency.toLowerCase(),
+          confirmations: 0
+        },
+        status: 'completed'
       });
-    }
 
-    // Deduct from user's balance
-    user.balances[currency] -= amount;
-    await user.save();
+      // Post to the ledger, which deducts from user's balance if it covers the amount
+      const entry = await ledgerService.post({
+        type: 'crypto_send',
+        transaction: transaction._id,
+        description: `Sent ${amount} ${currency} to ${recipientAddress}`,
+        postings: ledgerService.move(
+          ledgerService.userAccount(req.user._id),
+          ledgerService.systemAccount('external_clearing'),
+          currency,
+          amount
+        ),
+        session
+      });
 
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: user._id,
-      type: 'crypto_send',
-      currency,
-      amount,
-      recipient: {
-        wallet: recipientAddress
-      },
-      cryptoDetails: {
-        transactionHash: generateTxHash(),
-        network: currency.toLowerCase(),
-        confirmations: 0
-      },
-      status: 'completed'
-    });
+      transaction.journalEntry = entry._id;
+      await transaction.save({ session });
 
-    // Create notification
-    await Notification.create({
-      user: user._id,
-      type: 'transaction',
-      title: 'Crypto Sent',
-      message: `You sent ${amount} ${currency} to ${recipientAddress.substring(0, 10)}...`,
-      data: {
-        transactionId: transaction._id,
-        currency,
-        amount,
-        recipientAddress
-      },
-      priority: 'normal'
-    });
+      // Create notification
+      await new Notification({
+        user: req.user._id,
+        type: 'transaction',
+        title: 'Crypto Sent',
+        message: `You sent ${amount} ${currency} to ${recipientAddress.substring(0, 10)}...`,
+        data: {
+          transactionId: transaction._id,
+          currency,
+          amount,
+          recipientAddress
+        },
+        priority: 'normal'
+      }).save({ session });
 
-    // Log the transaction
-    await AuditLog.createLog({
-      user: user._id,
-      action: 'send_crypto',
-      entityType: 'transaction',
-      entityId: transaction._id,
-      description: `Sent ${amount} ${currency} to ${recipientAddress}`,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+      // Log the transaction
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'send_crypto',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Sent ${amount} ${currency} to ${recipientAddress}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
 
-    logger.info(`User ${user.username} sent ${amount} ${currency} to ${recipientAddress}`);
+      const response = {
+        success: true,
+        message: 'Crypto transaction successful',
+        data: {
+          transactionId: transaction._id,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          txHash: transaction.cryptoDetails.transactionHash,
+          timestamp: transaction.createdAt
+        }
+      };
+      await saveResponse(req, 200, response, session);
 
-    res.status(200).json({
-      success: true,
-      message: 'Crypto transaction successful',
-      data: {
-        transactionId: transaction._id,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        txHash: transaction.cryptoDetails.transactionHash,
-        timestamp: transaction.createdAt
-      }
+      return response;
     });
+
+    logger.info(`User ${req.user.username} sent ${amount} ${currency} to ${recipientAddress}`);
+
+    res.status(200).json(response);
   } catch (error) {
+    if (error instanceof ledgerService.LedgerError || error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     logger.error('Send crypto error:', error);
     res.status(500).json({
       success: false,
@@ -209,12 +233,12 @@ router.post('/send', protect, validate(schemas.sendCrypto), async (req, res) =>
 // @route   GET /api/crypto/balance/:currency
 // @desc    Get crypto balance with USD value
 // @access  Private
-router.get('/balance/:currency', protect, async (req, res) => {
+router.get('/balance/:currency', protect, requireScope('crypto:read'), async (req, res) => {
   try {
     const { currency } = req.params;
     const user = await User.findById(req.user._id);
 
-    if (!user.balances[currency] && user.balances[currency] !== 0) {
+    if (!money.isSupported(currency)) {
       return res.status(400).json({
         success: false,
         error: {
@@ -233,7 +257,7 @@ router.get('/balance/:currency', protect, async (req, res) => {
     };
 
     const balance = user.balances[currency];
-    const usdValue = balance * (cryptoPrices[currency] || 0);
+    const usdValue = money.convert(balance, String(cryptoPrices[currency] || 0), currency, 'USD', ROUNDING.REPORTING);
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,58 @@
+/**
+ * Currency Configuration
+ * Supported currencies, their precision, rounding rules and indicative USD rates
+ */
+
+const FIAT_CURRENCIES = ['USD', 'EUR', 'GBP', 'CNY', 'NGN'];
+const CRYPTO_CURRENCIES = ['BTC', 'TRX', 'TON', 'ETH'];
+const CURRENCIES = [...FIAT_CURRENCIES, ...CRYPTO_CURRENCIES];
+
+// Decimal places of the smallest unit of each currency (cent, satoshi, sun, nanoton, wei)
+const CURRENCY_DECIMALS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  CNY: 2,
+  NGN: 2,
+  BTC: 8,
+  TRX: 6,
+  TON: 9,
+  ETH: 18
+};
+
+// Rounding applied where an amount cannot be represented exactly.
+// FX conversions round down so the bank never pays out more than the rate
+// gives; reporting (USD totals, interest-style calculations) uses banker's rounding.
+const ROUNDING = {
+  FX: 'down',
+  REPORTING: 'half_even',
+  CALCULATION: 'half_even'
+};
+
+// USD value of one unit of each currency (in production, fetch from external API)
+const USD_RATES = {
+  USD: 1,
+  EUR: 1.09,
+  GBP: 1.27,
+  CNY: 0.14,
+  NGN: 0.00065,
+  BTC: 45000,
+  TRX: 0.10,
+  TON: 2.50,
+  ETH: 2500
+};
+
+// Convert an amount to its indicative USD value (for thresholds, not for posting)
+function toUSD(currency, amount) {
+  return (Number(amount) || 0) * (USD_RATES[currency] || 0);
+}
+
+module.exports = {
+  FIAT_CURRENCIES,
+  CRYPTO_CURRENCIES,
+  CURRENCIES,
+  CURRENCY_DECIMALS,
+  ROUNDING,
+  USD_RATES,
+  toUSD
+};
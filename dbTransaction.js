@@ -0,0 +1,66 @@
+/**
+ * Database Transaction Utilities
+ * Run several writes as one MongoDB transaction, retrying on transient errors.
+ * Transactions need MongoDB running as a replica set.
+ */
+
+const mongoose = require('mongoose');
+const { logger } = require('../middleware/logger');
+
+// How many times a whole transaction is attempted before giving up
+const MAX_ATTEMPTS = parseInt(process.env.DB_TRANSACTION_MAX_ATTEMPTS) || 3;
+
+// Check if the driver marked an error as safe to retry
+function hasLabel(error, label) {
+  return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel(label);
+}
+
+// Commit, retrying while the outcome of the commit is unknown
+async function commitWithRetry(session) {
+  for (;;) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (!hasLabel(error, 'UnknownTransactionCommitResult')) throw error;
+      logger.warn('Transaction commit result unknown, retrying commit');
+    }
+  }
+}
+
+// Run `work(session)` in a transaction and return its result.
+// `work` may run more than once, so it must only write through the session.
+async function withTransaction(work, { maxAttempts = MAX_ATTEMPTS } = {}) {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction({
+        readConcern: { level: 'snapshot' },
+        writeConcern: { w: 'majority' }
+      });
+
+      try {
+        const result = await work(session);
+        await commitWithRetry(session);
+        return result;
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+
+        if (attempt >= maxAttempts || !hasLabel(error, 'TransientTransactionError')) {
+          throw error;
+        }
+
+        logger.warn(`Transient transaction error, retrying (attempt ${attempt + 1} of ${maxAttempts})`);
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  withTransaction
+};
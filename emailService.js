@@ -0,0 +1,99 @@
+/**
+ * Email Service
+ * Sends transactional email through nodemailer. Point EMAIL_HOST/EMAIL_PORT at
+ * a local SMTP stub (and leave EMAIL_USER empty) to capture mail in tests.
+ */
+
+const nodemailer = require('nodemailer');
+const { logger } = require('../middleware/logger');
+
+let transporter = null;
+
+// Create (once) the SMTP transport from environment configuration
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST || 'localhost',
+      port: parseInt(process.env.EMAIL_PORT) || 587,
+      secure: process.env.EMAIL_SECURE === 'true',
+      ignoreTLS: process.env.EMAIL_IGNORE_TLS === 'true',
+      ...(process.env.EMAIL_USER && {
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASSWORD
+        }
+      })
+    });
+  }
+
+  return transporter;
+}
+
+// Drop the cached transport (e.g. after changing configuration in tests)
+function resetTransporter() {
+  transporter = null;
+}
+
+// Send an email
+async function sendEmail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@globalbanking.com',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  logger.info(`Email sent to ${to}: ${subject}`);
+  return info;
+}
+
+// Build a link to a frontend page carrying a token
+function frontendLink(pathname, token) {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Send the email address verification link
+function sendVerificationEmail(user, token) {
+  const link = frontendLink('/verify-email', token);
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease verify your email address by opening the link below. It expires in ${hours} hours.\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${user.username},</p><p>Please verify your email address by clicking the link below. It expires in ${hours} hours.</p><p><a href="${link}">Verify email address</a></p><p>If you did not create an account, you can ignore this email.</p>`
+  });
+}
+
+// Send the password reset link
+function sendPasswordResetEmail(user, token) {
+  const link = frontendLink('/reset-password', token);
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  return sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nWe received a request to reset your password. Open the link below to choose a new one. It expires in ${minutes} minutes and can only be used once.\n\n${link}\n\nIf you did not request this, you can ignore this email and your password will stay the same.`,
+    html: `<p>Hi ${user.username},</p><p>We received a request to reset your password. Click the link below to choose a new one. It expires in ${minutes} minutes and can only be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not request this, you can ignore this email and your password will stay the same.</p>`
+  });
+}
+
+// Send a notice that the password was changed
+function sendPasswordChangedEmail(user) {
+  return sendEmail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.username},\n\nYour password was just changed and all your sessions were signed out. If this was not you, contact support immediately.`,
+    html: `<p>Hi ${user.username},</p><p>Your password was just changed and all your sessions were signed out. If this was not you, contact support immediately.</p>`
+  });
+}
+
+module.exports = {
+  sendEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  resetTransporter
+};
@@ -0,0 +1,40 @@
+/**
+ * Encryption Utilities
+ * AES-256-GCM encryption for secrets that must be recoverable server-side
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive a 32-byte key from ENCRYPTION_KEY
+function getKey() {
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(process.env.ENCRYPTION_KEY).digest();
+}
+
+// Encrypt a string; returns "iv:authTag:ciphertext" in hex
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+}
+
+// Decrypt a value produced by encrypt()
+function decrypt(payload) {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt
+};
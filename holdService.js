@@ -0,0 +1,220 @@
+/**
+ * Hold Service
+ * Reserves funds for pending operations. A hold lowers the available balance
+ * of an account (Account.heldBalance, totalled in User.heldBalances) without
+ * touching the ledger; capturing it posts the
+ * journal entry, releasing it gives the funds back. Expired holds are
+ * released by a background job.
+ *
+ * Pass the `session` from utils/dbTransaction's withTransaction() so the hold
+ * and the caller's own records commit together.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const Hold = require('../models/Hold');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../middleware/logger');
+const ledgerService = require('./ledgerService');
+const money = require('../utils/money');
+const { withTransaction } = require('../utils/dbTransaction');
+
+const { LedgerError } = ledgerService;
+
+// Default lifetime of a hold
+const HOLD_EXPIRE_HOURS = parseInt(process.env.HOLD_EXPIRE_HOURS) || 72;
+
+// Start hold service
+function startHoldService() {
+  logger.info('Starting hold service...');
+
+  // Release expired holds every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await expireHolds();
+    } catch (error) {
+      logger.error('Hold expiry error:', error);
+    }
+  });
+
+  logger.info('Hold service started successfully');
+}
+
+// Reserve an amount of the available balance of a user's account (the primary
+// account in the currency unless `accountId` is given).
+// Throws a LedgerError with code INSUFFICIENT_BALANCE if it is not available.
+async function placeHold({ userId, accountId, currency, amount, description, entryType, settlementAccount, transaction, expiresAt, session }) {
+  const held = ledgerService.toAmount(amount, currency);
+  const account = await ledgerService.resolveAccount({ user: userId, currency, account: accountId }, session);
+
+  if (account.status === 'frozen') {
+    throw new LedgerError('ACCOUNT_FROZEN', `Account "${account.name}" is frozen`);
+  }
+
+  const reserved = await Account.updateOne(
+    { _id: account._id, status: 'active', $expr: ledgerService.accountAvailableCovers(currency, money.toMinor(held, currency)) },
+    { $inc: { heldBalance: money.toDecimal128(held, currency) } },
+    { session }
+  );
+
+  if (reserved.matchedCount === 0) {
+    throw new LedgerError('INSUFFICIENT_BALANCE', `Insufficient ${currency} balance in account "${account.name}" for this transaction`);
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, $expr: ledgerService.availableCovers(currency, money.toMinor(held, currency)) },
+    { $inc: { [`heldBalances.${currency}`]: money.toDecimal128(held, currency) } },
+    { session }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new LedgerError('INSUFFICIENT_BALANCE', `Insufficient ${currency} balance for this transaction`);
+  }
+
+  return new Hold({
+    user: userId,
+    account: account._id,
+    currency,
+    amount: held,
+    description,
+    entryType,
+    settlementAccount,
+    transaction,
+    expiresAt: expiresAt || new Date(Date.now() + HOLD_EXPIRE_HOURS * 60 * 60 * 1000)
+  }).save({ session });
+}
+
+// Capture an active hold: post the held amount from the user to the hold's
+// settlement account. Resolves { hold, entry }.
+async function captureHold(holdId, { createdBy, description, session } = {}) {
+  const hold = await Hold.findOneAndUpdate(
+    { _id: holdId, status: 'active' },
+    { $set: { status: 'captured', capturedAt: new Date() } },
+    { session, new: true }
+  );
+
+  if (!hold) {
+    throw new LedgerError('HOLD_NOT_ACTIVE', 'Hold is not active');
+  }
+
+  const entry = await ledgerService.post({
+    type: hold.entryType,
+    transaction: hold.transaction,
+    description: description || hold.description,
+    postings: ledgerService.move(
+      ledgerService.userAccount(hold.user, hold.account),
+      ledgerService.systemAccount(hold.settlementAccount),
+      hold.currency,
+      hold.amount
+    ),
+    captures: [hold],
+    createdBy,
+    metadata: {
+      holdId: hold._id
+    },
+    session
+  });
+
+  hold.journalEntry = entry._id;
+  await Hold.updateOne({ _id: hold._id }, { $set: { journalEntry: entry._id } }, { session });
+
+  return { hold, entry };
+}
+
+// Release an active hold, returning the amount to the available balance.
+// `status` is 'released', or 'expired' when the hold ran out.
+async function releaseHold(holdId, { reason, status = 'released', session } = {}) {
+  const hold = await Hold.findOneAndUpdate(
+    { _id: holdId, status: 'active' },
+    { $set: { status, releasedAt: new Date(), releaseReason: reason } },
+    { session, new: true }
+  );
+
+  if (!hold) {
+    throw new LedgerError('HOLD_NOT_ACTIVE', 'Hold is not active');
+  }
+
+  const account = await ledgerService.resolveAccount(hold, session);
+  const release = money.toDecimal128(`-${hold.amount}`, hold.currency);
+
+  await Account.updateOne({ _id: account._id }, { $inc: { heldBalance: release } }, { session });
+  await User.updateOne(
+    { _id: hold.user },
+    { $inc: { [`heldBalances.${hold.currency}`]: release } },
+    { session }
+  );
+
+  return hold;
+}
+
+// Release holds past their expiry and fail the operations they were reserved for
+async function expireHolds() {
+  const expired = await Hold.find({ status: 'active', expiresAt: { $lte: new Date() } });
+
+  for (const { _id } of expired) {
+    try {
+      const hold = await withTransaction(async (session) => {
+        let hold;
+        try {
+          hold = await releaseHold(_id, { status: 'expired', reason: 'Hold expired', session });
+        } catch (error) {
+          // Captured or released since it was read
+          if (error instanceof LedgerError) return null;
+          throw error;
+        }
+
+        if (hold.transaction) {
+          await Transaction.updateOne(
+            { _id: hold.transaction, status: { $in: ['pending', 'processing'] } },
+            { $set: { status: 'failed' } },
+            { session }
+          );
+        }
+
+        await new Notification({
+          user: hold.user,
+          type: 'transaction',
+          title: 'Funds Released',
+          message: `${hold.description} did not complete in time; ${hold.amount} ${hold.currency} is available again`,
+          data: {
+            holdId: hold._id,
+            transactionId: hold.transaction,
+            currency: hold.currency,
+            amount: hold.amount
+          },
+          priority: 'high'
+        }).save({ session });
+
+        await AuditLog.createLog({
+          user: hold.user,
+          action: 'hold_expire',
+          entityType: 'hold',
+          entityId: hold._id,
+          description: `Hold of ${hold.amount} ${hold.currency} expired and was released`,
+          metadata: {
+            transactionId: hold.transaction
+          }
+        }, { session });
+
+        return hold;
+      });
+
+      if (hold) {
+        logger.info(`Released expired hold ${hold._id}: ${hold.amount} ${hold.currency}`);
+      }
+    } catch (error) {
+      logger.error(`Error expiring hold ${_id}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  startHoldService,
+  placeHold,
+  captureHold,
+  releaseHold,
+  expireHolds
+};
@@ -0,0 +1,176 @@
+jest.mock('../models/User', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Account', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Transaction', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Notification', () => jest.fn().mockImplementation(() => ({ save: jest.fn() })));
+jest.mock('../models/AuditLog', () => ({ createLog: jest.fn() }));
+jest.mock('./ledgerService', () => ({
+  ...jest.requireActual('./ledgerService'),
+  resolveAccount: jest.fn(),
+  post: jest.fn()
+}));
+jest.mock('../utils/dbTransaction', () => ({ withTransaction: work => work({}) }));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Hold = require('../models/Hold');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const { placeHold, captureHold, releaseHold, expireHolds } = require('./holdService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('holdService', () => {
+  const userId = id();
+  const account = { _id: id(), name: 'Main', status: 'active' };
+  const session = {};
+
+  // An active hold of 40 USD on the account
+  const activeHold = fields => ({
+    _id: id(),
+    user: userId,
+    account: account._id,
+    currency: 'USD',
+    amount: '40.00',
+    description: 'Transfer to Bob',
+    entryType: 'transfer',
+    settlementAccount: 'external_clearing',
+    transaction: id(),
+    status: 'active',
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    ledgerService.resolveAccount.mockResolvedValue(account);
+    Account.updateOne.mockResolvedValue({ matchedCount: 1 });
+    User.updateOne.mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(Hold.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('placeHold', () => {
+    it('reserves the amount on the account and the user, only if it is available', async () => {
+      const hold = await placeHold({ userId, currency: 'USD', amount: '40', description: 'Transfer to Bob', entryType: 'transfer', settlementAccount: 'external_clearing', session });
+
+      const [accountFilter, accountUpdate, options] = Account.updateOne.mock.calls[0];
+      expect(accountFilter).toMatchObject({ _id: account._id, status: 'active', $expr: ledgerService.accountAvailableCovers('USD', 4000n) });
+      expect(accountUpdate.$inc.heldBalance.toString()).toBe('40.00');
+      expect(options).toEqual({ session });
+      expect(User.updateOne.mock.calls[0][0]).toMatchObject({ _id: userId, $expr: ledgerService.availableCovers('USD', 4000n) });
+      expect(User.updateOne.mock.calls[0][1].$inc['heldBalances.USD'].toString()).toBe('40.00');
+
+      expect(hold.status).toBe('active');
+      expect(hold.account).toEqual(account._id);
+      expect(hold.expiresAt.getTime()).toBeGreaterThan(Date.now() + 71 * 60 * 60 * 1000);
+    });
+
+    it('refuses more than the account has available', async () => {
+      Account.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(placeHold({ userId, currency: 'USD', amount: '40', session })).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+      expect(User.updateOne).not.toHaveBeenCalled();
+      expect(Hold.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses more than the user has available across accounts', async () => {
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(placeHold({ userId, currency: 'USD', amount: '40', session })).rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+      expect(Hold.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses frozen accounts and invalid amounts', async () => {
+      await expect(placeHold({ userId, currency: 'USD', amount: '0', session })).rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+
+      ledgerService.resolveAccount.mockResolvedValue({ ...account, status: 'frozen' });
+      await expect(placeHold({ userId, currency: 'USD', amount: '40', session })).rejects.toMatchObject({ code: 'ACCOUNT_FROZEN' });
+      expect(Account.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('captureHold', () => {
+    it('posts the held amount to the settlement account, releasing the hold with it', async () => {
+      const hold = activeHold({ status: 'captured' });
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(hold);
+      jest.spyOn(Hold, 'updateOne').mockResolvedValue({});
+      ledgerService.post.mockResolvedValue({ _id: 'entry-1' });
+
+      const result = await captureHold(hold._id, { session });
+
+      expect(Hold.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: hold._id, status: 'active' });
+      expect(ledgerService.post).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'transfer',
+        postings: ledgerService.move(
+          ledgerService.userAccount(userId, account._id),
+          ledgerService.systemAccount('external_clearing'),
+          'USD',
+          '40.00'
+        ),
+        captures: [hold],
+        session
+      }));
+      expect(result).toEqual({ hold, entry: { _id: 'entry-1' } });
+      expect(Hold.updateOne).toHaveBeenCalledWith({ _id: hold._id }, { $set: { journalEntry: 'entry-1' } }, { session });
+    });
+
+    it('refuses holds that are no longer active', async () => {
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(captureHold(id(), { session })).rejects.toMatchObject({ code: 'HOLD_NOT_ACTIVE' });
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseHold', () => {
+    it('returns the held amount to the available balance', async () => {
+      const hold = activeHold({ status: 'released' });
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(hold);
+
+      await releaseHold(hold._id, { reason: 'Cancelled', session });
+
+      expect(Hold.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'released', releaseReason: 'Cancelled' });
+      expect(Account.updateOne.mock.calls[0][1].$inc.heldBalance.toString()).toBe('-40.00');
+      expect(User.updateOne.mock.calls[0][1].$inc['heldBalances.USD'].toString()).toBe('-40.00');
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('refuses holds that are no longer active', async () => {
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(releaseHold(id(), { session })).rejects.toMatchObject({ code: 'HOLD_NOT_ACTIVE' });
+      expect(Account.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('releases expired holds and fails the transactions they were for', async () => {
+      const hold = activeHold({ status: 'expired' });
+      jest.spyOn(Hold, 'find').mockResolvedValue([{ _id: hold._id }]);
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(hold);
+
+      await expireHolds();
+
+      expect(Hold.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'expired', releaseReason: 'Hold expired' });
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: hold.transaction, status: { $in: ['pending', 'processing'] } },
+        { $set: { status: 'failed' } },
+        { session }
+      );
+    });
+
+    it('skips holds captured or released since they were read', async () => {
+      jest.spyOn(Hold, 'find').mockResolvedValue([{ _id: id() }]);
+      jest.spyOn(Hold, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expireHolds();
+
+      expect(Transaction.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Idempotency Middleware
+ * Honors the Idempotency-Key header on money-movement endpoints. The first
+ * response for a key is stored per user; an identical retry gets it replayed
+ * (with an Idempotent-Replayed: true header) and nothing runs twice.
+ *
+ * Place it after validation so the stored request is the validated body and
+ * "100" and "100.00" count as the same amount.
+ *
+ * Routes that move money store their success response with saveResponse()
+ * inside the same database transaction, so the movement and the completed key
+ * commit together. Other responses are stored as they are sent.
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { logger } = require('./logger');
+
+// How long a key (and its stored response) is kept
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// How long a request holds its key before a retry may take it over. A request
+// still running by then can no longer complete the key, and its money
+// movement is rolled back (see saveResponse)
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Error for a request whose key was taken over by a retry before it finished
+class IdempotencyError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
+
+// JSON with object keys sorted, so the hash does not depend on key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Hash of what makes two requests "the same request"
+function hashRequest(method, path, body) {
+  return crypto.createHash('sha256')
+    .update(`${method}\n${path}\n${canonicalJson(body || {})}`)
+    .digest('hex');
+}
+
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  // The header is optional
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_IDEMPOTENCY_KEY',
+        message: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces'
+      }
+    });
+  }
+
+  try {
+    const path = req.baseUrl + req.path;
+    const requestHash = hashRequest(req.method, path, req.body);
+
+    const { record, created } = await IdempotencyKey.claim({
+      userId: req.user._id,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      ttlMs: IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000,
+      leaseMs: IDEMPOTENCY_LOCK_SECONDS * 1000
+    });
+
+    if (!created) {
+      if (record.requestHash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'IDEMPOTENCY_KEY_MISMATCH',
+            message: 'This Idempotency-Key was already used with a different request'
+          }
+        });
+      }
+
+      if (record.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'IDEMPOTENCY_KEY_IN_USE',
+            message: `A request with this Idempotency-Key is still being processed; retry after ${IDEMPOTENCY_LOCK_SECONDS} seconds`
+          }
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).type('json').send(record.responseBody);
+    }
+
+    req.idempotencyKey = { id: record._id, lockToken: record.lockToken };
+
+    // Store the response before sending it, so a retry that follows the
+    // response always finds it. Server errors release the key for a retry.
+    // Both leave a key completed by saveResponse() or taken over by a retry alone.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.json = json;
+
+      const saved = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id, status: 'processing', lockToken: record.lockToken })
+        : IdempotencyKey.complete({
+          id: record._id,
+          lockToken: record.lockToken,
+          responseStatus: res.statusCode,
+          responseBody: JSON.stringify(body)
+        });
+
+      saved
+        .catch(error => logger.error('Idempotency key save error:', error))
+        .finally(() => json(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Idempotency key error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'IDEMPOTENCY_FAILED',
+        message: 'Failed to process Idempotency-Key'
+      }
+    });
+  }
+};
+
+// Store the success response for the request's Idempotency-Key in the database
+// transaction that moves the money, so a retry after a crash replays it rather
+// than moving the money again. Throws an IdempotencyError, rolling the movement
+// back, if a retry took the key over meanwhile. Does nothing without a key.
+exports.saveResponse = async (req, statusCode, body, session) => {
+  const claim = req.idempotencyKey;
+  if (!claim) return;
+
+  const completed = await IdempotencyKey.complete({
+    id: claim.id,
+    lockToken: claim.lockToken,
+    responseStatus: statusCode,
+    responseBody: JSON.stringify(body),
+    session
+  });
+
+  if (!completed) {
+    throw new IdempotencyError(
+      'IDEMPOTENCY_KEY_IN_USE',
+      'This request took too long and a retry with the same Idempotency-Key took over; nothing was changed'
+    );
+  }
+};
+
+exports.IdempotencyError = IdempotencyError;
+exports.hashRequest = hashRequest;
@@ -0,0 +1,196 @@
+jest.mock('../models/IdempotencyKey', () => ({
+  claim: jest.fn(),
+  complete: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent, saveResponse, hashRequest, IdempotencyError } = require('./idempotency');
+
+// Minimal Express request and response for the middleware
+function mockRequest({ key, body = { amount: '10.00', currency: 'USD' } } = {}) {
+  return {
+    method: 'POST',
+    baseUrl: '/api/transactions',
+    path: '/send',
+    body,
+    user: { _id: 'user-1' },
+    get: name => (name === 'Idempotency-Key' ? key : undefined)
+  };
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.type = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotency', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('hashRequest', () => {
+    it('does not depend on the order of body keys', () => {
+      expect(hashRequest('POST', '/api/transactions/send', { amount: '1.00', currency: 'USD', meta: { b: 1, a: 2 } }))
+        .toBe(hashRequest('POST', '/api/transactions/send', { meta: { a: 2, b: 1 }, currency: 'USD', amount: '1.00' }));
+    });
+
+    it('ignores undefined fields', () => {
+      expect(hashRequest('POST', '/p', { amount: '1.00', note: undefined })).toBe(hashRequest('POST', '/p', { amount: '1.00' }));
+    });
+
+    it('differs for another method, path, amount or array order', () => {
+      const base = hashRequest('POST', '/api/transactions/send', { amount: '1.00', tags: [1, 2] });
+
+      expect(hashRequest('PUT', '/api/transactions/send', { amount: '1.00', tags: [1, 2] })).not.toBe(base);
+      expect(hashRequest('POST', '/api/transactions/receive', { amount: '1.00', tags: [1, 2] })).not.toBe(base);
+      expect(hashRequest('POST', '/api/transactions/send', { amount: '1.01', tags: [1, 2] })).not.toBe(base);
+      expect(hashRequest('POST', '/api/transactions/send', { amount: '1.00', tags: [2, 1] })).not.toBe(base);
+    });
+
+    it('treats a missing body as an empty one', () => {
+      expect(hashRequest('POST', '/p')).toBe(hashRequest('POST', '/p', {}));
+    });
+  });
+
+  describe('idempotent', () => {
+    it('runs requests without the header untouched', async () => {
+      const next = jest.fn();
+
+      await idempotent(mockRequest(), mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(IdempotencyKey.claim).not.toHaveBeenCalled();
+    });
+
+    it('rejects malformed keys', async () => {
+      const res = mockResponse();
+
+      await idempotent(mockRequest({ key: 'has space' }), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    });
+
+    it('replays a completed response', async () => {
+      const req = mockRequest({ key: 'k1' });
+      const res = mockResponse();
+      const next = jest.fn();
+      IdempotencyKey.claim.mockResolvedValue({
+        created: false,
+        record: {
+          requestHash: hashRequest('POST', '/api/transactions/send', req.body),
+          status: 'completed',
+          responseStatus: 201,
+          responseBody: '{"success":true}'
+        }
+      });
+
+      await idempotent(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.headers['Idempotent-Replayed']).toBe('true');
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith('{"success":true}');
+    });
+
+    it('rejects a key reused for a different request', async () => {
+      const res = mockResponse();
+      IdempotencyKey.claim.mockResolvedValue({ created: false, record: { requestHash: 'other', status: 'completed' } });
+
+      await idempotent(mockRequest({ key: 'k1' }), res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    });
+
+    it('rejects a retry while the first request is processing', async () => {
+      const req = mockRequest({ key: 'k1' });
+      const res = mockResponse();
+      IdempotencyKey.claim.mockResolvedValue({
+        created: false,
+        record: { requestHash: hashRequest('POST', '/api/transactions/send', req.body), status: 'processing' }
+      });
+
+      await idempotent(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_KEY_IN_USE');
+    });
+
+    it('stores the response of a new request before sending it', async () => {
+      const req = mockRequest({ key: 'k1' });
+      const res = mockResponse();
+      const send = res.json;
+      IdempotencyKey.claim.mockResolvedValue({ created: true, record: { _id: 'id-1', lockToken: 't1' } });
+      IdempotencyKey.complete.mockResolvedValue(true);
+
+      await idempotent(req, res, jest.fn());
+      res.status(400).json({ success: false });
+      await flush();
+
+      expect(IdempotencyKey.complete).toHaveBeenCalledWith({
+        id: 'id-1',
+        lockToken: 't1',
+        responseStatus: 400,
+        responseBody: '{"success":false}'
+      });
+      expect(send).toHaveBeenCalledWith({ success: false });
+    });
+
+    it('releases the key it holds on a server error', async () => {
+      const res = mockResponse();
+      IdempotencyKey.claim.mockResolvedValue({ created: true, record: { _id: 'id-1', lockToken: 't1' } });
+      IdempotencyKey.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await idempotent(mockRequest({ key: 'k1' }), res, jest.fn());
+      res.status(500).json({ success: false });
+      await flush();
+
+      expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'id-1', status: 'processing', lockToken: 't1' });
+    });
+  });
+
+  describe('saveResponse', () => {
+    const session = {};
+
+    it('completes the key in the caller\'s transaction', async () => {
+      IdempotencyKey.complete.mockResolvedValue(true);
+      const req = { idempotencyKey: { id: 'id-1', lockToken: 't1' } };
+
+      await saveResponse(req, 200, { success: true }, session);
+
+      expect(IdempotencyKey.complete).toHaveBeenCalledWith({
+        id: 'id-1',
+        lockToken: 't1',
+        responseStatus: 200,
+        responseBody: '{"success":true}',
+        session
+      });
+    });
+
+    it('throws when a retry took the key over', async () => {
+      IdempotencyKey.complete.mockResolvedValue(false);
+      const req = { idempotencyKey: { id: 'id-1', lockToken: 't1' } };
+
+      await expect(saveResponse(req, 200, { success: true }, session)).rejects.toBeInstanceOf(IdempotencyError);
+      await expect(saveResponse(req, 200, { success: true }, session)).rejects.toMatchObject({
+        code: 'IDEMPOTENCY_KEY_IN_USE',
+        statusCode: 409
+      });
+    });
+
+    it('does nothing for requests without a key', async () => {
+      await saveResponse({}, 200, { success: true }, session);
+
+      expect(IdempotencyKey.complete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * International Transfer Service
+ * Moves international transfers through the correspondent bank
+ * (services/correspondentBankService.js):
+ *
+ *   created -> submitted -> in_transit -> completed -> returned
+ *                    \-----------\-----> failed
+ *
+ * Submitting captures the transfer's hold into the suspense account; completion
+ * settles it to external clearing. A transfer that fails after submission, or
+ * is returned after completion, is reversed: the amount is posted back to the
+ * account it left. Each change notifies the user and is audited.
+ *
+ * Transfers made before holds existed have no hold: their amount was debited to
+ * external clearing when they were made, so there is nothing to capture on
+ * submission and a failure at any stage credits it back from there.
+ */
+
+const cron = require('node-cron');
+const Transaction = require('../models/Transaction');
+const Hold = require('../models/Hold');
+const Account = require('../models/Account');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../middleware/logger');
+const ledgerService = require('./ledgerService');
+const holdService = require('./holdService');
+const { getAdapter } = require('./correspondentBankService');
+const { withTransaction } = require('../utils/dbTransaction');
+
+const { LedgerError } = ledgerService;
+
+// How long after completion a transfer is still polled for a return
+const RETURN_WINDOW_DAYS = parseInt(process.env.INTERNATIONAL_RETURN_WINDOW_DAYS) || 5;
+
+// Most transfers handled per run
+const BATCH_SIZE = 100;
+
+// States each state can move to
+const TRANSITIONS = {
+  created: ['submitted', 'failed'],
+  submitted: ['in_transit', 'completed', 'failed'],
+  in_transit: ['completed', 'failed'],
+  completed: ['returned']
+};
+
+// Transaction.status for each transfer state
+const TRANSACTION_STATUS = {
+  submitted: 'processing',
+  in_transit: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  returned: 'returned'
+};
+
+// Notification and audit wording for each state
+const STATE_EVENTS = {
+  submitted: {
+    action: 'international_submit',
+    title: 'International Transfer Submitted',
+    message: (t) => `Your international transfer of ${t.amount} ${t.currency} to ${t.recipient.name} has been sent to our correspondent bank`
+  },
+  in_transit: {
+    action: 'international_in_transit',
+    title: 'International Transfer In Transit',
+    message: (t) => `Your international transfer of ${t.amount} ${t.currency} to ${t.recipient.name} is on its way`
+  },
+  completed: {
+    action: 'international_complete',
+    title: 'International Transfer Completed',
+    message: (t) => `Your international transfer of ${t.amount} ${t.currency} to ${t.recipient.name} has arrived`
+  },
+  failed: {
+    action: 'international_fail',
+    title: 'International Transfer Failed',
+    message: (t, reason) => `Your international transfer of ${t.amount} ${t.currency} to ${t.recipient.name} failed: ${reason}. The money is back in your account`
+  },
+  returned: {
+    action: 'international_return',
+    title: 'International Transfer Returned',
+    message: (t, reason) => `Your international transfer of ${t.amount} ${t.currency} to ${t.recipient.name} was returned: ${reason}. The money is back in your account`
+  }
+};
+
+// Start international transfer service
+function startInternationalTransferService() {
+  logger.info('Starting international transfer service...');
+
+  // Fail fast on a misconfigured adapter
+  getAdapter();
+
+  // Advance transfers every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await processTransfers();
+    } catch (error) {
+      logger.error('International transfer processing error:', error);
+    }
+  });
+
+  logger.info('International transfer service started successfully');
+}
+
+// Query matching transfers in a state; transfers made before states existed count as created
+function inState(status) {
+  return status === 'created'
+    ? { 'internationalTransfer.swiftCode': { $exists: true }, 'internationalTransfer.status': { $in: ['created', null] }, status: 'processing' }
+    : { 'internationalTransfer.status': status };
+}
+
+// Account to credit when reversing a transfer: the one it left, or the primary
+// account if that has since been closed
+async function refundAccount(transfer, session) {
+  const account = transfer.fromAccount && await Account.findById(transfer.fromAccount).session(session);
+  return ledgerService.userAccount(transfer.user, account && account.status !== 'closed' ? account._id : undefined);
+}
+
+// Credit a transfer made before holds existed back to its user: its amount
+// already left for external clearing when the transfer was made
+async function refundUnheldTransfer(transfer, description, session) {
+  return ledgerService.post({
+    type: 'international_reversal',
+    transaction: transfer._id,
+    description,
+    postings: ledgerService.move(ledgerService.systemAccount('external_clearing'), await refundAccount(transfer, session), transfer.currency, transfer.amount),
+    session
+  });
+}
+
+// Move a transfer from one state to another in one database transaction: post
+// the money movement the new state needs, then notify and audit. Resolves the
+// updated transfer, or null if another run moved it first.
+async function changeState(transfer, from, to, { reason, set = {}, capture = false } = {}) {
+  return withTransaction(async (session) => {
+    const now = new Date();
+    const update = {
+      ...set,
+      status: TRANSACTION_STATUS[to],
+      'internationalTransfer.status': to
+    };
+
+    if (to === 'completed') update['internationalTransfer.completedAt'] = now;
+    if (to === 'failed' || to === 'returned') update['internationalTransfer.failureReason'] = reason;
+
+    const updated = await Transaction.findOneAndUpdate(
+      { _id: transfer._id, ...inState(from) },
+      { $set: update, $push: { 'internationalTransfer.history': { status: to, reason, at: now } } },
+      { new: true, session }
+    );
+
+    if (!updated) return null;
+
+    const { currency, amount } = updated;
+    const hold = updated.hold && await Hold.findById(updated.hold).session(session);
+    // Older transfers were captured straight to external clearing
+    const settledTo = (hold && hold.settlementAccount) || 'external_clearing';
+    let entry;
+
+    if (capture && updated.hold) {
+      ({ entry } = await holdService.captureHold(updated.hold, {
+        description: `International transfer ${updated.reference} submitted`,
+        session
+      }));
+      await Transaction.updateOne({ _id: updated._id }, { $set: { journalEntry: entry._id } }, { session });
+    } else if (to === 'completed' && settledTo === 'suspense') {
+      entry = await ledgerService.post({
+        type: 'international_settlement',
+        transaction: updated._id,
+        description: `International transfer ${updated.reference} settled`,
+        postings: ledgerService.move(ledgerService.systemAccount('suspense'), ledgerService.systemAccount('external_clearing'), currency, amount),
+        session
+      });
+    } else if (to === 'failed' && from !== 'created') {
+      entry = await ledgerService.post({
+        type: 'international_reversal',
+        transaction: updated._id,
+        description: `International transfer ${updated.reference} failed: ${reason}`,
+        postings: ledgerService.move(ledgerService.systemAccount(settledTo), await refundAccount(updated, session), currency, amount),
+        session
+      });
+    } else if (to === 'returned') {
+      entry = await ledgerService.post({
+        type: 'international_reversal',
+        transaction: updated._id,
+        description: `International transfer ${updated.reference} returned: ${reason}`,
+        postings: ledgerService.move(ledgerService.systemAccount('external_clearing'), await refundAccount(updated, session), currency, amount),
+        session
+      });
+    } else if (to === 'failed' && hold && hold.status === 'active') {
+      // Never submitted: the money was only held
+      await holdService.releaseHold(hold._id, { reason, session });
+    } else if (to === 'failed' && !hold) {
+      entry = await refundUnheldTransfer(updated, `International transfer ${updated.reference} failed: ${reason}`, session);
+    }
+
+    const event = STATE_EVENTS[to];
+
+    await new Notification({
+      user: updated.user,
+      type: 'transaction',
+      title: event.title,
+      message: event.message(updated, reason),
+      data: {
+        transactionId: updated._id,
+        status: to,
+        currency,
+        amount
+      },
+      priority: to === 'failed' || to === 'returned' ? 'high' : 'normal'
+    }).save({ session });
+
+    await AuditLog.createLog({
+      user: updated.user,
+      action: event.action,
+      entityType: 'transaction',
+      entityId: updated._id,
+      description: `International transfer ${updated.reference} ${from} -> ${to}${reason ? `: ${reason}` : ''}`,
+      metadata: {
+        correspondent: updated.internationalTransfer.correspondent,
+        externalReference: updated.internationalTransfer.externalReference,
+        journalEntry: entry && entry._id
+      }
+    }, { session });
+
+    logger.info(`International transfer ${updated.reference}: ${from} -> ${to}`);
+
+    return updated;
+  });
+}
+
+// Hand a transfer to the correspondent bank and record its reference, or fail it if refused
+async function sendToCorrespondent(transfer, adapter) {
+  const result = await adapter.submit(transfer);
+
+  if (!result.accepted) {
+    return changeState(transfer, 'submitted', 'failed', { reason: result.reason || 'Rejected by the correspondent bank' });
+  }
+
+  await Transaction.updateOne(
+    { _id: transfer._id, 'internationalTransfer.status': 'submitted' },
+    { $set: { 'internationalTransfer.externalReference': result.externalReference } }
+  );
+
+  return transfer;
+}
+
+// Submit a new transfer: take the held money into suspense, then send it on
+async function submitTransfer(transfer, adapter) {
+  let submitted;
+
+  try {
+    submitted = await changeState(transfer, 'created', 'submitted', {
+      capture: true,
+      set: {
+        'internationalTransfer.correspondent': adapter.name,
+        'internationalTransfer.submittedAt': new Date()
+      }
+    });
+  } catch (error) {
+    // The hold was released or expired before the transfer was submitted
+    if (error instanceof LedgerError) {
+      return changeState(transfer, 'created', 'failed', { reason: error.message });
+    }
+    throw error;
+  }
+
+  return submitted && sendToCorrespondent(submitted, adapter);
+}
+
+// Take one transfer a step further
+async function processTransfer(transfer, adapter) {
+  const status = transfer.internationalTransfer.status || 'created';
+
+  if (status === 'created') {
+    return submitTransfer(transfer, adapter);
+  }
+
+  // Submitted, but the correspondent's reference was never recorded
+  if (status === 'submitted' && !transfer.internationalTransfer.externalReference) {
+    return sendToCorrespondent(transfer, adapter);
+  }
+
+  const result = await adapter.getStatus(transfer);
+  await Transaction.updateOne({ _id: transfer._id }, { $set: { 'internationalTransfer.checkedAt': new Date() } });
+
+  if (!result || result.status === status) return null;
+
+  if (!TRANSITIONS[status].includes(result.status)) {
+    logger.warn(`Ignoring ${adapter.name} status ${result.status} for international transfer ${transfer.reference} (${status})`);
+    return null;
+  }
+
+  return changeState(transfer, status, result.status, { reason: result.reason });
+}
+
+// Take each transfer of a batch a step further, logging failures
+async function processBatch(transfers, adapter) {
+  for (const transfer of transfers) {
+    try {
+      await processTransfer(transfer, adapter);
+    } catch (error) {
+      logger.error(`Error processing international transfer ${transfer.reference}:`, error);
+    }
+  }
+}
+
+// Advance every transfer in flight, and check recently completed ones for
+// returns. Each has its own batch, so return checks never hold up new transfers;
+// completed transfers are checked least recently checked first.
+async function processTransfers() {
+  const adapter = getAdapter();
+  const returnCutoff = new Date(Date.now() - RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const inFlight = await Transaction.find({
+    $or: [
+      inState('created'),
+      { 'internationalTransfer.status': { $in: ['submitted', 'in_transit'] } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  await processBatch(inFlight, adapter);
+
+  const completed = await Transaction.find({
+    'internationalTransfer.status': 'completed',
+    'internationalTransfer.completedAt': { $gte: returnCutoff }
+  })
+    .sort({ 'internationalTransfer.checkedAt': 1 })
+    .limit(BATCH_SIZE);
+
+  await processBatch(completed, adapter);
+}
+
+module.exports = {
+  startInternationalTransferService,
+  processTransfers,
+  processTransfer,
+  refundUnheldTransfer
+};
@@ -0,0 +1,293 @@
+jest.mock('../models/Transaction', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/Hold', () => ({ findById: jest.fn() }));
+jest.mock('../models/Account', () => ({ findById: jest.fn() }));
+jest.mock('../models/Notification', () => jest.fn().mockImplementation(() => ({ save: jest.fn() })));
+jest.mock('../models/AuditLog', () => ({ createLog: jest.fn() }));
+jest.mock('./holdService', () => ({ captureHold: jest.fn(), releaseHold: jest.fn() }));
+jest.mock('./ledgerService', () => ({
+  ...jest.requireActual('./ledgerService'),
+  post: jest.fn()
+}));
+jest.mock('./correspondentBankService', () => ({ getAdapter: jest.fn() }));
+jest.mock('../utils/dbTransaction', () => ({ withTransaction: work => work({}) }));
+
+const Transaction = require('../models/Transaction');
+const Hold = require('../models/Hold');
+const Account = require('../models/Account');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const holdService = require('./holdService');
+const ledgerService = require('./ledgerService');
+const { getAdapter } = require('./correspondentBankService');
+const { processTransfers, processTransfer, refundUnheldTransfer } = require('./internationalTransferService');
+
+// A query resolving `value`, as returned by Model.find() and friends
+const query = value => {
+  const chain = {
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    session: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// A transfer in `status`, as loaded from the database
+const transfer = (status, fields = {}) => ({
+  _id: `tx-${status}`,
+  reference: `TXN-${status}`,
+  user: 'user-1',
+  currency: 'EUR',
+  amount: '100.00',
+  recipient: { name: 'Jean Dupont' },
+  internationalTransfer: { status, externalReference: status === 'created' ? undefined : 'EXT-1', ...fields }
+});
+
+describe('internationalTransferService', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adapter = { name: 'test', submit: jest.fn(), getStatus: jest.fn() };
+    getAdapter.mockReturnValue(adapter);
+    Transaction.updateOne.mockResolvedValue({});
+    Account.findById.mockReturnValue(query({ _id: 'acct-1', status: 'active' }));
+    ledgerService.post.mockResolvedValue({ _id: 'entry-1' });
+  });
+
+  describe('processTransfers', () => {
+    it('polls for returns in a batch of its own, after transfers in flight', async () => {
+      const inFlight = query([transfer('in_transit')]);
+      const completed = query([transfer('completed')]);
+      Transaction.find.mockReturnValueOnce(inFlight).mockReturnValueOnce(completed);
+      adapter.getStatus.mockResolvedValue(null);
+
+      await processTransfers();
+
+      const [inFlightFilter] = Transaction.find.mock.calls[0];
+      const [completedFilter] = Transaction.find.mock.calls[1];
+      expect(JSON.stringify(inFlightFilter)).not.toContain('"completed"');
+      expect(inFlightFilter.$or).toContainEqual({ 'internationalTransfer.status': { $in: ['submitted', 'in_transit'] } });
+      expect(completedFilter['internationalTransfer.status']).toBe('completed');
+      expect(completedFilter['internationalTransfer.completedAt'].$gte).toBeInstanceOf(Date);
+
+      expect(inFlight.limit).toHaveBeenCalledWith(100);
+      expect(completed.limit).toHaveBeenCalledWith(100);
+      expect(completed.sort).toHaveBeenCalledWith({ 'internationalTransfer.checkedAt': 1 });
+      expect(adapter.getStatus.mock.calls.map(([t]) => t.reference)).toEqual(['TXN-in_transit', 'TXN-completed']);
+    });
+
+    it('still checks for returns when a transfer in flight throws', async () => {
+      Transaction.find
+        .mockReturnValueOnce(query([transfer('submitted')]))
+        .mockReturnValueOnce(query([transfer('completed')]));
+      adapter.getStatus.mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce(null);
+
+      await processTransfers();
+
+      expect(adapter.getStatus).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('processTransfer', () => {
+    it('records when the correspondent was last asked', async () => {
+      adapter.getStatus.mockResolvedValue({ status: 'completed' });
+
+      await expect(processTransfer(transfer('completed'), adapter)).resolves.toBeNull();
+
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'tx-completed' },
+        { $set: { 'internationalTransfer.checkedAt': expect.any(Date) } }
+      );
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('ignores states a transfer cannot move to', async () => {
+      for (const [from, to] of [['in_transit', 'submitted'], ['completed', 'failed'], ['completed', 'in_transit']]) {
+        adapter.getStatus.mockResolvedValueOnce({ status: to });
+
+        await expect(processTransfer(transfer(from), adapter)).resolves.toBeNull();
+      }
+
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('resends a submitted transfer that has no correspondent reference yet', async () => {
+      adapter.submit.mockResolvedValue({ accepted: true, externalReference: 'EXT-2' });
+
+      await processTransfer(transfer('submitted', { externalReference: undefined }), adapter);
+
+      expect(adapter.getStatus).not.toHaveBeenCalled();
+      expect(Transaction.updateOne).toHaveBeenCalledWith(
+        { _id: 'tx-submitted', 'internationalTransfer.status': 'submitted' },
+        { $set: { 'internationalTransfer.externalReference': 'EXT-2' } }
+      );
+    });
+  });
+
+  describe('state changes', () => {
+    const suspense = ledgerService.systemAccount('suspense');
+    const clearing = ledgerService.systemAccount('external_clearing');
+    const fromAccount = ledgerService.userAccount('user-1', 'acct-1');
+
+    // The transfer as stored once it moved to `status`
+    function storeAs(status, { hold = 'hold-1', settlementAccount = 'suspense', holdStatus = 'captured' } = {}) {
+      const updated = { ...transfer(status), fromAccount: 'acct-1', hold: hold || undefined };
+      Transaction.findOneAndUpdate.mockResolvedValue(updated);
+      Hold.findById.mockReturnValue(query(hold && { _id: hold, status: holdStatus, settlementAccount }));
+      return updated;
+    }
+
+    const postedEntry = () => ledgerService.post.mock.calls[0][0];
+
+    it('captures the hold into suspense on submission', async () => {
+      storeAs('submitted', { holdStatus: 'active' });
+      holdService.captureHold.mockResolvedValue({ entry: { _id: 'entry-1' } });
+      adapter.submit.mockResolvedValue({ accepted: true, externalReference: 'EXT-1' });
+
+      await processTransfer(transfer('created'), adapter);
+
+      expect(Transaction.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ 'internationalTransfer.status': { $in: ['created', null] } });
+      expect(Transaction.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        status: 'processing',
+        'internationalTransfer.status': 'submitted',
+        'internationalTransfer.correspondent': 'test'
+      });
+      expect(holdService.captureHold).toHaveBeenCalledWith('hold-1', expect.objectContaining({ session: {} }));
+      expect(Transaction.updateOne).toHaveBeenCalledWith({ _id: 'tx-submitted' }, { $set: { journalEntry: 'entry-1' } }, { session: {} });
+      expect(adapter.submit).toHaveBeenCalled();
+    });
+
+    it('fails a transfer whose hold can no longer be captured, without posting', async () => {
+      const submitted = storeAs('submitted', { holdStatus: 'released' });
+      holdService.captureHold.mockRejectedValue(new ledgerService.LedgerError('HOLD_NOT_ACTIVE', 'Hold is no longer active'));
+      Transaction.findOneAndUpdate
+        .mockResolvedValueOnce(submitted)
+        .mockResolvedValueOnce({ ...submitted, ...transfer('failed') });
+
+      await processTransfer(transfer('created'), adapter);
+
+      expect(Transaction.findOneAndUpdate.mock.calls[1][1].$set).toMatchObject({
+        status: 'failed',
+        'internationalTransfer.failureReason': 'Hold is no longer active'
+      });
+      expect(holdService.releaseHold).not.toHaveBeenCalled();
+      expect(ledgerService.post).not.toHaveBeenCalled();
+      expect(adapter.submit).not.toHaveBeenCalled();
+    });
+
+    it('releases a hold that is still active when a transfer fails before submission', async () => {
+      const submitted = storeAs('submitted', { holdStatus: 'active' });
+      holdService.captureHold.mockRejectedValue(new ledgerService.LedgerError('INSUFFICIENT_FUNDS', 'Insufficient funds'));
+      Transaction.findOneAndUpdate
+        .mockResolvedValueOnce(submitted)
+        .mockResolvedValueOnce({ ...submitted, ...transfer('failed') });
+
+      await processTransfer(transfer('created'), adapter);
+
+      expect(holdService.releaseHold).toHaveBeenCalledWith('hold-1', { reason: 'Insufficient funds', session: {} });
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('refunds transfers made before holds from external clearing', async () => {
+      await refundUnheldTransfer({ ...transfer('created'), fromAccount: 'acct-1' }, 'Refund', {});
+
+      expect(postedEntry()).toMatchObject({
+        type: 'international_reversal',
+        transaction: 'tx-created',
+        postings: ledgerService.move(clearing, fromAccount, 'EUR', '100.00')
+      });
+    });
+
+    it('settles the money from suspense to external clearing on completion', async () => {
+      storeAs('completed');
+      adapter.getStatus.mockResolvedValue({ status: 'completed' });
+
+      await processTransfer(transfer('in_transit'), adapter);
+
+      expect(Transaction.findOneAndUpdate.mock.calls[0][1].$set['internationalTransfer.completedAt']).toBeInstanceOf(Date);
+      expect(postedEntry()).toMatchObject({ type: 'international_settlement', postings: ledgerService.move(suspense, clearing, 'EUR', '100.00') });
+    });
+
+    it('posts nothing on completion of transfers captured straight to external clearing', async () => {
+      storeAs('completed', { hold: null });
+      adapter.getStatus.mockResolvedValue({ status: 'completed' });
+
+      await processTransfer(transfer('submitted'), adapter);
+
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('reverses a transfer that fails after submission from where its money went', async () => {
+      storeAs('failed');
+      adapter.getStatus.mockResolvedValue({ status: 'failed', reason: 'Beneficiary account closed' });
+
+      await processTransfer(transfer('submitted'), adapter);
+
+      expect(postedEntry()).toMatchObject({
+        type: 'international_reversal',
+        description: 'International transfer TXN-failed failed: Beneficiary account closed',
+        postings: ledgerService.move(suspense, fromAccount, 'EUR', '100.00')
+      });
+    });
+
+    it('reverses a transfer the correspondent rejects', async () => {
+      storeAs('failed');
+      adapter.submit.mockResolvedValue({ accepted: false });
+
+      await processTransfer(transfer('submitted', { externalReference: undefined }), adapter);
+
+      expect(Transaction.findOneAndUpdate.mock.calls[0][1].$set['internationalTransfer.failureReason']).toBe('Rejected by the correspondent bank');
+      expect(postedEntry().postings).toEqual(ledgerService.move(suspense, fromAccount, 'EUR', '100.00'));
+    });
+
+    it('reverses a returned transfer from external clearing', async () => {
+      storeAs('returned');
+      adapter.getStatus.mockResolvedValue({ status: 'returned', reason: 'Invalid IBAN' });
+
+      await processTransfer(transfer('completed'), adapter);
+
+      expect(postedEntry()).toMatchObject({ type: 'international_reversal', postings: ledgerService.move(clearing, fromAccount, 'EUR', '100.00') });
+      expect(Notification).toHaveBeenCalledWith(expect.objectContaining({ title: 'International Transfer Returned', priority: 'high' }));
+    });
+
+    it('refunds to the primary account once the account it left is closed', async () => {
+      storeAs('returned');
+      Account.findById.mockReturnValue(query({ _id: 'acct-1', status: 'closed' }));
+      adapter.getStatus.mockResolvedValue({ status: 'returned', reason: 'Invalid IBAN' });
+
+      await processTransfer(transfer('completed'), adapter);
+
+      expect(postedEntry().postings[1]).toEqual({ ...ledgerService.userAccount('user-1'), currency: 'EUR', direction: 'credit', amount: '100.00' });
+    });
+
+    it('notifies, audits and returns the transfer for each change', async () => {
+      const updated = storeAs('in_transit');
+      adapter.getStatus.mockResolvedValue({ status: 'in_transit' });
+
+      await expect(processTransfer(transfer('submitted'), adapter)).resolves.toBe(updated);
+
+      expect(ledgerService.post).not.toHaveBeenCalled();
+      expect(Notification).toHaveBeenCalledWith(expect.objectContaining({ title: 'International Transfer In Transit', priority: 'normal' }));
+      expect(AuditLog.createLog).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'international_in_transit', description: 'International transfer TXN-in_transit submitted -> in_transit' }),
+        { session: {} }
+      );
+    });
+
+    it('does nothing when another run moved the transfer first', async () => {
+      Transaction.findOneAndUpdate.mockResolvedValue(null);
+      adapter.getStatus.mockResolvedValue({ status: 'completed' });
+
+      await expect(processTransfer(transfer('in_transit'), adapter)).resolves.toBeNull();
+
+      expect(ledgerService.post).not.toHaveBeenCalled();
+      expect(Notification).not.toHaveBeenCalled();
+      expect(AuditLog.createLog).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * International Transfer Validation
+ * Joi rules for the beneficiary of an international transfer: country code,
+ * SWIFT/BIC, IBAN (or account number where IBANs are not used) and whether the
+ * currency can be sent to the country. Rules that depend on the country read it
+ * from the sibling `country` key, so each problem is reported on its own field
+ * through the `validate` middleware.
+ */
+
+const Joi = require('joi');
+const { FIAT_CURRENCIES } = require('../config/currencies');
+const { COUNTRY_CODES, IBAN_LENGTHS, CURRENCY_COUNTRIES } = require('../config/countries');
+const { normalizeIban, hasValidIbanChecksum, normalizeBic, isValidBic } = require('./bankIdentifiers');
+
+// Countries whose transfers are addressed by IBAN, and the rest (by account number)
+const IBAN_COUNTRY_CODES = Object.keys(IBAN_LENGTHS);
+const OTHER_COUNTRY_CODES = COUNTRY_CODES.filter(code => !IBAN_LENGTHS[code]);
+
+// The sibling `country`, if it is a known country code (otherwise that field reports it)
+function siblingCountry(helpers) {
+  const country = String(helpers.state.ancestors[0].country || '').trim().toUpperCase();
+  return COUNTRY_CODES.includes(country) ? country : null;
+}
+
+// ISO 3166 country code, upper-cased
+const countryCode = () => Joi.string()
+  .trim()
+  .uppercase()
+  .valid(...COUNTRY_CODES)
+  .messages({ 'any.only': '{{#label}} must be an ISO 3166 two-letter country code' });
+
+// SWIFT/BIC of the beneficiary's bank, which must be in the destination country
+const bic = () => Joi.string()
+  .custom((value, helpers) => {
+    const code = normalizeBic(value);
+
+    if (!isValidBic(code)) {
+      return helpers.message('{{#label}} must be an 8 or 11 character BIC with a valid country code');
+    }
+
+    const country = siblingCountry(helpers);
+    if (country && code.slice(4, 6) !== country) {
+      return helpers.message(`{{#label}} belongs to a bank in ${code.slice(4, 6)}, not ${country}`);
+    }
+
+    return code;
+  }, 'BIC');
+
+// IBAN issued in the destination country, with that country's length and valid check digits
+const iban = () => Joi.string()
+  .max(42)
+  .custom((value, helpers) => {
+    const code = normalizeIban(value);
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(code)) {
+      return helpers.message('{{#label}} must be a country code, two check digits and letters or digits');
+    }
+
+    const issuer = code.slice(0, 2);
+    const country = siblingCountry(helpers);
+
+    if (country && issuer !== country) {
+      return helpers.message(`{{#label}} is issued in ${issuer}, not ${country}`);
+    }
+    if (!IBAN_LENGTHS[issuer]) {
+      return helpers.message(`{{#label}} country ${issuer} does not issue IBANs`);
+    }
+    if (code.length !== IBAN_LENGTHS[issuer]) {
+      return helpers.message(`{{#label}} must be ${IBAN_LENGTHS[issuer]} characters for ${issuer}, not ${code.length}`);
+    }
+    if (!hasValidIbanChecksum(code)) {
+      return helpers.message('{{#label}} has invalid check digits');
+    }
+
+    return code;
+  }, 'IBAN');
+
+// Fiat currency that can be sent to the destination country
+const transferCurrency = () => Joi.string()
+  .custom((value, helpers) => {
+    if (!FIAT_CURRENCIES.includes(value)) {
+      return helpers.message(`{{#label}} must be one of ${FIAT_CURRENCIES.join(', ')}`);
+    }
+
+    const country = siblingCountry(helpers);
+    const countries = CURRENCY_COUNTRIES[value];
+
+    if (country && countries && !countries.includes(country)) {
+      return helpers.message(`{{#label}} ${value} cannot be sent to ${country}`);
+    }
+
+    return value;
+  }, 'transfer currency');
+
+// Which of `iban` and `accountNumber` a transfer needs depends on the country;
+// with an unknown country only the country field is reported
+const countryIn = (codes) => Joi.string().trim().uppercase().valid(...codes);
+
+// IBAN where the destination country uses them, not allowed elsewhere
+const ibanForCountry = () => Joi.when('country', {
+  switch: [
+    { is: countryIn(IBAN_COUNTRY_CODES), then: iban().required() },
+    { is: countryIn(OTHER_COUNTRY_CODES), then: Joi.forbidden() }
+  ]
+}).messages({ 'any.unknown': '{{#label}} is not used in this country; give accountNumber instead' });
+
+// Local account number where the destination country does not use IBANs
+const accountNumberForCountry = () => Joi.when('country', {
+  switch: [
+    { is: countryIn(IBAN_COUNTRY_CODES), then: Joi.forbidden() },
+    { is: countryIn(OTHER_COUNTRY_CODES), then: Joi.string().trim().pattern(/^[A-Za-z0-9-]{4,34}$/).required() }
+  ]
+}).messages({
+  'any.unknown': '{{#label}} is not used in this country; give iban instead',
+  'string.pattern.base': '{{#label}} must be 4 to 34 letters, digits or dashes'
+});
+
+module.exports = {
+  countryCode,
+  bic,
+  iban,
+  transferCurrency,
+  ibanForCountry,
+  accountNumberForCountry
+};
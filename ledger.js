@@ -0,0 +1,60 @@
+/**
+ * Ledger Configuration
+ * System accounts that balance user postings, journal entry types, user
+ * account types, and the reasons staff may give for a manual balance adjustment
+ */
+
+// Platform-owned accounts on the other side of every user balance change
+const SYSTEM_ACCOUNTS = {
+  external_clearing: 'Money moving to or from banks and networks outside the platform',
+  suspense: 'Funds in flight, e.g. international transfers awaiting settlement',
+  fx: 'Currency conversion between a user\'s balances',
+  fees: 'Fees charged to users',
+  mining_rewards: 'Mining rewards paid to users',
+  trading: 'Trading robot profits paid out to users',
+  adjustments: 'Manual balance adjustments by staff',
+  opening_balances: 'Balances that existed before the ledger was introduced'
+};
+
+const ENTRY_TYPES = [
+  'send',
+  'receive',
+  'p2p',
+  'transfer',
+  'account_move',
+  'international',
+  'international_settlement',
+  'international_reversal',
+  'crypto_send',
+  'mining_reward',
+  'trading_profit',
+  'adjustment',
+  'reversal',
+  'opening_balance'
+];
+
+// Kinds of user account (models/Account.js)
+const ACCOUNT_TYPES = ['current', 'savings', 'trading'];
+
+// How often a scheduled payment repeats (models/ScheduledPayment.js)
+const PAYMENT_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly', 'last_business_day'];
+
+// Reason codes for balance adjustments (see models/BalanceAdjustment.js)
+const ADJUSTMENT_REASONS = {
+  error_correction: 'Correcting a processing or posting error',
+  chargeback: 'Card or bank chargeback',
+  refund: 'Refund not issued through a transaction',
+  fee_reversal: 'Reversing a fee charged in error',
+  goodwill: 'Goodwill credit to a customer',
+  write_off: 'Writing off funds credited in error that cannot be recovered',
+  migration: 'Correcting a balance carried over from another system',
+  other: 'Other; explained in the note'
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  ENTRY_TYPES,
+  ACCOUNT_TYPES,
+  PAYMENT_FREQUENCIES,
+  ADJUSTMENT_REASONS
+};
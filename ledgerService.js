@@ -0,0 +1,359 @@
+/**
+ * Ledger Service
+ * Posts double-entry journal entries and keeps the balance caches in step with
+ * them: each Account's balance and the per-user totals in User.balances. Every
+ * change to a user balance goes through post().
+ *
+ * Debits are checked against the available balance of the account: its
+ * balance minus active holds (Account.heldBalance, see services/holdService.js).
+ *
+ * Pass the `session` from utils/dbTransaction's withTransaction() so the entry,
+ * the balance update and the caller's own records commit together.
+ */
+
+const User = require('../models/User');
+const Account = require('../models/Account');
+const JournalEntry = require('../models/JournalEntry');
+const Hold = require('../models/Hold');
+const money = require('../utils/money');
+const { logger } = require('../middleware/logger');
+
+// Error for postings the ledger refuses, e.g. a debit larger than the balance
+class LedgerError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+    this.statusCode = 400;
+  }
+}
+
+// Account helpers; a user account without `accountId` is the user's primary account in the currency
+const userAccount = (userId, accountId) => (accountId
+  ? { accountType: 'user', user: userId, account: accountId }
+  : { accountType: 'user', user: userId });
+const systemAccount = (name) => ({ accountType: 'system', systemAccount: name });
+
+// Canonical decimal string of an amount to post or hold. Throws a LedgerError
+// with code INVALID_AMOUNT unless it is positive and fits the currency's precision.
+function toAmount(value, currency) {
+  let amount;
+  try {
+    amount = money.normalize(value, currency);
+  } catch (error) {
+    throw new LedgerError('INVALID_AMOUNT', error.message);
+  }
+
+  if (money.toMinor(amount, currency) <= 0n) {
+    throw new LedgerError('INVALID_AMOUNT', 'Amount must be positive');
+  }
+
+  return amount;
+}
+
+// Postings that move an amount from one account to another (debit `from`, credit `to`)
+function move(from, to, currency, value) {
+  const amount = toAmount(value, currency);
+
+  return [
+    { ...from, currency, direction: 'debit', amount },
+    { ...to, currency, direction: 'credit', amount }
+  ];
+}
+
+// Net change (in minor units) of each user's balances caused by a set of postings
+function userBalanceChanges(postings) {
+  const changes = new Map();
+
+  for (const posting of postings) {
+    if (posting.accountType !== 'user') continue;
+
+    const key = String(posting.user);
+    const change = changes.get(key) || {};
+    const amount = money.toMinor(posting.amount, posting.currency);
+    change[posting.currency] = (change[posting.currency] || 0n) + (posting.direction === 'credit' ? amount : -amount);
+    changes.set(key, change);
+  }
+
+  return changes;
+}
+
+// Minor units as a Decimal128
+const decimal = (minor, currency) => money.toDecimal128(money.fromMinor(minor, currency), currency);
+
+// Query condition (for $expr) that the available balance covers an amount
+function availableCovers(currency, minor) {
+  return {
+    $gte: [
+      { $subtract: [`$balances.${currency}`, { $ifNull: [`$heldBalances.${currency}`, 0] }] },
+      decimal(minor, currency)
+    ]
+  };
+}
+
+// Query condition (for $expr on an Account) that its available balance covers an amount
+function accountAvailableCovers(currency, minor) {
+  return {
+    $gte: [
+      { $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] },
+      decimal(minor, currency)
+    ]
+  };
+}
+
+// Find the Account a posting or hold uses: the one named, which must belong to
+// the user, be in the currency and not be closed, or else the user's primary account
+async function resolveAccount({ user, currency, account }, session) {
+  if (!account) {
+    const primary = await Account.ensurePrimary(user, currency, session);
+
+    if (!primary) {
+      throw new LedgerError('ACCOUNT_NOT_FOUND', `No account found for user ${user}`);
+    }
+
+    return primary;
+  }
+
+  const found = await Account.findOne({ _id: account, user }).session(session || null);
+
+  if (!found) {
+    throw new LedgerError('ACCOUNT_NOT_FOUND', 'Account not found');
+  }
+  if (found.currency !== currency) {
+    throw new LedgerError('ACCOUNT_CURRENCY_MISMATCH', `Account "${found.name}" holds ${found.currency}, not ${currency}`);
+  }
+  if (found.status === 'closed') {
+    throw new LedgerError('ACCOUNT_CLOSED', `Account "${found.name}" is closed`);
+  }
+
+  return found;
+}
+
+// Apply the net change (in minor units) of one account in a single conditional
+// update. `released` is held money the change consumes (captured holds).
+async function applyAccountChange(account, amount, released, session) {
+  const { currency } = account;
+  const inc = { balance: decimal(amount, currency) };
+  const filter = { _id: account._id, status: { $ne: 'closed' } };
+
+  if (released > 0n) {
+    inc.heldBalance = decimal(-released, currency);
+  }
+
+  if (amount < 0n) {
+    if (account.status === 'frozen') {
+      throw new LedgerError('ACCOUNT_FROZEN', `Account "${account.name}" is frozen`);
+    }
+
+    filter.status = 'active';
+    filter.$expr = accountAvailableCovers(currency, -amount - released);
+  }
+
+  const result = await Account.updateOne(filter, { $inc: inc }, { session });
+
+  if (result.matchedCount === 0) {
+    throw new LedgerError('INSUFFICIENT_BALANCE', `Insufficient ${currency} balance in account "${account.name}" for this transaction`);
+  }
+}
+
+// Held amounts (in minor units) per user and currency that the captured holds free up
+function capturedHoldAmounts(captures) {
+  const released = new Map();
+
+  for (const hold of captures) {
+    const key = String(hold.user);
+    const amounts = released.get(key) || {};
+    amounts[hold.currency] = (amounts[hold.currency] || 0n) + money.toMinor(hold.amount, hold.currency);
+    released.set(key, amounts);
+  }
+
+  return released;
+}
+
+// Apply one user's balance changes in a single conditional update, so a debit
+// only succeeds while the available balance still covers it. `released` is
+// held money the change consumes (captured holds), which it may spend.
+async function applyBalanceChange(userId, change, released, session) {
+  const inc = {};
+  const conditions = [];
+
+  Object.entries(change).forEach(([currency, amount]) => {
+    inc[`balances.${currency}`] = decimal(amount, currency);
+    if (amount < 0n) {
+      conditions.push(availableCovers(currency, -amount - (released[currency] || 0n)));
+    }
+  });
+
+  Object.entries(released).forEach(([currency, amount]) => {
+    inc[`heldBalances.${currency}`] = decimal(-amount, currency);
+  });
+
+  const filter = { _id: userId };
+  if (conditions.length > 0) {
+    filter.$expr = { $and: conditions };
+  }
+
+  const result = await User.updateOne(filter, { $inc: inc }, { session });
+
+  if (result.matchedCount === 0) {
+    const short = Object.keys(change).filter(currency => change[currency] < 0n);
+
+    if (short.length === 0) {
+      throw new LedgerError('ACCOUNT_NOT_FOUND', `No account found for user ${userId}`);
+    }
+
+    throw new LedgerError('INSUFFICIENT_BALANCE', `Insufficient ${short.join(', ')} balance for this transaction`);
+  }
+}
+
+// Record what users held before the ledger existed, once per user. The claim on
+// ledgerOpenedAt is atomic, so the balances read with it are the ones to open with.
+async function openLedger(userId, session) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, ledgerOpenedAt: { $exists: false } },
+    { $set: { ledgerOpenedAt: new Date() } },
+    { session }
+  );
+
+  if (!user) return null;
+
+  const postings = Object.entries(user.toObject().balances)
+    .filter(([currency, balance]) => money.toMinor(balance, currency) > 0n)
+    .flatMap(([currency, balance]) =>
+      move(systemAccount('opening_balances'), userAccount(user._id), currency, balance));
+
+  if (postings.length === 0) return null;
+
+  logger.info(`Opened ledger for user ${user.username}`);
+
+  return new JournalEntry({
+    type: 'opening_balance',
+    description: 'Opening balances carried over from before the ledger',
+    postings
+  }).save({ session });
+}
+
+// Post a balanced journal entry and apply it to the cached account and user balances.
+// User postings name an `account` or go to the user's primary account in the currency.
+// Throws a LedgerError with code INSUFFICIENT_BALANCE if an account cannot cover a debit.
+// `captures` lists holds this entry settles; their amounts leave the held balances.
+async function post({ type, description, postings, transaction, createdBy, metadata, captures = [], session }) {
+  const changes = userBalanceChanges(postings);
+  const released = capturedHoldAmounts(captures);
+
+  for (const userId of changes.keys()) {
+    await openLedger(userId, session);
+  }
+
+  // Settle each user posting on an account and net the changes per account
+  const accounts = new Map();
+  const accountChanges = new Map();
+  const accountReleased = new Map();
+
+  for (const posting of postings) {
+    if (posting.accountType !== 'user') continue;
+
+    const account = await resolveAccount(posting, session);
+    const key = String(account._id);
+    const amount = money.toMinor(posting.amount, posting.currency);
+
+    posting.account = account._id;
+    accounts.set(key, account);
+    accountChanges.set(key, (accountChanges.get(key) || 0n) + (posting.direction === 'credit' ? amount : -amount));
+  }
+
+  for (const hold of captures) {
+    const key = String((await resolveAccount(hold, session))._id);
+    accountReleased.set(key, (accountReleased.get(key) || 0n) + money.toMinor(hold.amount, hold.currency));
+  }
+
+  for (const [key, amount] of accountChanges) {
+    await applyAccountChange(accounts.get(key), amount, accountReleased.get(key) || 0n, session);
+  }
+
+  for (const [userId, change] of changes) {
+    await applyBalanceChange(userId, change, released.get(userId) || {}, session);
+  }
+
+  return new JournalEntry({
+    type,
+    description,
+    postings,
+    transaction,
+    createdBy,
+    metadata
+  }).save({ session });
+}
+
+// Recompute a user's cached balances (totals and per account) from the journal,
+// and the held amounts from the active holds. Returns the balances before and after so callers can
+// report any drift.
+async function rebuildBalances(userId, session) {
+  await openLedger(userId, session);
+
+  const user = await User.findById(userId).session(session);
+  if (!user) return null;
+
+  const before = user.toObject().balances;
+  const after = await JournalEntry.getUserBalances(userId, session);
+  const held = await Hold.getActiveTotals(userId, session);
+
+  const set = {};
+  Object.entries(after).forEach(([currency, balance]) => {
+    set[`balances.${currency}`] = money.toDecimal128(balance, currency);
+  });
+  Object.entries(held).forEach(([currency, amount]) => {
+    set[`heldBalances.${currency}`] = money.toDecimal128(amount, currency);
+  });
+
+  await User.updateOne({ _id: userId }, { $set: set }, { session });
+
+  // Accounts get their own postings and holds; the primary account of a
+  // currency also gets those that name no account
+  const accounts = await Account.find({ user: userId }).session(session || null);
+
+  if (accounts.length > 0) {
+    const primary = Object.fromEntries(accounts.filter(account => account.isPrimary).map(account => [account.currency, String(account._id)]));
+    const totals = new Map(accounts.map(account => [String(account._id), { currency: account.currency, balance: 0n, held: 0n }]));
+    const totalFor = (account, currency) => totals.get(account ? String(account) : primary[currency]);
+
+    (await JournalEntry.getAccountBalances(userId, session)).forEach(({ account, currency, balance }) => {
+      const total = totalFor(account, currency);
+      if (total) total.balance += money.toMinor(balance, currency);
+    });
+    (await Hold.getActiveTotalsByAccount(userId, session)).forEach(({ account, currency, total: amount }) => {
+      const total = totalFor(account, currency);
+      if (total) total.held += money.toMinor(amount, currency);
+    });
+
+    for (const [id, { currency, balance, held: heldAmount }] of totals) {
+      await Account.updateOne(
+        { _id: id },
+        { $set: { balance: decimal(balance, currency), heldBalance: decimal(heldAmount, currency) } },
+        { session }
+      );
+    }
+  }
+
+  const drift = Object.keys(after).filter(currency => money.compare(before[currency] || '0', after[currency], currency) !== 0);
+
+  if (drift.length > 0) {
+    logger.warn(`Rebuilt balances for user ${user.username}; corrected ${drift.join(', ')}`);
+  }
+
+  return { before, after, held, drift };
+}
+
+module.exports = {
+  LedgerError,
+  userAccount,
+  systemAccount,
+  toAmount,
+  move,
+  availableCovers,
+  accountAvailableCovers,
+  resolveAccount,
+  post,
+  openLedger,
+  rebuildBalances
+};
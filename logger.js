@@ -5,6 +5,7 @@
 
 const winston = require('winston');
 const path = require('path');
+const Session = require('../models/Session');
 
 // Define log format
 const logFormat = winston.format.combine(
@@ -66,6 +67,14 @@ const loggingMiddleware = (req, res, next) => {
     } else {
       logger.info('HTTP Request', logData);
     }
+
+    // Record activity on the authenticated session for device management
+    if (req.authSession) {
+      Session.touch(req.authSession, {
+        ipAddress: logData.ip,
+        userAgent: logData.userAgent
+      }).catch(error => logger.error('Session touch error:', error));
+    }
   });
 
   next();
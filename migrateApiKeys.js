@@ -0,0 +1,77 @@
+/**
+ * API Key Migration
+ * Keys created before keys were hashed are stored in plaintext in
+ * `apiKeys.key`. This hashes each one into `prefix` and `keyHash` (the prefix
+ * being its first 8 characters), gives it the default read-only scopes and
+ * removes the plaintext. Safe to run more than once.
+ *
+ * Usage: node scripts/migrateApiKeys.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const User = require('../models/User');
+const { DEFAULT_API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+async function migrateApiKeys() {
+  if (!process.env.API_KEY_SECRET) {
+    throw new Error('API_KEY_SECRET must be set to hash API keys');
+  }
+
+  // The schema no longer has `key`, so read and write the raw documents
+  const cursor = User.collection.find(
+    { 'apiKeys.key': { $exists: true } },
+    { projection: { apiKeys: 1 } }
+  );
+  let users = 0;
+  let keys = 0;
+
+  for await (const user of cursor) {
+    let migrated = 0;
+
+    for (const apiKey of user.apiKeys.filter(stored => stored.key)) {
+      // Matched on the plaintext itself, so each key is converted exactly once
+      const result = await User.collection.updateOne(
+        { _id: user._id, 'apiKeys.key': apiKey.key },
+        {
+          $set: {
+            'apiKeys.$.prefix': apiKey.key.slice(0, 8),
+            'apiKeys.$.keyHash': User.hashApiKey(apiKey.key),
+            'apiKeys.$.scopes': apiKey.scopes && apiKey.scopes.length > 0 ? apiKey.scopes : [...DEFAULT_API_KEY_SCOPES]
+          },
+          $unset: { 'apiKeys.$.key': '' }
+        }
+      );
+      migrated += result.modifiedCount;
+    }
+
+    if (migrated > 0) {
+      users += 1;
+      keys += migrated;
+    }
+  }
+
+  // No plaintext key may be left behind
+  await User.collection.updateMany(
+    { 'apiKeys.key': { $exists: true } },
+    { $unset: { 'apiKeys.$[].key': '' } }
+  );
+
+  return { users, keys };
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateApiKeys)
+    .then(({ users, keys }) => {
+      console.log(`✅ Hashed ${keys} API keys of ${users} users`);
+    })
+    .catch((error) => {
+      console.error('❌ API key migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateApiKeys;
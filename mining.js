@@ -9,14 +9,15 @@ const Mining = require('../models/Mining');
 const Transaction = require('../models/Transaction');
 const AuditLog = require('../models/AuditLog');
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const { logger } = require('../middleware/logger');
+const money = require('../utils/money');
 
 // @route   GET /api/mining/status
 // @desc    Get mining status
 // @access  Private
-router.get('/status', protect, async (req, res) => {
+router.get('/status', protect, requireScope('mining:read'), async (req, res) => {
   try {
     const activeMining = await Mining.getUserActiveMining(req.user._id);
     
@@ -30,9 +31,9 @@ router.get('/status', protect, async (req, res) => {
     
     completedMining.forEach(mining => {
       if (mining.type === 'currency') {
-        totalMined.currency[mining.currency] = (totalMined.currency[mining.currency] || 0) + mining.minedAmount;
+        totalMined.currency[mining.currency] = money.add(mining.currency, totalMined.currency[mining.currency] || '0', mining.minedAmount);
       } else {
-        totalMined.crypto[mining.currency] = (totalMined.crypto[mining.currency] || 0) + mining.minedAmount;
+        totalMined.crypto[mining.currency] = money.add(mining.currency, totalMined.crypto[mining.currency] || '0', mining.minedAmount);
       }
     });
 
@@ -59,7 +60,7 @@ router.get('/status', protect, async (req, res) => {
 // @route   POST /api/mining/toggle
 // @desc    Toggle mining on/off
 // @access  Private
-router.post('/toggle', protect, validate(schemas.toggleMining), async (req, res) => {
+router.post('/toggle', protect, requireScope('mining:write'), validate(schemas.toggleMining), async (req, res) => {
   try {
     const { enabled } = req.body;
     const user = await User.findById(req.user._id);
@@ -128,7 +129,7 @@ router.post('/toggle', protect, validate(schemas.toggleMining), async (req, res)
 // @route   GET /api/mining/addresses
 // @desc    Get generated addresses
 // @access  Private
-router.get('/addresses', protect, async (req, res) => {
+router.get('/addresses', protect, requireScope('mining:read'), async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
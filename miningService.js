@@ -10,6 +10,8 @@ const Transaction = require('../models/Transaction');
 const Notification = require('../models/Notification');
 const AuditLog = require('../models/AuditLog');
 const { logger } = require('../middleware/logger');
+const ledgerService = require('./ledgerService');
+const { withTransaction } = require('../utils/dbTransaction');
 
 // Start mining service
 function startMiningService() {
@@ -56,53 +58,85 @@ async function processMiningCycles() {
       const user = await User.findById(mining.user);
       if (!user || user.status !== 'active') continue;
 
-      // Add mined amount to user's balance
-      user.balances[mining.currency] += mining.targetAmount;
-      await user.save();
-
-      // Create transaction record
-      const transaction = await Transaction.create({
-        user: user._id,
-        type: 'mining',
-        currency: mining.currency,
-        amount: mining.targetAmount,
-        description: `Mining reward: ${mining.targetAmount} ${mining.currency}`,
-        status: 'completed'
-      });
-
-      // Update mining record
-      mining.status = 'completed';
-      mining.minedAmount = mining.targetAmount;
-      mining.progress = 100;
-      mining.endTime = new Date();
-      mining.nextMiningTime = new Date(Date.now() + 60 * 60 * 1000); // Next hour
-      mining.transaction = transaction._id;
-      await mining.save();
-
-      // Create notification
-      await Notification.create({
-        user: user._id,
-        type: 'mining',
-        title: 'Mining Completed',
-        message: `Mining completed! You received ${mining.targetAmount} ${mining.currency}`,
-        data: {
-          miningId: mining._id,
+      // Credit the reward and close the cycle in one database transaction
+      const transaction = await withTransaction(async (session) => {
+        // Create transaction record
+        const transaction = new Transaction({
+          user: user._id,
+          type: 'mining',
           currency: mining.currency,
-          amount: mining.targetAmount
-        },
-        priority: 'normal'
+          amount: mining.targetAmount,
+          description: `Mining reward: ${mining.targetAmount} ${mining.currency}`,
+          status: 'completed'
+        });
+
+        // Claim the cycle so overlapping runs cannot pay the same reward twice
+        const claimed = await Mining.findOneAndUpdate(
+          { _id: mining._id, status: 'mining' },
+          {
+            $set: {
+              status: 'completed',
+              minedAmount: mining.targetAmount,
+              progress: 100,
+              endTime: new Date(),
+              nextMiningTime: new Date(Date.now() + 60 * 60 * 1000), // Next hour
+              transaction: transaction._id
+            }
+          },
+          { session }
+        );
+
+        if (!claimed) return null;
+
+        // Post the reward to the ledger, which adds it to user's balance
+        const entry = await ledgerService.post({
+          type: 'mining_reward',
+          transaction: transaction._id,
+          description: transaction.description,
+          postings: ledgerService.move(
+            ledgerService.systemAccount('mining_rewards'),
+            ledgerService.userAccount(user._id),
+            mining.currency,
+            mining.targetAmount
+          ),
+          metadata: {
+            miningId: mining._id
+          },
+          session
+        });
+
+        transaction.journalEntry = entry._id;
+        await transaction.save({ session });
+
+        // Create notification
+        await new Notification({
+          user: user._id,
+          type: 'mining',
+          title: 'Mining Completed',
+          message: `Mining completed! You received ${mining.targetAmount} ${mining.currency}`,
+          data: {
+            miningId: mining._id,
+            currency: mining.currency,
+            amount: mining.targetAmount
+          },
+          priority: 'normal'
+        }).save({ session });
+
+        await AuditLog.createLog({
+          user: user._id,
+          action: 'mining_complete',
+          entityType: 'mining',
+          entityId: mining._id,
+          description: `Mining completed: ${mining.targetAmount} ${mining.currency}`,
+          metadata: {
+            transactionId: transaction._id
+          }
+        }, { session });
+
+        return transaction;
       });
 
-      await AuditLog.createLog({
-        user: user._id,
-        action: 'mining_complete',
-        entityType: 'mining',
-        entityId: mining._id,
-        description: `Mining completed: ${mining.targetAmount} ${mining.currency}`,
-        metadata: {
-          transactionId: transaction._id
-        }
-      });
+      if (!transaction) continue;
 
       logger.info(`Mining completed for user ${user.username}: ${mining.targetAmount} ${mining.currency}`);
 
@@ -0,0 +1,212 @@
+/**
+ * Money Utilities
+ * Exact decimal arithmetic for amounts. Values are handled as BigInt counts of
+ * a currency's smallest unit ("minor units") and exchanged as decimal strings,
+ * never as binary floats. MongoDB stores them as Decimal128.
+ *
+ * Anything that cannot be represented exactly is rounded with an explicit mode:
+ *   half_even (banker's), half_up, half_down, up (away from zero),
+ *   down (towards zero), ceiling, floor
+ */
+
+const mongoose = require('mongoose');
+const { CURRENCY_DECIMALS } = require('../config/currencies');
+
+const ROUNDING_MODES = ['half_even', 'half_up', 'half_down', 'up', 'down', 'ceiling', 'floor'];
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Check whether a currency is supported
+function isSupported(currency) {
+  return Object.prototype.hasOwnProperty.call(CURRENCY_DECIMALS, currency);
+}
+
+// Decimal places of a currency's smallest unit
+function getDecimals(currency) {
+  if (!isSupported(currency)) {
+    throw new RangeError(`Unsupported currency: ${currency}`);
+  }
+
+  return CURRENCY_DECIMALS[currency];
+}
+
+// Parse a number, decimal string or Decimal128 into an integer and a scale,
+// so that value = digits / 10^scale
+function parseDecimal(value) {
+  const text = typeof value === 'string' ? value.trim() : String(value);
+  const match = text.match(DECIMAL_PATTERN);
+
+  if (value === null || value === undefined || !match || (match[2] === '' && !match[3])) {
+    throw new RangeError(`Invalid amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let digits = BigInt(`${whole}${fraction}` || '0');
+  let scale = fraction.length - parseInt(exponent, 10);
+
+  if (scale < 0) {
+    digits *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+
+  return { digits: sign === '-' ? -digits : digits, scale };
+}
+
+// Divide two BigInts, rounding the quotient with the given mode
+function divideRounded(numerator, denominator, rounding) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+
+  if (remainder === 0n) return quotient;
+
+  if (!rounding) {
+    throw new RangeError('Amount cannot be represented exactly and no rounding mode was given');
+  }
+
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const twiceRemainder = 2n * (remainder < 0n ? -remainder : remainder);
+  const divisor = denominator < 0n ? -denominator : denominator;
+  let awayFromZero;
+
+  switch (rounding) {
+    case 'down': awayFromZero = false; break;
+    case 'up': awayFromZero = true; break;
+    case 'floor': awayFromZero = negative; break;
+    case 'ceiling': awayFromZero = !negative; break;
+    case 'half_up': awayFromZero = twiceRemainder >= divisor; break;
+    case 'half_down': awayFromZero = twiceRemainder > divisor; break;
+    case 'half_even':
+      awayFromZero = twiceRemainder > divisor || (twiceRemainder === divisor && quotient % 2n !== 0n);
+      break;
+    default:
+      throw new RangeError(`Unknown rounding mode: ${rounding}`);
+  }
+
+  if (!awayFromZero) return quotient;
+  return negative ? quotient - 1n : quotient + 1n;
+}
+
+// Convert an amount to minor units of a currency. Without a rounding mode an
+// amount with more decimal places than the currency allows is rejected.
+function toMinor(value, currency, rounding) {
+  const decimals = getDecimals(currency);
+  const { digits, scale } = parseDecimal(value);
+
+  if (scale <= decimals) {
+    return digits * 10n ** BigInt(decimals - scale);
+  }
+
+  try {
+    return divideRounded(digits, 10n ** BigInt(scale - decimals), rounding);
+  } catch (error) {
+    if (rounding) throw error;
+    throw new RangeError(`${currency} amounts have at most ${decimals} decimal places`);
+  }
+}
+
+// Format minor units as a decimal string with the currency's decimal places
+function fromMinor(minor, currency) {
+  const decimals = getDecimals(currency);
+  const negative = minor < 0n;
+  const digits = (negative ? -minor : minor).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals);
+
+  return `${negative ? '-' : ''}${whole}${decimals > 0 ? `.${fraction}` : ''}`;
+}
+
+// Canonical decimal string for an amount (e.g. "12.50" for USD)
+function normalize(value, currency, rounding) {
+  return fromMinor(toMinor(value, currency, rounding), currency);
+}
+
+// Amount as a Decimal128 for queries and updates
+function toDecimal128(value, currency, rounding) {
+  return mongoose.Types.Decimal128.fromString(normalize(value, currency, rounding));
+}
+
+// Multiply an amount by a rate and express it in another currency,
+// e.g. an FX conversion or a USD valuation
+function convert(value, rate, fromCurrency, toCurrency, rounding) {
+  const amount = parseDecimal(normalize(value, fromCurrency));
+  const factor = parseDecimal(rate);
+
+  const numerator = amount.digits * factor.digits * 10n ** BigInt(getDecimals(toCurrency));
+  const denominator = 10n ** BigInt(amount.scale + factor.scale);
+
+  return fromMinor(divideRounded(numerator, denominator, rounding), toCurrency);
+}
+
+// Multiply an amount by a factor in the same currency
+function multiply(value, factor, currency, rounding) {
+  return convert(value, factor, currency, currency, rounding);
+}
+
+// Add amounts of one currency
+function add(currency, ...values) {
+  return fromMinor(values.reduce((total, value) => total + toMinor(value, currency), 0n), currency);
+}
+
+// Subtract `b` from `a`
+function subtract(a, b, currency) {
+  return fromMinor(toMinor(a, currency) - toMinor(b, currency), currency);
+}
+
+// Compare two amounts of one currency: -1, 0 or 1
+function compare(a, b, currency) {
+  const difference = toMinor(a, currency) - toMinor(b, currency);
+  return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+}
+
+// Check whether an amount is zero
+function isZero(value, currency) {
+  return toMinor(value, currency, 'half_even') === 0n;
+}
+
+// Schema type for an amount stored as Decimal128 and read back as a decimal
+// string. The currency is fixed (`currency`) or read from a sibling path (`currencyPath`).
+function amountType({ currency, currencyPath = 'currency', ...options } = {}) {
+  return {
+    type: mongoose.Schema.Types.Decimal128,
+    get(value) {
+      if (value === null || value === undefined) return value;
+
+      const code = currency || (typeof this.get === 'function' ? this.get(currencyPath) : undefined);
+      return isSupported(code) ? normalize(value, code, 'half_even') : value.toString();
+    },
+    validate: {
+      validator: value => value === null || value === undefined || !value.toString().startsWith('-'),
+      message: 'Amount cannot be negative'
+    },
+    ...options
+  };
+}
+
+// Schema type for a non-money decimal (e.g. an exchange rate) stored as Decimal128
+function decimalType(options = {}) {
+  return {
+    type: mongoose.Schema.Types.Decimal128,
+    get: value => (value === null || value === undefined ? value : value.toString()),
+    ...options
+  };
+}
+
+module.exports = {
+  ROUNDING_MODES,
+  isSupported,
+  getDecimals,
+  parseDecimal,
+  divideRounded,
+  toMinor,
+  fromMinor,
+  normalize,
+  toDecimal128,
+  convert,
+  multiply,
+  add,
+  subtract,
+  compare,
+  isZero,
+  amountType,
+  decimalType
+};
@@ -0,0 +1,129 @@
+const money = require('./money');
+
+describe('money', () => {
+  describe('parseDecimal', () => {
+    it('parses decimal strings, numbers and exponents', () => {
+      expect(money.parseDecimal('12.50')).toEqual({ digits: 1250n, scale: 2 });
+      expect(money.parseDecimal(' -0.001 ')).toEqual({ digits: -1n, scale: 3 });
+      expect(money.parseDecimal(42)).toEqual({ digits: 42n, scale: 0 });
+      expect(money.parseDecimal('1.5e3')).toEqual({ digits: 1500n, scale: 0 });
+      expect(money.parseDecimal('15E-4')).toEqual({ digits: 15n, scale: 4 });
+      expect(money.parseDecimal('.5')).toEqual({ digits: 5n, scale: 1 });
+    });
+
+    it('rejects values that are not decimal numbers', () => {
+      for (const value of ['', '.', 'abc', '1.2.3', '1,000', '0x10', null, undefined, NaN]) {
+        expect(() => money.parseDecimal(value)).toThrow(RangeError);
+      }
+    });
+  });
+
+  describe('divideRounded', () => {
+    const cases = [
+      // numerator, denominator, mode, quotient
+      [25n, 10n, 'half_even', 2n],
+      [35n, 10n, 'half_even', 4n],
+      [-25n, 10n, 'half_even', -2n],
+      [25n, 10n, 'half_up', 3n],
+      [-25n, 10n, 'half_up', -3n],
+      [25n, 10n, 'half_down', 2n],
+      [26n, 10n, 'half_down', 3n],
+      [21n, 10n, 'up', 3n],
+      [-21n, 10n, 'up', -3n],
+      [29n, 10n, 'down', 2n],
+      [-29n, 10n, 'down', -2n],
+      [21n, 10n, 'ceiling', 3n],
+      [-21n, 10n, 'ceiling', -2n],
+      [29n, 10n, 'floor', 2n],
+      [-21n, 10n, 'floor', -3n],
+      [21n, -10n, 'floor', -3n]
+    ];
+
+    it.each(cases)('%p / %p rounds %s to %p', (numerator, denominator, rounding, quotient) => {
+      expect(money.divideRounded(numerator, denominator, rounding)).toBe(quotient);
+    });
+
+    it('returns exact quotients without a rounding mode', () => {
+      expect(money.divideRounded(30n, 10n)).toBe(3n);
+    });
+
+    it('throws when the quotient is inexact and no mode is given', () => {
+      expect(() => money.divideRounded(31n, 10n)).toThrow(RangeError);
+    });
+
+    it('rejects unknown rounding modes', () => {
+      expect(() => money.divideRounded(31n, 10n, 'nearest')).toThrow('Unknown rounding mode');
+    });
+  });
+
+  describe('toMinor / fromMinor', () => {
+    it('converts to and from the currency\'s smallest unit', () => {
+      expect(money.toMinor('12.5', 'USD')).toBe(1250n);
+      expect(money.toMinor('0.00000001', 'BTC')).toBe(1n);
+      expect(money.toMinor('1', 'ETH')).toBe(10n ** 18n);
+      expect(money.fromMinor(1250n, 'USD')).toBe('12.50');
+      expect(money.fromMinor(-5n, 'USD')).toBe('-0.05');
+      expect(money.fromMinor(1n, 'TON')).toBe('0.000000001');
+    });
+
+    it('rejects more decimal places than the currency allows without a rounding mode', () => {
+      expect(() => money.toMinor('0.001', 'USD')).toThrow('USD amounts have at most 2 decimal places');
+    });
+
+    it('rounds extra decimal places with a rounding mode', () => {
+      expect(money.toMinor('0.125', 'USD', 'half_even')).toBe(12n);
+      expect(money.toMinor('0.125', 'USD', 'half_up')).toBe(13n);
+      expect(money.toMinor('-0.125', 'USD', 'floor')).toBe(-13n);
+    });
+
+    it('rejects unsupported currencies', () => {
+      expect(() => money.toMinor('1', 'XYZ')).toThrow('Unsupported currency: XYZ');
+    });
+  });
+
+  describe('normalize', () => {
+    it('returns the canonical decimal string', () => {
+      expect(money.normalize('12.5', 'USD')).toBe('12.50');
+      expect(money.normalize('1e2', 'USD')).toBe('100.00');
+      expect(money.normalize('0.1', 'BTC')).toBe('0.10000000');
+      expect(money.normalize(0.1 + 0.2, 'USD', 'half_even')).toBe('0.30');
+    });
+  });
+
+  describe('convert', () => {
+    it('multiplies by a rate into another currency', () => {
+      expect(money.convert('100', '0.92', 'USD', 'EUR')).toBe('92.00');
+      expect(money.convert('1', '65000.123456789', 'BTC', 'USD', 'down')).toBe('65000.12');
+      expect(money.convert('0.01', '0.5', 'USD', 'USD', 'half_even')).toBe('0.00');
+      expect(money.convert('0.03', '0.5', 'USD', 'USD', 'half_even')).toBe('0.02');
+    });
+
+    it('throws when the result is inexact and no rounding mode is given', () => {
+      expect(() => money.convert('1', '0.333', 'USD', 'EUR')).toThrow(RangeError);
+    });
+
+    it('does not lose precision on large amounts', () => {
+      expect(money.multiply('123456789012345.67', '3', 'USD')).toBe('370370367037037.01');
+    });
+  });
+
+  describe('arithmetic and comparison', () => {
+    it('adds and subtracts exactly', () => {
+      expect(money.add('USD', '0.1', '0.2')).toBe('0.30');
+      expect(money.subtract('0.3', '0.1', 'USD')).toBe('0.20');
+      expect(money.subtract('0.1', '0.3', 'USD')).toBe('-0.20');
+    });
+
+    it('compares amounts', () => {
+      expect(money.compare('1.00', '1', 'USD')).toBe(0);
+      expect(money.compare('0.99', '1', 'USD')).toBe(-1);
+      expect(money.compare('1.01', '1', 'USD')).toBe(1);
+    });
+
+    it('treats amounts below the smallest unit as zero', () => {
+      expect(money.isZero('0', 'USD')).toBe(true);
+      expect(money.isZero('0.004', 'USD')).toBe(true);
+      expect(money.isZero('0.01', 'USD')).toBe(false);
+    });
+  });
+});
@@ -5,10 +5,10 @@
 const express = require('express');
 const router = express.Router();
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 const { logger } = require('../middleware/logger');
 
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requireScope('notifications:read'), async (req, res) => {
   try {
     const { unread_only = false, limit = 50 } = req.query;
 
@@ -46,7 +46,7 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
-router.put('/:id/read', protect, async (req, res) => {
+router.put('/:id/read', protect, requireScope('notifications:write'), async (req, res) => {
   try {
     const notification = await Notification.findOneAndUpdate(
       { _id: req.params.id, user: req.user._id },
@@ -0,0 +1,146 @@
+/**
+ * Payment Service
+ * Payments between users of the platform. The recipient is addressed by
+ * username, email, phone number or account number; the sender's debit and the
+ * recipient's credit are two Transactions (`send` and `receive`) linked to each
+ * other, sharing one reference and one journal entry.
+ *
+ * Pass the `session` from utils/dbTransaction's withTransaction() so the
+ * payment and the caller's own records commit together.
+ */
+
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const { isValidAccountNumber } = require('../utils/bankIdentifiers');
+
+const { LedgerError } = ledgerService;
+
+// "+44 (0)7700-900 123" -> "+4407700900123"
+function normalizePhone(value) {
+  return value.replace(/[\s().-]/g, '');
+}
+
+// How an identifier addresses its recipient when the caller does not say
+function recipientType(identifier) {
+  if (identifier.includes('@') && !identifier.startsWith('@')) return 'email';
+  if (isValidAccountNumber(identifier)) return 'accountNumber';
+  if (/^\+?[\d\s().-]{7,}$/.test(identifier)) return 'phone';
+  return 'username';
+}
+
+// Find the active user (and, for account numbers, the open account) an
+// identifier addresses. Resolves null if there is none, or if a phone number
+// belongs to more than one user.
+async function findRecipient(identifier, type, session) {
+  const value = String(identifier).trim();
+  const by = type || recipientType(value);
+  let user;
+  let account = null;
+
+  switch (by) {
+    case 'accountNumber':
+      if (!isValidAccountNumber(value)) return null;
+      account = await Account.findOne({ accountNumber: value, status: { $ne: 'closed' } }).session(session || null);
+      user = account && await User.findById(account.user).session(session || null);
+      break;
+    case 'email':
+      user = await User.findOne({ email: value.toLowerCase() }).session(session || null);
+      break;
+    case 'phone': {
+      const users = await User.find({ 'profile.phone': { $in: [value, normalizePhone(value)] } })
+        .limit(2)
+        .session(session || null);
+      user = users.length === 1 ? users[0] : null;
+      break;
+    }
+    default:
+      user = await User.findOne({ username: value.replace(/^@/, '') }).session(session || null);
+  }
+
+  if (!user || user.status !== 'active') return null;
+
+  return { user, account, type: by };
+}
+
+// Pay `amount` from the sender (a User) to a recipient from findRecipient().
+// Money goes to the recipient's account when one was addressed, otherwise to
+// their primary account in the currency. Throws a LedgerError with code
+// INSUFFICIENT_BALANCE if the sender's account cannot cover the amount.
+// `description` is the sender's free text (e.g. "Invoice 42"); both sides share
+// the reference generated for the sender's transaction.
+async function sendToUser({ sender, recipient, identifier, currency, amount, fromAccountId, description, session }) {
+  const { user, account } = recipient;
+
+  if (user._id.equals(sender._id)) {
+    throw new LedgerError('SELF_TRANSFER', 'Use /api/transactions/move to move money between your own accounts');
+  }
+  if (account && account.currency !== currency) {
+    throw new LedgerError('ACCOUNT_CURRENCY_MISMATCH', `Account ${account.accountNumber} does not hold ${currency}`);
+  }
+
+  const sent = new Transaction({
+    user: sender._id,
+    type: 'send',
+    currency,
+    amount,
+    recipient: {
+      user: user._id,
+      name: identifier
+    },
+    description,
+    status: 'completed'
+  });
+
+  const received = new Transaction({
+    user: user._id,
+    type: 'receive',
+    currency,
+    amount,
+    sender: {
+      user: sender._id,
+      name: sender.fullName
+    },
+    description,
+    relatedTransaction: sent._id,
+    status: 'completed'
+  });
+  sent.relatedTransaction = received._id;
+
+  const postings = ledgerService.move(
+    ledgerService.userAccount(sender._id, fromAccountId),
+    ledgerService.userAccount(user._id, account && account._id),
+    currency,
+    amount
+  );
+  const entry = await ledgerService.post({
+    type: 'p2p',
+    transaction: sent._id,
+    description: `${sender.username} paid ${amount} ${currency} to ${user.username}`,
+    postings,
+    metadata: {
+      receivedTransaction: received._id
+    },
+    session
+  });
+
+  const fromAccount = await Account.findById(postings[0].account).session(session || null);
+  const toAccount = account || await Account.findById(postings[1].account).session(session || null);
+
+  Object.assign(sent, { journalEntry: entry._id, fromAccount: fromAccount._id });
+  sent.recipient.account = toAccount.accountNumber;
+  await sent.save({ session });
+
+  // Both sides carry the sender's reference, generated when saving
+  Object.assign(received, { journalEntry: entry._id, toAccount: toAccount._id, reference: sent.reference });
+  received.sender.account = fromAccount.accountNumber;
+  await received.save({ session });
+
+  return { sent, received };
+}
+
+module.exports = {
+  findRecipient,
+  sendToUser
+};
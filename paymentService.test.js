@@ -0,0 +1,167 @@
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../models/Account', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('./ledgerService', () => ({
+  ...jest.requireActual('./ledgerService'),
+  post: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const { findRecipient, sendToUser } = require('./paymentService');
+const { generateAccountNumber } = require('../utils/bankIdentifiers');
+
+// A query resolving `value`, as returned by Model.findOne() and friends
+const query = value => ({
+  session: () => Promise.resolve(value),
+  limit: () => ({ session: () => Promise.resolve(value) })
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const user = fields => ({ _id: id(), status: 'active', ...fields });
+
+describe('paymentService', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('findRecipient', () => {
+    it('finds users by username, email or phone number', async () => {
+      const alice = user({ username: 'alice' });
+      User.findOne.mockReturnValue(query(alice));
+      User.find.mockReturnValue(query([alice]));
+
+      await expect(findRecipient('@alice')).resolves.toEqual({ user: alice, account: null, type: 'username' });
+      expect(User.findOne).toHaveBeenLastCalledWith({ username: 'alice' });
+
+      await expect(findRecipient('Alice@Example.com')).resolves.toMatchObject({ type: 'email' });
+      expect(User.findOne).toHaveBeenLastCalledWith({ email: 'alice@example.com' });
+
+      await expect(findRecipient('+44 7700-900 123')).resolves.toMatchObject({ user: alice, type: 'phone' });
+    });
+
+    it('finds the open account an account number addresses', async () => {
+      const alice = user();
+      const account = { _id: id(), user: alice._id, accountNumber: generateAccountNumber() };
+      Account.findOne.mockReturnValue(query(account));
+      User.findById.mockReturnValue(query(alice));
+
+      await expect(findRecipient(account.accountNumber)).resolves.toEqual({ user: alice, account, type: 'accountNumber' });
+      expect(Account.findOne).toHaveBeenCalledWith({ accountNumber: account.accountNumber, status: { $ne: 'closed' } });
+    });
+
+    it('finds nobody for unknown or inactive users, or shared phone numbers', async () => {
+      User.findOne.mockReturnValueOnce(query(null));
+      await expect(findRecipient('nobody')).resolves.toBeNull();
+
+      User.findOne.mockReturnValueOnce(query(user({ status: 'suspended' })));
+      await expect(findRecipient('suspended')).resolves.toBeNull();
+
+      User.find.mockReturnValueOnce(query([user(), user()]));
+      await expect(findRecipient('+447700900123')).resolves.toBeNull();
+    });
+
+    it('finds nobody for an account number with a wrong check digit', async () => {
+      const accountNumber = generateAccountNumber();
+      const wrong = accountNumber.slice(0, -1) + ((Number(accountNumber.slice(-1)) + 1) % 10);
+
+      await expect(findRecipient(wrong, 'accountNumber')).resolves.toBeNull();
+      expect(Account.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendToUser', () => {
+    const sender = { ...user({ username: 'bob' }), fullName: 'Bob Sender' };
+    const recipientUser = user({ username: 'alice' });
+    const fromAccount = { _id: id(), accountNumber: '11111111' };
+    const toAccount = { _id: id(), accountNumber: '22222222', currency: 'USD' };
+    let saveSpy;
+    let references;
+
+    beforeEach(() => {
+      references = 0;
+      // Save without a database, generating references as the pre-save hook does
+      saveSpy = jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+        if (!this.reference) this.reference = `TXN-TEST-${++references}`;
+        return Promise.resolve(this);
+      });
+      ledgerService.post.mockResolvedValue({ _id: id() });
+      Account.findById.mockImplementation(accountId => query(String(accountId) === String(fromAccount._id) ? fromAccount : toAccount));
+    });
+
+    afterEach(() => {
+      saveSpy.mockRestore();
+    });
+
+    it('records linked send and receive transactions sharing one reference', async () => {
+      const { sent, received } = await sendToUser({
+        sender,
+        recipient: { user: recipientUser, account: toAccount },
+        identifier: '22222222',
+        currency: 'USD',
+        amount: '25.00',
+        fromAccountId: fromAccount._id,
+        description: 'Invoice 42'
+      });
+
+      expect(sent.type).toBe('send');
+      expect(received.type).toBe('receive');
+      expect(received.reference).toBe(sent.reference);
+      expect(sent.relatedTransaction).toEqual(received._id);
+      expect(received.relatedTransaction).toEqual(sent._id);
+      expect(sent.description).toBe('Invoice 42');
+      expect(received.description).toBe('Invoice 42');
+      expect(sent.journalEntry).toEqual(received.journalEntry);
+      expect(sent.recipient.account).toBe('22222222');
+      expect(received.sender.account).toBe('11111111');
+    });
+
+    it('posts one balanced p2p entry from the sender to the recipient account', async () => {
+      await sendToUser({
+        sender,
+        recipient: { user: recipientUser, account: toAccount },
+        identifier: 'alice',
+        currency: 'USD',
+        amount: '25',
+        fromAccountId: fromAccount._id
+      });
+
+      const [{ type, postings }] = ledgerService.post.mock.calls[0];
+      expect(type).toBe('p2p');
+      expect(postings).toEqual([
+        { accountType: 'user', user: sender._id, account: fromAccount._id, currency: 'USD', direction: 'debit', amount: '25.00' },
+        { accountType: 'user', user: recipientUser._id, account: toAccount._id, currency: 'USD', direction: 'credit', amount: '25.00' }
+      ]);
+    });
+
+    it('refuses payments to yourself', async () => {
+      await expect(sendToUser({
+        sender,
+        recipient: { user: sender, account: null },
+        identifier: 'bob',
+        currency: 'USD',
+        amount: '1.00'
+      })).rejects.toMatchObject({ code: 'SELF_TRANSFER' });
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('refuses an addressed account in another currency', async () => {
+      await expect(sendToUser({
+        sender,
+        recipient: { user: recipientUser, account: toAccount },
+        identifier: '22222222',
+        currency: 'EUR',
+        amount: '1.00'
+      })).rejects.toMatchObject({ code: 'ACCOUNT_CURRENCY_MISMATCH' });
+    });
+  });
+});
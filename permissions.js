@@ -0,0 +1,59 @@
+/**
+ * Role Permissions
+ * Maps roles to the fine-grained permissions staff routes check
+ */
+
+const PERMISSIONS = {
+  'stats:read': 'View system statistics',
+  'users:read': 'View users and their sessions',
+  'users:status': 'Suspend, ban and reactivate users',
+  'users:sessions': 'Revoke user sessions',
+  'users:impersonate': 'View the app as a customer (read-only)',
+  'users:impersonate_write': 'Act as a customer with write access while impersonating',
+  'roles:assign': 'Assign staff roles to users',
+  'admins:manage': 'Grant or remove the admin and superadmin roles',
+  'balances:adjust': 'Adjust user balances',
+  'transactions:reverse': 'Reverse completed transactions and issue refunds',
+  'audit:read': 'View audit logs'
+};
+
+const ROLES = ['customer', 'support', 'compliance', 'auditor', 'admin', 'superadmin'];
+
+// Roles that can only be granted or removed with 'admins:manage'
+const PRIVILEGED_ROLES = ['admin', 'superadmin'];
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  support: ['users:read', 'users:sessions'],
+  compliance: ['stats:read', 'users:read', 'users:status', 'audit:read'],
+  auditor: ['stats:read', 'users:read', 'audit:read'],
+  admin: ['stats:read', 'users:read', 'users:status', 'users:sessions', 'users:impersonate', 'roles:assign', 'balances:adjust', 'transactions:reverse', 'audit:read'],
+  superadmin: Object.keys(PERMISSIONS)
+};
+
+// Get the permissions granted to a role
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+// Check if a role grants a permission
+function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+// Check if every permission of `targetRole` is also held by `role`.
+// Used so nobody can grant (or take away) more power than they have.
+function outranksOrEquals(role, targetRole) {
+  const permissions = getPermissions(role);
+  return getPermissions(targetRole).every(permission => permissions.includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  PRIVILEGED_ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  outranksOrEquals
+};
@@ -0,0 +1,209 @@
+/**
+ * Reconciliation Service
+ * Background check that every user's cached balances match the ledger: each
+ * User.balances figure must equal the net of the user's journal postings
+ * (transactions, mining rewards, trading, admin adjustments, opening
+ * balances), and each User.heldBalances figure the total of the active holds.
+ *
+ * Mismatches are kept as BalanceDiscrepancy records and raised as
+ * `security_alert` audit entries. They are resolved by the first run that
+ * finds the figures in agreement again (e.g. after a balance rebuild).
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const JournalEntry = require('../models/JournalEntry');
+const Hold = require('../models/Hold');
+const BalanceDiscrepancy = require('../models/BalanceDiscrepancy');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../middleware/logger');
+const money = require('../utils/money');
+const { withTransaction } = require('../utils/dbTransaction');
+const { CURRENCIES } = require('../config/currencies');
+
+// When to run; hourly by default
+const RECONCILIATION_SCHEDULE = process.env.RECONCILIATION_SCHEDULE || '30 * * * *';
+
+let running = false;
+
+// Start reconciliation service
+function startReconciliationService() {
+  logger.info('Starting reconciliation service...');
+
+  cron.schedule(RECONCILIATION_SCHEDULE, async () => {
+    try {
+      await runReconciliation();
+    } catch (error) {
+      logger.error('Reconciliation error:', error);
+    }
+  });
+
+  logger.info('Reconciliation service started successfully');
+}
+
+// Exact difference of two decimal strings, whatever their number of decimals
+function exactDifference(actual, expected) {
+  const a = money.parseDecimal(actual);
+  const b = money.parseDecimal(expected);
+  const scale = Math.max(a.scale, b.scale);
+  const difference = a.digits * 10n ** BigInt(scale - a.scale) - b.digits * 10n ** BigInt(scale - b.scale);
+
+  const negative = difference < 0n;
+  const digits = (negative ? -difference : difference).toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale);
+
+  return `${negative ? '-' : ''}${whole}${scale > 0 ? `.${fraction}` : ''}`;
+}
+
+// Raw stored value of a money path, without the rounding getter
+function rawAmount(user, path) {
+  const value = user.get(path, null, { getters: false });
+  return value === null || value === undefined ? '0' : value.toString();
+}
+
+// Compare one user's cached figures with the ledger and the active holds.
+// Reads everything in one snapshot so in-flight postings cannot cause false alarms.
+function checkUser(userId) {
+  return withTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) return [];
+
+    const ledger = await JournalEntry.getUserBalances(userId, session);
+    const held = await Hold.getActiveTotals(userId, session);
+    const found = [];
+
+    for (const currency of CURRENCIES) {
+      const checks = [
+        { kind: 'balance', expected: ledger[currency], actual: rawAmount(user, `balances.${currency}`) },
+        { kind: 'held', expected: held[currency], actual: rawAmount(user, `heldBalances.${currency}`) }
+      ];
+
+      for (const check of checks) {
+        const difference = exactDifference(check.actual, check.expected);
+
+        if (money.parseDecimal(difference).digits !== 0n) {
+          found.push({ user, currency, ...check, difference });
+        }
+      }
+    }
+
+    return found;
+  });
+}
+
+// Store a mismatch, raising a security alert when it is new or has changed
+async function recordDiscrepancy({ user, currency, kind, expected, actual, difference }, detectedAt) {
+  const existing = await BalanceDiscrepancy.findOne({ user: user._id, currency, kind, status: 'open' });
+
+  if (existing && existing.expected === expected && existing.actual === actual) {
+    existing.detections += 1;
+    existing.lastDetectedAt = detectedAt;
+    await existing.save();
+    return { discrepancy: existing, isNew: false };
+  }
+
+  let discrepancy;
+  if (existing) {
+    Object.assign(existing, { expected, actual, difference, lastDetectedAt: detectedAt });
+    existing.detections += 1;
+    discrepancy = await existing.save();
+  } else {
+    discrepancy = await BalanceDiscrepancy.create({
+      user: user._id,
+      currency,
+      kind,
+      expected,
+      actual,
+      difference,
+      firstDetectedAt: detectedAt,
+      lastDetectedAt: detectedAt
+    });
+  }
+
+  const figure = kind === 'balance' ? 'balance' : 'held amount';
+  const source = kind === 'balance' ? 'ledger' : 'active holds';
+
+  await AuditLog.createLog({
+    user: user._id,
+    action: 'security_alert',
+    description: `Reconciliation mismatch: cached ${currency} ${figure} ${actual}, ${source} ${expected} (difference ${difference})`,
+    status: 'failure',
+    metadata: {
+      discrepancyId: discrepancy._id,
+      currency,
+      kind,
+      expected,
+      actual,
+      difference
+    }
+  });
+
+  logger.warn(`Reconciliation mismatch for user ${user.username}: ${kind} ${currency} cached ${actual}, expected ${expected}`);
+
+  return { discrepancy, isNew: !existing };
+}
+
+// Check every user whose balances are on the ledger. Resolves a summary of the run,
+// or null when a run is already in progress.
+async function runReconciliation() {
+  if (running) {
+    logger.warn('Reconciliation already running; skipping');
+    return null;
+  }
+
+  running = true;
+  const startedAt = new Date();
+  const summary = {
+    startedAt,
+    usersChecked: 0,
+    discrepancies: 0,
+    newDiscrepancies: 0,
+    resolved: 0,
+    errors: 0
+  };
+  const failedUsers = [];
+
+  try {
+    // Users without ledgerOpenedAt have nothing posted yet; their balances
+    // become an opening entry the first time they are posted to
+    const cursor = User.find({ ledgerOpenedAt: { $exists: true } }).select('_id').cursor();
+
+    for await (const { _id } of cursor) {
+      try {
+        const found = await checkUser(_id);
+        summary.usersChecked += 1;
+
+        for (const mismatch of found) {
+          const { isNew } = await recordDiscrepancy(mismatch, startedAt);
+          summary.discrepancies += 1;
+          if (isNew) summary.newDiscrepancies += 1;
+        }
+      } catch (error) {
+        summary.errors += 1;
+        failedUsers.push(_id);
+        logger.error(`Error reconciling user ${_id}:`, error);
+      }
+    }
+
+    // Open discrepancies this run did not find again are resolved
+    const resolved = await BalanceDiscrepancy.updateMany(
+      { status: 'open', lastDetectedAt: { $lt: startedAt }, user: { $nin: failedUsers } },
+      { $set: { status: 'resolved', resolvedAt: new Date() } }
+    );
+    summary.resolved = resolved.modifiedCount;
+    summary.finishedAt = new Date();
+
+    logger.info(`Reconciliation checked ${summary.usersChecked} users: ${summary.discrepancies} discrepancies (${summary.newDiscrepancies} new), ${summary.resolved} resolved`);
+
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = {
+  startReconciliationService,
+  runReconciliation,
+  checkUser
+};
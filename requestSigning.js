@@ -0,0 +1,49 @@
+/**
+ * Request Signing Utilities
+ * HMAC-SHA256 signatures for API key requests
+ *
+ * The signed string is:
+ *   <timestamp>\n<nonce>\n<METHOD>\n<path with query>\n<hex SHA-256 of raw body>
+ */
+
+const crypto = require('crypto');
+
+// Hex SHA-256 of a request body (empty string when there is no body)
+function hashBody(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+// Build the canonical string that is signed
+function buildCanonicalRequest({ timestamp, nonce, method, path, rawBody }) {
+  return [
+    timestamp,
+    nonce,
+    method.toUpperCase(),
+    path,
+    hashBody(rawBody)
+  ].join('\n');
+}
+
+// Compute the hex signature for a request
+function sign(secret, request) {
+  return crypto.createHmac('sha256', secret).update(buildCanonicalRequest(request)).digest('hex');
+}
+
+// Verify a hex signature in constant time
+function verify(secret, request, signature) {
+  if (typeof signature !== 'string' || !/^[a-f0-9]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, request), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashBody,
+  buildCanonicalRequest,
+  sign,
+  verify
+};
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const requestSigning = require('./requestSigning');
+
+const SECRET = 'a'.repeat(64);
+
+const request = {
+  timestamp: '1700000000',
+  nonce: 'n0nce-abcdefghijkl',
+  method: 'post',
+  path: '/api/transactions/send?dryRun=1',
+  rawBody: '{"amount":"10.00","currency":"USD"}'
+};
+
+describe('requestSigning', () => {
+  it('hashes the raw body, treating a missing body as empty', () => {
+    const emptyHash = crypto.createHash('sha256').update('').digest('hex');
+
+    expect(requestSigning.hashBody()).toBe(emptyHash);
+    expect(requestSigning.hashBody('')).toBe(emptyHash);
+    expect(requestSigning.hashBody('{}')).toBe(crypto.createHash('sha256').update('{}').digest('hex'));
+  });
+
+  it('builds the canonical string with an upper-case method and the path with query', () => {
+    expect(requestSigning.buildCanonicalRequest(request)).toBe([
+      '1700000000',
+      'n0nce-abcdefghijkl',
+      'POST',
+      '/api/transactions/send?dryRun=1',
+      requestSigning.hashBody(request.rawBody)
+    ].join('\n'));
+  });
+
+  it('signs with HMAC-SHA256 of the canonical string', () => {
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update(requestSigning.buildCanonicalRequest(request))
+      .digest('hex');
+
+    expect(requestSigning.sign(SECRET, request)).toBe(expected);
+  });
+
+  it('verifies its own signatures, in either case', () => {
+    const signature = requestSigning.sign(SECRET, request);
+
+    expect(requestSigning.verify(SECRET, request, signature)).toBe(true);
+    expect(requestSigning.verify(SECRET, request, signature.toUpperCase())).toBe(true);
+  });
+
+  it('rejects a signature once any signed part changes', () => {
+    const signature = requestSigning.sign(SECRET, request);
+
+    for (const change of [
+      { timestamp: '1700000001' },
+      { nonce: 'another-nonce-1234' },
+      { method: 'PUT' },
+      { path: '/api/transactions/send' },
+      { rawBody: '{"amount":"1000.00","currency":"USD"}' }
+    ]) {
+      expect(requestSigning.verify(SECRET, { ...request, ...change }, signature)).toBe(false);
+    }
+
+    expect(requestSigning.verify('b'.repeat(64), request, signature)).toBe(false);
+  });
+
+  it('rejects malformed signatures without throwing', () => {
+    const signature = requestSigning.sign(SECRET, request);
+
+    for (const value of [undefined, null, '', signature.slice(0, 63), `${signature}00`, 'z'.repeat(64)]) {
+      expect(requestSigning.verify(SECRET, request, value)).toBe(false);
+    }
+  });
+});
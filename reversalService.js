@@ -0,0 +1,171 @@
+/**
+ * Reversal Service
+ * Reverses completed transactions, in full or in part. Each reversal is a
+ * `reversal` Transaction linked to the original (relatedTransaction) with its
+ * own journal entry; the original keeps a running `reversedAmount` and becomes
+ * `reversed` once all of it has been given back. A payment between users is
+ * reversed on both sides: the recipient is debited and the sender credited.
+ *
+ * Sends and receives can be reversed; currency transfers and account moves only
+ * move a user's own money, crypto transfers are on-chain and balance
+ * adjustments have their own approval flow. International transfers are
+ * refunded by services/internationalTransferService.js when they fail or come
+ * back, so reversing one here could refund it twice.
+ *
+ * Pass the `session` from utils/dbTransaction's withTransaction() so the
+ * reversal and the caller's own records commit together.
+ */
+
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const ledgerService = require('./ledgerService');
+const money = require('../utils/money');
+
+const { LedgerError } = ledgerService;
+
+// Transaction types that can be reversed
+const REVERSIBLE_TYPES = ['send', 'receive'];
+
+// A user's account to post a reversal to: the one named, or the primary
+// account if it has been closed since
+async function openAccount(userId, accountId, session) {
+  const account = accountId && await Account.findById(accountId).session(session);
+  return ledgerService.userAccount(userId, account && account.status !== 'closed' ? account._id : undefined);
+}
+
+// Add `amount` to a transaction's reversedAmount, as long as the total stays
+// within the transaction's amount. Marks it reversed once fully given back.
+async function claimReversal(transaction, amount, session) {
+  const { currency } = transaction;
+  const claimed = await Transaction.findOneAndUpdate(
+    {
+      _id: transaction._id,
+      status: 'completed',
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$reversedAmount', 0] }, money.toDecimal128(amount, currency)] }, '$amount'] }
+    },
+    { $inc: { reversedAmount: money.toDecimal128(amount, currency) } },
+    { new: true, session }
+  );
+
+  if (!claimed) {
+    throw new LedgerError('REVERSAL_EXCEEDS_AMOUNT', `Transaction ${transaction.reference} has less than ${amount} ${currency} left to reverse`);
+  }
+
+  if (money.compare(claimed.reversedAmount, claimed.amount, currency) === 0) {
+    claimed.status = 'reversed';
+    await Transaction.updateOne({ _id: claimed._id }, { $set: { status: 'reversed' } }, { session });
+  }
+
+  return claimed;
+}
+
+// Reverse `amount` (default: everything not yet reversed) of a completed send or
+// receive. Resolves { originals, reversals, entry }: the updated original (and
+// its linked counterpart for payments between users) and a reversal for each.
+async function reverseTransaction(transactionId, { amount, reason, reversedBy, session }) {
+  const original = await Transaction.findById(transactionId).session(session);
+
+  if (!original) {
+    throw new LedgerError('TRANSACTION_NOT_FOUND', 'Transaction not found');
+  }
+  if (!REVERSIBLE_TYPES.includes(original.type)) {
+    throw new LedgerError('TRANSACTION_NOT_REVERSIBLE', `${original.type} transactions cannot be reversed`);
+  }
+  if (original.internationalTransfer && original.internationalTransfer.swiftCode) {
+    throw new LedgerError('TRANSACTION_NOT_REVERSIBLE', 'International transfers are refunded when the correspondent bank returns them');
+  }
+  if (original.status !== 'completed') {
+    throw new LedgerError('TRANSACTION_NOT_REVERSIBLE', `Only completed transactions can be reversed; this one is ${original.status}`);
+  }
+
+  const { currency } = original;
+  const remaining = money.subtract(original.amount, original.reversedAmount || '0', currency);
+  const refund = amount === undefined ? remaining : ledgerService.toAmount(amount, currency);
+
+  if (money.isZero(remaining, currency)) {
+    throw new LedgerError('TRANSACTION_NOT_REVERSIBLE', 'Transaction has already been reversed in full');
+  }
+  if (money.compare(refund, remaining, currency) > 0) {
+    throw new LedgerError('REVERSAL_EXCEEDS_AMOUNT', `At most ${remaining} ${currency} of this transaction is left to reverse`);
+  }
+
+  // A payment between users: reverse both linked transactions together
+  const counterpart = (original.recipient.user || original.sender.user) && original.relatedTransaction
+    ? await Transaction.findById(original.relatedTransaction).session(session)
+    : null;
+  const sent = original.type === 'send' ? original : counterpart;
+  const received = original.type === 'receive' ? original : counterpart;
+
+  // Each side: the original, and whether the reversal credits or debits its user
+  const sides = [];
+  let postings;
+
+  if (sent && received) {
+    const from = await openAccount(received.user, received.toAccount, session);
+    const to = await openAccount(sent.user, sent.fromAccount, session);
+    postings = ledgerService.move(from, to, currency, refund);
+    sides.push({ transaction: sent, direction: 'credit' }, { transaction: received, direction: 'debit' });
+  } else if (original.type === 'send') {
+    const to = await openAccount(original.user, original.fromAccount, session);
+    postings = ledgerService.move(ledgerService.systemAccount('external_clearing'), to, currency, refund);
+    sides.push({ transaction: original, direction: 'credit' });
+  } else {
+    const from = await openAccount(original.user, original.toAccount, session);
+    postings = ledgerService.move(from, ledgerService.systemAccount('external_clearing'), currency, refund);
+    sides.push({ transaction: original, direction: 'debit' });
+  }
+
+  const originals = [];
+  for (const side of sides) {
+    originals.push(await claimReversal(side.transaction, refund, session));
+  }
+
+  const reversals = sides.map(({ transaction, direction }) => new Transaction({
+    user: transaction.user,
+    type: 'reversal',
+    currency,
+    amount: refund,
+    relatedTransaction: transaction._id,
+    description: `Reversal of ${transaction.reference}: ${reason}`,
+    status: 'completed',
+    metadata: {
+      direction,
+      reason,
+      reversedBy: reversedBy._id.toString()
+    }
+  }));
+
+  // A debit the recipient's available balance cannot cover throws INSUFFICIENT_BALANCE
+  const entry = await ledgerService.post({
+    type: 'reversal',
+    transaction: reversals[0]._id,
+    description: `Reversal of ${refund} ${currency} of ${original.reference} by ${reversedBy.username}: ${reason}`,
+    postings,
+    createdBy: reversedBy._id,
+    metadata: {
+      originalTransaction: original._id,
+      reason
+    },
+    session
+  });
+
+  // The user side of each posting, in the order of `sides`
+  const userPostings = postings.filter(posting => posting.accountType === 'user');
+  const postingFor = (reversal) => userPostings.find(posting => String(posting.user) === String(reversal.user));
+
+  for (const reversal of reversals) {
+    const posting = postingFor(reversal);
+    reversal.journalEntry = entry._id;
+    reversal[posting.direction === 'credit' ? 'toAccount' : 'fromAccount'] = posting.account;
+    // Both sides of a payment between users share one reference
+    if (reversal !== reversals[0]) reversal.reference = reversals[0].reference;
+    await reversal.save({ session });
+  }
+
+  return { originals, reversals, entry };
+}
+
+module.exports = {
+  REVERSIBLE_TYPES,
+  reverseTransaction
+};
@@ -0,0 +1,163 @@
+jest.mock('../models/Account', () => ({ findById: jest.fn() }));
+jest.mock('./ledgerService', () => ({
+  ...jest.requireActual('./ledgerService'),
+  post: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const { reverseTransaction } = require('./reversalService');
+
+// A query resolving `value`, as returned by Model.findById()
+const query = value => ({ session: () => Promise.resolve(value) });
+
+const id = () => new mongoose.Types.ObjectId();
+const admin = { _id: id(), username: 'admin' };
+
+// A completed send of 100 USD to an outside account
+const send = fields => ({
+  _id: id(),
+  user: id(),
+  type: 'send',
+  status: 'completed',
+  currency: 'USD',
+  amount: '100.00',
+  reference: 'TXN-1',
+  fromAccount: id(),
+  sender: {},
+  recipient: { account: 'EXT-ACCOUNT' },
+  ...fields
+});
+
+describe('reversalService', () => {
+  let original;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    original = send();
+    jest.spyOn(Transaction, 'findById').mockImplementation(() => query(original));
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({ ...original, reversedAmount: '40.00' }));
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    Account.findById.mockReturnValue(query({ _id: original.fromAccount, status: 'active' }));
+    ledgerService.post.mockResolvedValue({ _id: id() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reverse = options => reverseTransaction(original._id, { reason: 'Disputed', reversedBy: admin, session: {}, ...options });
+
+  describe('amount checks', () => {
+    it('refuses more than is left to reverse', async () => {
+      original.reversedAmount = '60.00';
+
+      await expect(reverse({ amount: '40.01' })).rejects.toMatchObject({ code: 'REVERSAL_EXCEEDS_AMOUNT' });
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('refuses a transaction that was already reversed in full', async () => {
+      original.reversedAmount = '100.00';
+
+      await expect(reverse()).rejects.toMatchObject({ code: 'TRANSACTION_NOT_REVERSIBLE' });
+    });
+
+    it('refuses amounts that are not positive or too precise', async () => {
+      for (const amount of ['0', '-5.00', '1.001']) {
+        await expect(reverse({ amount })).rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+      }
+    });
+
+    it('reverses whatever is left when no amount is given', async () => {
+      original.reversedAmount = '60.00';
+
+      const { reversals } = await reverse();
+
+      expect(reversals[0].amount.toString()).toBe('40.00');
+      expect(ledgerService.post.mock.calls[0][0].postings[0].amount).toBe('40.00');
+    });
+
+    it('refuses a reversal a concurrent one has already used up', async () => {
+      Transaction.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(reverse({ amount: '100.00' })).rejects.toMatchObject({ code: 'REVERSAL_EXCEEDS_AMOUNT' });
+      expect(ledgerService.post).not.toHaveBeenCalled();
+    });
+
+    it('marks the original reversed once all of it is given back', async () => {
+      Transaction.findOneAndUpdate.mockResolvedValue({ ...original, reversedAmount: '100.00' });
+
+      const { originals } = await reverse();
+
+      expect(originals[0].status).toBe('reversed');
+      expect(Transaction.updateOne).toHaveBeenCalledWith({ _id: original._id }, { $set: { status: 'reversed' } }, { session: {} });
+    });
+  });
+
+  describe('reversible transactions', () => {
+    it('refuses unknown transactions', async () => {
+      Transaction.findById.mockReturnValue(query(null));
+
+      await expect(reverse()).rejects.toMatchObject({ code: 'TRANSACTION_NOT_FOUND' });
+    });
+
+    it('refuses other types, international transfers and transactions not completed', async () => {
+      for (const fields of [
+        { type: 'transfer' },
+        { type: 'adjustment' },
+        { internationalTransfer: { swiftCode: 'DEUTDEFF', status: 'completed' } },
+        { status: 'pending' },
+        { status: 'reversed' }
+      ]) {
+        original = send(fields);
+
+        await expect(reverse()).rejects.toMatchObject({ code: 'TRANSACTION_NOT_REVERSIBLE' });
+      }
+
+      expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('credits a send back from external clearing', async () => {
+      await reverse({ amount: '40' });
+
+      expect(ledgerService.post.mock.calls[0][0]).toMatchObject({
+        type: 'reversal',
+        postings: ledgerService.move(
+          ledgerService.systemAccount('external_clearing'),
+          ledgerService.userAccount(original.user, original.fromAccount),
+          'USD',
+          '40.00'
+        )
+      });
+    });
+
+    it('reverses a payment between users on both sides, debiting the recipient', async () => {
+      const received = send({ type: 'receive', fromAccount: undefined, toAccount: id(), sender: { user: original.user } });
+      original = send({ recipient: { user: received.user }, relatedTransaction: received._id });
+      received.relatedTransaction = original._id;
+      Transaction.findById.mockImplementation(txId => query(String(txId) === String(received._id) ? received : original));
+      Account.findById.mockImplementation(accountId => query({ _id: accountId, status: 'active' }));
+      jest.spyOn(Transaction.prototype, 'save').mockImplementation(function() {
+        if (!this.reference) this.reference = `TXN-REV-${String(this.user)}`;
+        return Promise.resolve(this);
+      });
+
+      const { originals, reversals } = await reverse({ amount: '25.00' });
+
+      expect(originals).toHaveLength(2);
+      expect(ledgerService.post.mock.calls[0][0].postings).toEqual(ledgerService.move(
+        ledgerService.userAccount(received.user, received.toAccount),
+        ledgerService.userAccount(original.user, original.fromAccount),
+        'USD',
+        '25.00'
+      ));
+      expect(reversals.map(reversal => reversal.metadata.get('direction'))).toEqual(['credit', 'debit']);
+      expect(reversals[1].reference).toBe(reversals[0].reference);
+    });
+  });
+});
@@ -0,0 +1,1070 @@
+/**
+ * Authentication Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const { protect, requireScope, requireSession } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { logger } = require('../middleware/logger');
+const totp = require('../utils/totp');
+const emailService = require('../services/emailService');
+const { STEP_UP_WINDOW_MINUTES } = require('../config/stepUp');
+
+// Cookie options shared by the access and refresh token cookies
+const cookieOptions = (maxAgeDays) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge: maxAgeDays * 24 * 60 * 60 * 1000
+});
+
+// Public view of a user returned by auth endpoints
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  permissions: user.permissions,
+  profile: user.profile,
+  settings: user.settings,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+// Issue access and refresh tokens for a session, set cookies and send the response
+const sendTokenResponse = (user, sessionId, tokenId, statusCode, message, res) => {
+  const token = user.generateAuthToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId, tokenId);
+
+  res.cookie('token', token, cookieOptions(parseInt(process.env.JWT_COOKIE_EXPIRE) || 7));
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions(parseInt(process.env.JWT_REFRESH_COOKIE_EXPIRE) || 30),
+    path: '/api/auth'
+  });
+
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data: {
+      token,
+      refreshToken,
+      user: formatUser(user)
+    }
+  });
+};
+
+// @route   POST /api/auth/register
+// @desc    Register new user
+// @access  Public
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    const { username, email, password, firstName, lastName, country } = req.body;
+
+    const existingUser = await User.findOne({
+      $or: [{ email: email.toLowerCase() }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'USER_EXISTS',
+          message: existingUser.email === email.toLowerCase()
+            ? 'Email is already registered'
+            : 'Username is already taken'
+        }
+      });
+    }
+
+    const user = new User({
+      username,
+      email,
+      password,
+      profile: {
+        firstName,
+        lastName,
+        country
+      },
+      lastLogin: new Date(),
+      ledgerOpenedAt: new Date()
+    });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    // A mail failure shouldn't block registration - the user can resend later
+    try {
+      await emailService.sendVerificationEmail(user, verificationToken);
+    } catch (error) {
+      logger.error(`Failed to send verification email to ${user.email}:`, error);
+    }
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'register',
+      entityType: 'user',
+      entityId: user._id,
+      description: `User registered: ${user.username}`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`New user registered: ${user.username}`);
+
+    const session = await Session.start(user._id, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    sendTokenResponse(user, session._id, session.currentTokenId, 201, 'Registration successful', res);
+  } catch (error) {
+    logger.error('Register error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REGISTRATION_FAILED',
+        message: 'Failed to register user'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password, twoFactorCode } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select('+password +settings.twoFactorSecret +settings.twoFactorBackupCodes');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid email or password'
+        }
+      });
+    }
+
+    if (user.isLocked()) {
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'security_alert',
+        description: 'Login attempt on locked account',
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(423).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_LOCKED',
+          message: 'Account is temporarily locked due to too many failed login attempts'
+        }
+      });
+    }
+
+    const isMatch = await user.comparePassword(password);
+
+    if (!isMatch) {
+      await user.incLoginAttempts();
+
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'login',
+        description: 'Failed login attempt',
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_CREDENTIALS',
+          message: 'Invalid email or password'
+        }
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_SUSPENDED',
+          message: 'Account is not active'
+        }
+      });
+    }
+
+    // Second factor
+    if (user.settings.twoFactorEnabled) {
+      if (!twoFactorCode) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: '2FA_REQUIRED',
+            message: 'Two-factor authentication code required'
+          }
+        });
+      }
+
+      const { valid, reason } = await user.verifyTwoFactorCode(twoFactorCode);
+
+      if (!valid) {
+        await user.incLoginAttempts();
+
+        await AuditLog.createLog({
+          user: user._id,
+          action: 'security_alert',
+          description: reason === 'replayed' ? 'Replayed 2FA code rejected at login' : 'Failed 2FA attempt at login',
+          status: 'failure',
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INVALID_2FA',
+            message: 'Invalid two-factor authentication code'
+          }
+        });
+      }
+    }
+
+    // Reset failed attempts and record the login
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lastLogin = new Date();
+    await user.save();
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'login',
+      description: 'User logged in',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${user.username} logged in`);
+
+    const session = await Session.start(user._id, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    sendTokenResponse(user, session._id, session.currentTokenId, 200, 'Login successful', res);
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_FAILED',
+        message: 'Failed to login'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user
+// @access  Private
+router.post('/logout', protect, requireSession, async (req, res) => {
+  try {
+    await Session.revoke(req.authSession._id, 'logout');
+
+    res.clearCookie('token');
+    res.clearCookie('refreshToken', { path: '/api/auth' });
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'logout',
+      description: 'User logged out',
+      metadata: {
+        sessionId: req.authSession._id
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${req.user.username} logged out`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: 'Failed to logout'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.cookies.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'REFRESH_TOKEN_REQUIRED',
+          message: 'Refresh token is required'
+        }
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Refresh token is invalid or expired'
+        }
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'User no longer exists'
+        }
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_SUSPENDED',
+          message: 'Account is not active'
+        }
+      });
+    }
+
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || session.user.toString() !== user._id.toString() || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'SESSION_REVOKED',
+          message: 'Session has been revoked or expired'
+        }
+      });
+    }
+
+    const nextTokenId = await Session.rotate(session._id, decoded.jti, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!nextTokenId) {
+      // A token we issued for this family has already been rotated: it was
+      // either stolen or replayed, so the whole family is revoked.
+      await Session.revoke(session._id, 'reuse_detected');
+
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'security_alert',
+        description: 'Refresh token reuse detected - session revoked',
+        status: 'failure',
+        metadata: {
+          sessionId: session._id
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      await Notification.create({
+        user: user._id,
+        type: 'security',
+        title: 'Session Signed Out',
+        message: 'We detected reuse of an old sign-in token and signed out one of your sessions. Please sign in again and review your active sessions.',
+        data: {
+          sessionId: session._id
+        },
+        priority: 'urgent'
+      });
+
+      logger.warn(`Refresh token reuse detected for user ${user.username}, session ${session._id}`);
+
+      res.clearCookie('token');
+      res.clearCookie('refreshToken', { path: '/api/auth' });
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'REFRESH_TOKEN_REUSED',
+          message: 'Refresh token has already been used'
+        }
+      });
+    }
+
+    sendTokenResponse(user, session._id, nextTokenId, 200, 'Token refreshed successfully', res);
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REFRESH_FAILED',
+        message: 'Failed to refresh token'
+      }
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', protect, requireScope('profile:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatUser(user),
+        ...(req.impersonation && { impersonation: req.impersonation })
+      }
+    });
+  } catch (error) {
+    logger.error('Get current user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_FETCH_FAILED',
+        message: 'Failed to fetch current user'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Same response whether or not the account exists, to avoid account enumeration
+    if (user && user.status === 'active') {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await emailService.sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        logger.error(`Failed to send password reset email to ${user.email}:`, error);
+      }
+
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'password_reset_request',
+        entityType: 'user',
+        entityId: user._id,
+        description: 'Password reset requested',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      logger.info(`Password reset requested for user ${user.username}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_REQUEST_FAILED',
+        message: 'Failed to request password reset'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_RESET_TOKEN',
+          message: 'Password reset token is invalid or has expired'
+        }
+      });
+    }
+
+    user.password = password;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    // Receiving the reset link proves control of the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out everywhere
+    const revoked = await Session.revokeAllForUser(user._id, 'password_reset');
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'password_reset',
+      entityType: 'user',
+      entityId: user._id,
+      description: 'Password reset completed',
+      metadata: {
+        revokedSessions: revoked.modifiedCount
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    await Notification.create({
+      user: user._id,
+      type: 'security',
+      title: 'Password Changed',
+      message: 'Your password was reset and all sessions were signed out.',
+      priority: 'high'
+    });
+
+    try {
+      await emailService.sendPasswordChangedEmail(user);
+    } catch (error) {
+      logger.error(`Failed to send password changed email to ${user.email}:`, error);
+    }
+
+    logger.info(`User ${user.username} reset password`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_FAILED',
+        message: 'Failed to reset password'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a verification token
+// @access  Public
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+  try {
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_VERIFICATION_TOKEN',
+          message: 'Verification token is invalid or has expired'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'email_verify',
+      entityType: 'user',
+      entityId: user._id,
+      description: `Email verified: ${user.email}`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${user.username} verified email`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_VERIFY_FAILED',
+        message: 'Failed to verify email'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', protect, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'EMAIL_ALREADY_VERIFIED',
+          message: 'Email is already verified'
+        }
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await emailService.sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VERIFICATION_SEND_FAILED',
+        message: 'Failed to send verification email'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/step-up
+// @desc    Re-authenticate with password or 2FA code to elevate the session
+// @access  Private
+router.post('/step-up', protect, requireSession, validate(schemas.stepUp), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+password +settings.twoFactorSecret +settings.twoFactorBackupCodes');
+
+    if (user.isLocked()) {
+      return res.status(423).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_LOCKED',
+          message: 'Account is temporarily locked due to too many failed login attempts'
+        }
+      });
+    }
+
+    // With 2FA enabled the password alone is not enough
+    if (user.settings.twoFactorEnabled && !code) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: '2FA_REQUIRED',
+          message: 'Two-factor authentication code required'
+        }
+      });
+    }
+
+    let method;
+    let failureReason;
+
+    if (code) {
+      const result = user.settings.twoFactorEnabled
+        ? await user.verifyTwoFactorCode(code)
+        : { valid: false, reason: 'not_enabled' };
+      method = result.method;
+      failureReason = result.reason;
+    } else if (await user.comparePassword(password)) {
+      method = 'password';
+    }
+
+    if (!method) {
+      await user.incLoginAttempts();
+
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'step_up',
+        entityType: 'session',
+        entityId: req.authSession._id,
+        description: failureReason === 'replayed' ? 'Replayed 2FA code rejected at step-up' : 'Failed step-up authentication',
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: code ? 'INVALID_2FA' : 'INVALID_CREDENTIALS',
+          message: code ? 'Invalid two-factor authentication code' : 'Invalid password'
+        }
+      });
+    }
+
+    const elevatedUntil = await Session.elevate(req.authSession._id, method, STEP_UP_WINDOW_MINUTES);
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'step_up',
+      entityType: 'session',
+      entityId: req.authSession._id,
+      description: `Session elevated by ${method}`,
+      metadata: { method, elevatedUntil },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Re-authentication successful',
+      data: {
+        method,
+        elevatedUntil
+      }
+    });
+  } catch (error) {
+    logger.error('Step-up error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'STEP_UP_FAILED',
+        message: 'Failed to re-authenticate'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and return a new TOTP secret
+// @access  Private
+router.post('/2fa/setup', protect, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.settings.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: '2FA_ALREADY_ENABLED',
+          message: 'Two-factor authentication is already enabled'
+        }
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.settings.twoFactorPendingSecret = secret;
+    await user.save();
+
+    logger.info(`User ${user.username} started 2FA enrollment`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: totp.keyUri(secret, user.email, process.env.TOTP_ISSUER || 'Global Banking')
+      }
+    });
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: '2FA_SETUP_FAILED',
+        message: 'Failed to start two-factor enrollment'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm 2FA enrollment with a first code
+// @access  Private
+router.post('/2fa/enable', protect, requireSession, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+settings.twoFactorPendingSecret +settings.twoFactorBackupCodes');
+
+    if (user.settings.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: '2FA_ALREADY_ENABLED',
+          message: 'Two-factor authentication is already enabled'
+        }
+      });
+    }
+
+    if (!user.settings.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: '2FA_SETUP_REQUIRED',
+          message: 'Start two-factor enrollment first'
+        }
+      });
+    }
+
+    const step = totp.verify(user.settings.twoFactorPendingSecret, req.body.code);
+
+    if (step === null) {
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'security_alert',
+        description: 'Failed 2FA enrollment confirmation',
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_2FA',
+          message: 'Invalid two-factor authentication code'
+        }
+      });
+    }
+
+    user.settings.twoFactorSecret = user.settings.twoFactorPendingSecret;
+    user.settings.twoFactorPendingSecret = undefined;
+    user.settings.twoFactorLastUsedStep = step;
+    user.settings.twoFactorEnabled = true;
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'two_factor_enable',
+      entityType: 'user',
+      entityId: user._id,
+      description: 'Two-factor authentication enabled',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${user.username} enabled 2FA`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: '2FA_ENABLE_FAILED',
+        message: 'Failed to enable two-factor authentication'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (requires a valid TOTP or backup code)
+// @access  Private
+router.post('/2fa/disable', protect, requireSession, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+settings.twoFactorSecret +settings.twoFactorBackupCodes');
+
+    if (!user.settings.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: '2FA_NOT_ENABLED',
+          message: 'Two-factor authentication is not enabled'
+        }
+      });
+    }
+
+    const { valid } = await user.verifyTwoFactorCode(req.body.code);
+
+    if (!valid) {
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'security_alert',
+        description: 'Failed 2FA attempt while disabling two-factor authentication',
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INVALID_2FA',
+          message: 'Invalid two-factor authentication code'
+        }
+      });
+    }
+
+    user.settings.twoFactorEnabled = false;
+    user.settings.twoFactorSecret = undefined;
+    user.settings.twoFactorLastUsedStep = undefined;
+    user.settings.twoFactorBackupCodes = [];
+    await user.save();
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'two_factor_disable',
+      entityType: 'user',
+      entityId: user._id,
+      description: 'Two-factor authentication disabled',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${user.username} disabled 2FA`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: '2FA_DISABLE_FAILED',
+        message: 'Failed to disable two-factor authentication'
+      }
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Regenerate backup codes (requires a valid TOTP or backup code)
+// @access  Private
+router.post('/2fa/backup-codes', protect, requireSession, validate(schemas.twoFactorCode), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+settings.twoFactorSecret +settings.twoFactorBackupCodes');
+
+    if (!user.settings.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: '2FA_NOT_ENABLED',
+          message: 'Two-factor authentication is not enabled'
+        }
+      });
+    }
+
+    const { valid } = await user.verifyTwoFactorCode(req.body.code);
+
+    if (!valid) {
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'security_alert',
+        description: 'Failed 2FA attempt while regenerating backup codes',
+        status: 'failure',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INVALID_2FA',
+          message: 'Invalid two-factor authentication code'
+        }
+      });
+    }
+
+    const backupCodes = user.generateBackupCodes();
+    await user.save();
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'settings_update',
+      description: '2FA backup codes regenerated',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Backup codes regenerated',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    logger.error('2FA backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: '2FA_BACKUP_CODES_FAILED',
+        message: 'Failed to regenerate backup codes'
+      }
+    });
+  }
+});
+
+module.exports = router;
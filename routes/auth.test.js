@@ -0,0 +1,115 @@
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+
+jest.mock('../models/User', () => ({ findById: jest.fn() }));
+jest.mock('../models/Session', () => ({
+  findById: jest.fn(),
+  rotate: jest.fn(),
+  revoke: jest.fn()
+}));
+jest.mock('../models/AuditLog', () => ({ createLog: jest.fn() }));
+jest.mock('../models/Notification', () => ({ create: jest.fn() }));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const authRoutes = require('./auth');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+
+// A refresh token as generateRefreshToken() issues it
+const refreshToken = (claims = {}) => jwt.sign(
+  { id: 'user-1', type: 'refresh', sid: 'session-1', jti: 'token-1', ...claims },
+  process.env.JWT_REFRESH_SECRET,
+  { expiresIn: '1h' }
+);
+
+describe('POST /api/auth/refresh', () => {
+  let user;
+  let session;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    user = {
+      _id: 'user-1',
+      username: 'alice',
+      status: 'active',
+      generateAuthToken: jest.fn(sid => `access-${sid}`),
+      generateRefreshToken: jest.fn((sid, jti) => `refresh-${sid}-${jti}`)
+    };
+    session = { _id: 'session-1', user: 'user-1', isActive: () => true };
+    User.findById.mockResolvedValue(user);
+    Session.findById.mockResolvedValue(session);
+  });
+
+  const refresh = token => request(app).post('/api/auth/refresh').send({ refreshToken: token });
+
+  it('rotates the session\'s token and issues new tokens', async () => {
+    Session.rotate.mockResolvedValue('token-2');
+
+    const res = await refresh(refreshToken());
+
+    expect(res.status).toBe(200);
+    expect(Session.rotate).toHaveBeenCalledWith('session-1', 'token-1', expect.any(Object));
+    expect(user.generateRefreshToken).toHaveBeenCalledWith('session-1', 'token-2');
+    expect(res.body.data).toMatchObject({ token: 'access-session-1', refreshToken: 'refresh-session-1-token-2' });
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session and alerts the user when an old token is reused', async () => {
+    Session.rotate.mockResolvedValue(null);
+
+    const res = await refresh(refreshToken());
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(Session.revoke).toHaveBeenCalledWith('session-1', 'reuse_detected');
+    expect(AuditLog.createLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'security_alert', user: 'user-1' }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'security', priority: 'urgent' }));
+    expect(res.headers['set-cookie'].join(';')).toMatch(/refreshToken=;/);
+  });
+
+  it('refuses tokens of a revoked or expired session without rotating', async () => {
+    session.isActive = () => false;
+
+    const res = await refresh(refreshToken());
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+    expect(Session.rotate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a session belonging to another user', async () => {
+    session.user = 'user-2';
+
+    const res = await refresh(refreshToken());
+
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+    expect(Session.rotate).not.toHaveBeenCalled();
+  });
+
+  it('refuses missing, forged and non-refresh tokens', async () => {
+    expect((await refresh()).body.error.code).toBe('REFRESH_TOKEN_REQUIRED');
+
+    for (const token of [
+      jwt.sign({ id: 'user-1', type: 'refresh', sid: 'session-1', jti: 'token-1' }, 'another-secret'),
+      refreshToken({ type: 'access' }),
+      refreshToken({ sid: undefined }),
+      refreshToken({ jti: undefined })
+    ]) {
+      const res = await refresh(token);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+    }
+
+    expect(Session.rotate).not.toHaveBeenCalled();
+  });
+});
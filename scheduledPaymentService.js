@@ -0,0 +1,359 @@
+/**
+ * Scheduled Payment Service
+ * Works out when standing orders (models/ScheduledPayment.js) fall due and
+ * pays them through services/paymentService.js. An occurrence that cannot be
+ * paid (insufficient balance, frozen account, recipient gone) is skipped and
+ * the user notified; the order carries on with the next one. Every occurrence
+ * is recorded as a ScheduledPaymentExecution.
+ *
+ * Dates are handled in UTC. Business days are Monday to Friday; public
+ * holidays are not taken into account.
+ */
+
+const cron = require('node-cron');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const ScheduledPayment = require('../models/ScheduledPayment');
+const ScheduledPaymentExecution = require('../models/ScheduledPaymentExecution');
+const Notification = require('../models/Notification');
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('../middleware/logger');
+const ledgerService = require('./ledgerService');
+const paymentService = require('./paymentService');
+const { withTransaction } = require('../utils/dbTransaction');
+
+const { LedgerError } = ledgerService;
+
+// Most orders handled per run
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start scheduled payment service
+function startScheduledPaymentService() {
+  logger.info('Starting scheduled payment service...');
+
+  // Pay due orders every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      await runDuePayments();
+    } catch (error) {
+      logger.error('Scheduled payment run error:', error);
+    }
+  });
+
+  logger.info('Scheduled payment service started successfully');
+}
+
+// Days in a month (month 0-11; overflowing months roll into the next year)
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// A day of a month at the time of day of `time`
+function atTimeOf(time, year, month, day) {
+  return new Date(Date.UTC(year, month, day, time.getUTCHours(), time.getUTCMinutes(), time.getUTCSeconds()));
+}
+
+// Last Monday-to-Friday of a month, at the time of day of `time`
+function lastBusinessDay(year, month, time) {
+  let day = daysInMonth(year, month);
+  let date = atTimeOf(time, year, month, day);
+
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+    day -= 1;
+    date = atTimeOf(time, year, month, day);
+  }
+
+  return date;
+}
+
+// Occurrence after `previous`, ignoring the order's end date and count.
+// Monthly orders keep the start date's day, or the month's last day if shorter.
+function followingOccurrence(order, previous) {
+  const { frequency, startDate } = order;
+  const year = previous.getUTCFullYear();
+  const month = previous.getUTCMonth() + 1;
+
+  switch (frequency) {
+    case 'daily':
+      return new Date(previous.getTime() + DAY_MS);
+    case 'weekly':
+      return new Date(previous.getTime() + 7 * DAY_MS);
+    case 'monthly':
+      return atTimeOf(startDate, year, month, Math.min(startDate.getUTCDate(), daysInMonth(year, month)));
+    case 'last_business_day':
+      return lastBusinessDay(year, month, startDate);
+    default:
+      return null;
+  }
+}
+
+// Whether an order's end date or occurrence count rules out an occurrence.
+// `count` is the number of occurrences run before it.
+function isPastEnd(order, date, count) {
+  return Boolean((order.endDate && date > order.endDate) || (order.maxOccurrences && count >= order.maxOccurrences));
+}
+
+// First occurrence of a new order, or null if its end comes first
+function firstOccurrence(order) {
+  const { frequency, startDate } = order;
+  let first = startDate;
+
+  if (frequency === 'last_business_day') {
+    first = lastBusinessDay(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate);
+    if (first < startDate) first = followingOccurrence(order, first);
+  }
+
+  return isPastEnd(order, first, 0) ? null : first;
+}
+
+// Occurrence after `previous` within the order's end date and count, or null
+function nextOccurrence(order, previous) {
+  const next = followingOccurrence(order, previous);
+  return next && !isPastEnd(order, next, order.occurrenceCount) ? next : null;
+}
+
+// First occurrence at or after `date` within the order's limits, or null.
+// Used when an order resumes: occurrences missed while paused are not paid.
+function upcomingOccurrence(order, date = new Date()) {
+  let next = order.nextRunAt || firstOccurrence(order);
+
+  while (next && next < date) {
+    next = followingOccurrence(order, next);
+  }
+
+  return next && !isPastEnd(order, next, order.occurrenceCount) ? next : null;
+}
+
+// Bring an order's nextRunAt in line after its status or limits changed, and
+// complete it if no occurrence is left. `resumed` orders pick up from now.
+function reschedule(order, { resumed = false } = {}) {
+  if (order.status !== 'active') return order;
+
+  const next = resumed ? upcomingOccurrence(order) : order.nextRunAt;
+  order.nextRunAt = next && !isPastEnd(order, next, order.occurrenceCount) ? next : null;
+  if (!order.nextRunAt) order.status = 'completed';
+
+  return order;
+}
+
+// The recipient the order was set up with, if they can still be paid
+async function orderRecipient(order, session) {
+  const user = await User.findById(order.recipientUser).session(session);
+
+  if (!user || user.status !== 'active') return null;
+
+  if (order.recipientAccount) {
+    const account = await Account.findOne({ _id: order.recipientAccount, status: { $ne: 'closed' } }).session(session);
+    return account ? { user, account } : null;
+  }
+
+  return { user, account: null };
+}
+
+// Claim the occurrence due at `dueAt` and move the order on to the next one.
+// Resolves the order as it was before the claim, or null if already claimed.
+async function claimOccurrence(order, dueAt, session) {
+  const claimed = await ScheduledPayment.findOneAndUpdate(
+    { _id: order._id, status: 'active', nextRunAt: dueAt },
+    { $inc: { occurrenceCount: 1 }, $set: { lastRunAt: new Date() } },
+    { new: true, session }
+  );
+
+  if (!claimed) return null;
+
+  const next = nextOccurrence(claimed, dueAt);
+  await ScheduledPayment.updateOne(
+    { _id: claimed._id },
+    { $set: { nextRunAt: next, status: next ? 'active' : 'completed' } },
+    { session }
+  );
+
+  return claimed;
+}
+
+// Pay the occurrence due at `dueAt`. Throws a LedgerError if it cannot be paid,
+// which rolls back the claim so skipOccurrence() can record it instead.
+async function payOccurrence(order, dueAt, session) {
+  const claimed = await claimOccurrence(order, dueAt, session);
+  if (!claimed) return null;
+
+  const sender = await User.findById(claimed.user).session(session);
+  if (!sender || sender.status !== 'active') {
+    throw new LedgerError('ACCOUNT_NOT_ACTIVE', 'Your account is not active');
+  }
+
+  const recipient = await orderRecipient(claimed, session);
+  if (!recipient) {
+    throw new LedgerError('RECIPIENT_NOT_FOUND', `${claimed.recipient} can no longer receive payments`);
+  }
+
+  const { currency, amount } = claimed;
+  const { sent, received } = await paymentService.sendToUser({
+    sender,
+    recipient,
+    identifier: claimed.recipient,
+    currency,
+    amount,
+    fromAccountId: claimed.fromAccount,
+    description: claimed.description || 'Scheduled payment',
+    session
+  });
+
+  const execution = await new ScheduledPaymentExecution({
+    scheduledPayment: claimed._id,
+    user: claimed.user,
+    dueAt,
+    occurrence: claimed.occurrenceCount,
+    currency,
+    amount,
+    status: 'paid',
+    transaction: sent._id
+  }).save({ session });
+
+  await new Notification({
+    user: sender._id,
+    type: 'transaction',
+    title: 'Scheduled Payment Sent',
+    message: `Your scheduled payment of ${amount} ${currency} to ${claimed.recipient} was sent`,
+    data: {
+      transactionId: sent._id,
+      scheduledPaymentId: claimed._id,
+      currency,
+      amount
+    },
+    priority: 'normal'
+  }).save({ session });
+
+  await new Notification({
+    user: recipient.user._id,
+    type: 'transaction',
+    title: 'Money Received',
+    message: `You received ${amount} ${currency} from ${sender.fullName}`,
+    data: {
+      transactionId: received._id,
+      currency,
+      amount
+    },
+    priority: 'normal'
+  }).save({ session });
+
+  await AuditLog.createLog({
+    user: sender._id,
+    action: 'send_money',
+    entityType: 'transaction',
+    entityId: sent._id,
+    description: `Scheduled payment ${claimed._id} sent ${amount} ${currency} to user ${recipient.user.username} (${sent.reference})`,
+    metadata: {
+      scheduledPaymentId: claimed._id,
+      executionId: execution._id,
+      occurrence: claimed.occurrenceCount
+    }
+  }, { session });
+
+  await AuditLog.createLog({
+    user: recipient.user._id,
+    action: 'receive_money',
+    entityType: 'transaction',
+    entityId: received._id,
+    description: `Received ${amount} ${currency} from user ${sender.username} (${received.reference})`,
+    metadata: {
+      senderTransaction: sent._id
+    }
+  }, { session });
+
+  return execution;
+}
+
+// Record an occurrence that could not be paid and tell the user
+async function skipOccurrence(order, dueAt, error, session) {
+  const claimed = await claimOccurrence(order, dueAt, session);
+  if (!claimed) return null;
+
+  const { currency, amount } = claimed;
+
+  const execution = await new ScheduledPaymentExecution({
+    scheduledPayment: claimed._id,
+    user: claimed.user,
+    dueAt,
+    occurrence: claimed.occurrenceCount,
+    currency,
+    amount,
+    status: 'skipped',
+    code: error.code,
+    reason: error.message
+  }).save({ session });
+
+  await new Notification({
+    user: claimed.user,
+    type: 'transaction',
+    title: 'Scheduled Payment Skipped',
+    message: `Your scheduled payment of ${amount} ${currency} to ${claimed.recipient} was not made: ${error.message}`,
+    data: {
+      scheduledPaymentId: claimed._id,
+      executionId: execution._id,
+      code: error.code,
+      currency,
+      amount
+    },
+    priority: 'high'
+  }).save({ session });
+
+  await AuditLog.createLog({
+    user: claimed.user,
+    action: 'scheduled_payment_skip',
+    entityType: 'scheduledPayment',
+    entityId: claimed._id,
+    description: `Skipped scheduled payment of ${amount} ${currency} due ${dueAt.toISOString()}: ${error.message}`,
+    metadata: {
+      executionId: execution._id,
+      occurrence: claimed.occurrenceCount,
+      code: error.code
+    }
+  }, { session });
+
+  return execution;
+}
+
+// Run one due occurrence of an order: pay it, or skip it if the ledger refuses
+async function runOccurrence(order) {
+  const dueAt = order.nextRunAt;
+
+  try {
+    return await withTransaction(session => payOccurrence(order, dueAt, session));
+  } catch (error) {
+    if (!(error instanceof LedgerError)) throw error;
+
+    return withTransaction(session => skipOccurrence(order, dueAt, error, session));
+  }
+}
+
+// Run the due occurrence of every active order. An order that missed several
+// occurrences (e.g. while the server was down) catches up one per run.
+async function runDuePayments() {
+  const due = await ScheduledPayment.find({ status: 'active', nextRunAt: { $lte: new Date() } })
+    .sort({ nextRunAt: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const order of due) {
+    try {
+      const execution = await runOccurrence(order);
+
+      if (execution) {
+        logger.info(`Scheduled payment ${order._id} occurrence ${execution.occurrence}: ${execution.status}`);
+      }
+    } catch (error) {
+      logger.error(`Error running scheduled payment ${order._id}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  startScheduledPaymentService,
+  firstOccurrence,
+  nextOccurrence,
+  upcomingOccurrence,
+  reschedule,
+  runDuePayments
+};
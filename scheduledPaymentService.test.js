@@ -0,0 +1,177 @@
+const {
+  firstOccurrence,
+  nextOccurrence,
+  upcomingOccurrence,
+  reschedule
+} = require('./scheduledPaymentService');
+
+const date = value => new Date(value);
+
+// Every occurrence of an order, run one after the other
+function occurrences(order) {
+  const dates = [];
+  let next = firstOccurrence(order);
+
+  while (next && dates.length < 50) {
+    dates.push(next.toISOString());
+    order.occurrenceCount = dates.length;
+    next = nextOccurrence(order, next);
+  }
+
+  return dates;
+}
+
+describe('scheduledPaymentService', () => {
+  describe('monthly orders', () => {
+    it('keep the start day, falling back to the last day of shorter months', () => {
+      const order = { frequency: 'monthly', startDate: date('2027-01-31T09:00:00Z'), maxOccurrences: 5, occurrenceCount: 0 };
+
+      expect(occurrences(order)).toEqual([
+        '2027-01-31T09:00:00.000Z',
+        '2027-02-28T09:00:00.000Z',
+        '2027-03-31T09:00:00.000Z',
+        '2027-04-30T09:00:00.000Z',
+        '2027-05-31T09:00:00.000Z'
+      ]);
+    });
+
+    it('use 29 February in leap years', () => {
+      const order = { frequency: 'monthly', startDate: date('2028-01-30T12:00:00Z'), maxOccurrences: 3, occurrenceCount: 0 };
+
+      expect(occurrences(order)).toEqual([
+        '2028-01-30T12:00:00.000Z',
+        '2028-02-29T12:00:00.000Z',
+        '2028-03-30T12:00:00.000Z'
+      ]);
+    });
+
+    it('roll over into the next year', () => {
+      const order = { frequency: 'monthly', startDate: date('2027-12-15T00:00:00Z'), occurrenceCount: 1 };
+
+      expect(nextOccurrence(order, order.startDate).toISOString()).toBe('2028-01-15T00:00:00.000Z');
+    });
+  });
+
+  describe('last business day orders', () => {
+    it('move month ends that fall on a weekend back to Friday', () => {
+      const order = {
+        frequency: 'last_business_day',
+        startDate: date('2027-07-01T10:30:00Z'),
+        endDate: date('2027-11-01T00:00:00Z'),
+        occurrenceCount: 0
+      };
+
+      expect(occurrences(order)).toEqual([
+        '2027-07-30T10:30:00.000Z', // 31 July is a Saturday
+        '2027-08-31T10:30:00.000Z',
+        '2027-09-30T10:30:00.000Z',
+        '2027-10-29T10:30:00.000Z' // 31 October is a Sunday
+      ]);
+    });
+
+    it('start next month when this month\'s last business day has passed', () => {
+      const order = { frequency: 'last_business_day', startDate: date('2027-07-31T10:30:00Z'), occurrenceCount: 0 };
+
+      expect(firstOccurrence(order).toISOString()).toBe('2027-08-31T10:30:00.000Z');
+    });
+  });
+
+  describe('daily and weekly orders', () => {
+    it('step by whole days', () => {
+      const daily = { frequency: 'daily', startDate: date('2027-03-01T08:00:00Z'), maxOccurrences: 3, occurrenceCount: 0 };
+      const weekly = { frequency: 'weekly', startDate: date('2027-03-01T08:00:00Z'), maxOccurrences: 2, occurrenceCount: 0 };
+
+      expect(occurrences(daily)).toEqual([
+        '2027-03-01T08:00:00.000Z',
+        '2027-03-02T08:00:00.000Z',
+        '2027-03-03T08:00:00.000Z'
+      ]);
+      expect(occurrences(weekly)).toEqual([
+        '2027-03-01T08:00:00.000Z',
+        '2027-03-08T08:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('end limits', () => {
+    it('stop at the end date', () => {
+      const order = {
+        frequency: 'weekly',
+        startDate: date('2027-03-01T08:00:00Z'),
+        endDate: date('2027-03-15T08:00:00Z'),
+        occurrenceCount: 0
+      };
+
+      expect(occurrences(order)).toHaveLength(3);
+    });
+
+    it('have no first occurrence when the end date comes before it', () => {
+      const order = {
+        frequency: 'last_business_day',
+        startDate: date('2027-07-01T10:30:00Z'),
+        endDate: date('2027-07-15T00:00:00Z'),
+        occurrenceCount: 0
+      };
+
+      expect(firstOccurrence(order)).toBeNull();
+    });
+
+    it('run one-off orders once', () => {
+      const order = { frequency: 'once', startDate: date('2027-03-01T08:00:00Z'), occurrenceCount: 0 };
+
+      expect(occurrences(order)).toEqual(['2027-03-01T08:00:00.000Z']);
+    });
+  });
+
+  describe('upcomingOccurrence', () => {
+    it('skips occurrences missed while paused', () => {
+      const order = {
+        frequency: 'monthly',
+        startDate: date('2027-01-31T09:00:00Z'),
+        nextRunAt: date('2027-01-31T09:00:00Z'),
+        occurrenceCount: 0
+      };
+
+      expect(upcomingOccurrence(order, date('2027-04-15T00:00:00Z')).toISOString()).toBe('2027-04-30T09:00:00.000Z');
+    });
+
+    it('returns null when the order ended while paused', () => {
+      const order = {
+        frequency: 'daily',
+        startDate: date('2027-03-01T08:00:00Z'),
+        nextRunAt: date('2027-03-02T08:00:00Z'),
+        endDate: date('2027-03-05T08:00:00Z'),
+        occurrenceCount: 1
+      };
+
+      expect(upcomingOccurrence(order, date('2027-03-10T00:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('reschedule', () => {
+    it('completes orders whose new limit has been reached', () => {
+      const order = {
+        status: 'active',
+        frequency: 'weekly',
+        startDate: date('2027-03-01T08:00:00Z'),
+        nextRunAt: date('2027-03-15T08:00:00Z'),
+        maxOccurrences: 2,
+        occurrenceCount: 2
+      };
+
+      reschedule(order);
+
+      expect(order.nextRunAt).toBeNull();
+      expect(order.status).toBe('completed');
+    });
+
+    it('leaves paused orders alone', () => {
+      const nextRunAt = date('2027-03-15T08:00:00Z');
+      const order = { status: 'paused', frequency: 'weekly', nextRunAt, maxOccurrences: 1, occurrenceCount: 1 };
+
+      reschedule(order);
+
+      expect(order).toMatchObject({ status: 'paused', nextRunAt });
+    });
+  });
+});
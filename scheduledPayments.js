@@ -0,0 +1,469 @@
+/**
+ * Scheduled Payment Routes
+ * Standing orders to other users of the platform; payments are made by
+ * services/scheduledPaymentService.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const ScheduledPayment = require('../models/ScheduledPayment');
+const ScheduledPaymentExecution = require('../models/ScheduledPaymentExecution');
+const AuditLog = require('../models/AuditLog');
+const { protect, requireScope, requireVerifiedEmail, requireStepUp } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+const { logger } = require('../middleware/logger');
+const ledgerService = require('../services/ledgerService');
+const paymentService = require('../services/paymentService');
+const scheduledPaymentService = require('../services/scheduledPaymentService');
+const { withTransaction } = require('../utils/dbTransaction');
+
+// Executions returned with a single order
+const RECENT_EXECUTIONS = 10;
+
+// Load one of the current user's orders that has not ended into req.scheduledPayment.
+// Its currency goes into the body so the amount is validated and stepped up in it.
+async function loadOpenOrder(req, res, next) {
+  try {
+    const order = await ScheduledPayment.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      status: { $in: ['active', 'paused'] }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_PAYMENT_NOT_FOUND',
+          message: 'Scheduled payment not found or already ended'
+        }
+      });
+    }
+
+    req.scheduledPayment = order;
+    req.body.currency = order.currency;
+    next();
+  } catch (error) {
+    logger.error('Load scheduled payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULED_PAYMENT_FETCH_FAILED',
+        message: 'Failed to fetch scheduled payment'
+      }
+    });
+  }
+}
+
+// Amount an update of req.scheduledPayment is stepped up for: the new amount,
+// or the order's own amount when the update resumes it, since resuming re-arms
+// its debits just like creating it
+function updateStepUpAmount(req) {
+  if (req.body.amount !== undefined) return req.body.amount;
+
+  const resumes = req.scheduledPayment.status === 'paused' && req.body.status === 'active';
+  return resumes ? req.scheduledPayment.amount : undefined;
+}
+
+// @route   GET /api/transactions/scheduled
+// @desc    List the current user's scheduled payments
+// @access  Private
+router.get('/', protect, requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, status } = req.query;
+    const query = { user: req.user._id };
+
+    if (status) query.status = status;
+
+    const orders = await ScheduledPayment.find(query)
+      .sort({ createdAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit));
+
+    const total = await ScheduledPayment.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: orders,
+      meta: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get scheduled payments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULED_PAYMENTS_FETCH_FAILED',
+        message: 'Failed to fetch scheduled payments'
+      }
+    });
+  }
+});
+
+// @route   POST /api/transactions/scheduled
+// @desc    Schedule a one-off or recurring payment to another user
+// @access  Private
+router.post('/', protect, requireScope('transactions:write'), requireVerifiedEmail, validate(schemas.createScheduledPayment), requireStepUp('send_money'), async (req, res) => {
+  try {
+    const { currency, amount, recipient, recipientType, fromAccountId, description, frequency, startDate, endDate, maxOccurrences } = req.body;
+
+    const payee = await paymentService.findRecipient(recipient, recipientType);
+
+    if (!payee) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RECIPIENT_NOT_FOUND',
+          message: `No user found for ${recipient}`
+        }
+      });
+    }
+
+    if (payee.user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SELF_TRANSFER',
+          message: 'Scheduled payments go to other users; use /api/transactions/move for your own accounts'
+        }
+      });
+    }
+
+    if (payee.account && payee.account.currency !== currency) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_CURRENCY_MISMATCH',
+          message: `Account ${payee.account.accountNumber} does not hold ${currency}`
+        }
+      });
+    }
+
+    const order = new ScheduledPayment({
+      user: req.user._id,
+      currency,
+      amount,
+      recipient,
+      recipientUser: payee.user._id,
+      recipientAccount: payee.account && payee.account._id,
+      fromAccount: fromAccountId,
+      description,
+      frequency,
+      startDate,
+      endDate,
+      maxOccurrences
+    });
+    order.nextRunAt = scheduledPaymentService.firstOccurrence(order);
+
+    if (!order.nextRunAt) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SCHEDULE',
+          message: 'The end date comes before the first payment'
+        }
+      });
+    }
+
+    await withTransaction(async (session) => {
+      if (fromAccountId) {
+        await ledgerService.resolveAccount({ user: req.user._id, currency, account: fromAccountId }, session);
+      }
+
+      await order.save({ session });
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'scheduled_payment_create',
+        entityType: 'scheduledPayment',
+        entityId: order._id,
+        description: `Scheduled ${frequency} payment of ${amount} ${currency} to user ${payee.user.username}, first on ${order.nextRunAt.toISOString()}`,
+        metadata: {
+          recipient,
+          endDate,
+          maxOccurrences
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+    });
+
+    logger.info(`User ${req.user.username} scheduled ${frequency} payment ${order._id} to ${payee.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment scheduled successfully',
+      data: order
+    });
+  } catch (error) {
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Create scheduled payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_FAILED',
+        message: 'Failed to schedule payment'
+      }
+    });
+  }
+});
+
+// @route   GET /api/transactions/scheduled/:id
+// @desc    Get a scheduled payment with its most recent executions
+// @access  Private
+router.get('/:id', protect, requireScope('transactions:read'), async (req, res) => {
+  try {
+    const order = await ScheduledPayment.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_PAYMENT_NOT_FOUND',
+          message: 'Scheduled payment not found'
+        }
+      });
+    }
+
+    const executions = await ScheduledPaymentExecution.find({ scheduledPayment: order._id })
+      .sort({ dueAt: -1 })
+      .limit(RECENT_EXECUTIONS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...order.toJSON(),
+        executions
+      }
+    });
+  } catch (error) {
+    logger.error('Get scheduled payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULED_PAYMENT_FETCH_FAILED',
+        message: 'Failed to fetch scheduled payment'
+      }
+    });
+  }
+});
+
+// @route   GET /api/transactions/scheduled/:id/executions
+// @desc    Payments made and skipped for a scheduled payment
+// @access  Private
+router.get('/:id/executions', protect, requireScope('transactions:read'), async (req, res) => {
+  try {
+    const { limit = 20, offset = 0, status } = req.query;
+    const order = await ScheduledPayment.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_PAYMENT_NOT_FOUND',
+          message: 'Scheduled payment not found'
+        }
+      });
+    }
+
+    const query = { scheduledPayment: order._id };
+    if (status) query.status = status;
+
+    const executions = await ScheduledPaymentExecution.find(query)
+      .sort({ dueAt: -1 })
+      .skip(parseInt(offset))
+      .limit(parseInt(limit))
+      .populate('transaction', 'reference status reversedAmount');
+
+    const total = await ScheduledPaymentExecution.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: executions,
+      meta: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Get scheduled payment executions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EXECUTIONS_FETCH_FAILED',
+        message: 'Failed to fetch scheduled payment history'
+      }
+    });
+  }
+});
+
+// @route   PUT /api/transactions/scheduled/:id
+// @desc    Change the amount, account, description or end of a scheduled payment, or pause or resume it
+// @access  Private
+router.put('/:id', protect, requireScope('transactions:write'), loadOpenOrder, validate(schemas.updateScheduledPayment), requireStepUp('send_money', updateStepUpAmount), async (req, res) => {
+  try {
+    const order = req.scheduledPayment;
+    const { currency, fromAccountId, ...changes } = req.body;
+    const previous = {
+      status: order.status,
+      nextRunAt: order.nextRunAt,
+      occurrenceCount: order.occurrenceCount,
+      amount: order.amount
+    };
+
+    if (fromAccountId) changes.fromAccount = fromAccountId;
+    order.set(changes);
+    scheduledPaymentService.reschedule(order, { resumed: previous.status === 'paused' && order.status === 'active' });
+
+    const updated = await withTransaction(async (session) => {
+      if (fromAccountId) {
+        await ledgerService.resolveAccount({ user: req.user._id, currency, account: fromAccountId }, session);
+      }
+
+      // Only applied if the order was not paid or changed meanwhile
+      const updated = await ScheduledPayment.findOneAndUpdate(
+        {
+          _id: order._id,
+          status: previous.status,
+          nextRunAt: previous.nextRunAt,
+          occurrenceCount: previous.occurrenceCount
+        },
+        {
+          $set: {
+            ...changes,
+            status: order.status,
+            nextRunAt: order.nextRunAt
+          }
+        },
+        { new: true, runValidators: true, session }
+      );
+
+      if (!updated) return null;
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'scheduled_payment_update',
+        entityType: 'scheduledPayment',
+        entityId: updated._id,
+        description: `Updated scheduled payment of ${updated.amount} ${updated.currency} to ${updated.recipient} (${updated.status})`,
+        metadata: {
+          ...req.body,
+          previousStatus: previous.status,
+          previousAmount: previous.amount
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return updated;
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_PAYMENT_CHANGED',
+          message: 'The scheduled payment was paid or changed while updating it; fetch it and try again'
+        }
+      });
+    }
+
+    logger.info(`User ${req.user.username} updated scheduled payment ${updated._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: updated.status === 'completed' ? 'Scheduled payment updated; no payments are left' : 'Scheduled payment updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Update scheduled payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULED_PAYMENT_UPDATE_FAILED',
+        message: 'Failed to update scheduled payment'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/transactions/scheduled/:id
+// @desc    Cancel a scheduled payment; payments already made are kept
+// @access  Private
+router.delete('/:id', protect, requireScope('transactions:write'), async (req, res) => {
+  try {
+    const order = await withTransaction(async (session) => {
+      const order = await ScheduledPayment.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id, status: { $in: ['active', 'paused'] } },
+        { $set: { status: 'cancelled', cancelledAt: new Date(), nextRunAt: null } },
+        { new: true, session }
+      );
+
+      if (!order) return null;
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'scheduled_payment_cancel',
+        entityType: 'scheduledPayment',
+        entityId: order._id,
+        description: `Cancelled ${order.frequency} payment of ${order.amount} ${order.currency} to ${order.recipient} after ${order.occurrenceCount} occurrence(s)`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return order;
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SCHEDULED_PAYMENT_NOT_FOUND',
+          message: 'Scheduled payment not found or already ended'
+        }
+      });
+    }
+
+    logger.info(`User ${req.user.username} cancelled scheduled payment ${order._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled payment cancelled',
+      data: order
+    });
+  } catch (error) {
+    logger.error('Cancel scheduled payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULED_PAYMENT_CANCEL_FAILED',
+        message: 'Failed to cancel scheduled payment'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -19,8 +19,10 @@ const hpp = require('hpp');
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const accountRoutes = require('./routes/accounts');
 const balanceRoutes = require('./routes/balances');
 const transactionRoutes = require('./routes/transactions');
+const scheduledPaymentRoutes = require('./routes/scheduledPayments');
 const cryptoRoutes = require('./routes/crypto');
 const miningRoutes = require('./routes/mining');
 const tradingRoutes = require('./routes/trading');
@@ -30,12 +32,18 @@ const adminRoutes = require('./routes/admin');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
-const { protect } = require('./middleware/auth');
+const { protect, requireSession } = require('./middleware/auth');
 const { loggingMiddleware } = require('./middleware/logger');
 
 // Import services
 const { startMiningService } = require('./services/miningService');
 const { startTradingService } = require('./services/tradingService');
+const { startHoldService } = require('./services/holdService');
+const { startReconciliationService } = require('./services/reconciliationService');
+const { startBalanceSnapshotService } = require('./services/balanceSnapshotService');
+const { startAdjustmentService } = require('./services/adjustmentService');
+const { startInternationalTransferService } = require('./services/internationalTransferService');
+const { startScheduledPaymentService } = require('./services/scheduledPaymentService');
 
 // Initialize Express app
 const app = express();
@@ -70,12 +78,16 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:8080',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Signature', 'X-Timestamp', 'X-Nonce', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
-// Body parser
-app.use(express.json({ limit: '10kb' }));
-app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+// Body parser (keeps the raw body for request signature verification)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10kb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10kb', verify: keepRawBody }));
 app.use(cookieParser());
 
 // Data sanitization
@@ -115,6 +127,19 @@ const authLimiter = rateLimit({
 
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+
+// Account lookups reveal who holds an account number, so keep them scarce
+const lookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 lookups per windowMs
+  message: 'Too many account lookups, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+app.use('/api/accounts/lookup', lookupLimiter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -129,13 +154,15 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', protect, userRoutes);
+app.use('/api/accounts', protect, accountRoutes);
 app.use('/api/balances', protect, balanceRoutes);
+app.use('/api/transactions/scheduled', protect, scheduledPaymentRoutes);
 app.use('/api/transactions', protect, transactionRoutes);
 app.use('/api/crypto', protect, cryptoRoutes);
 app.use('/api/mining', protect, miningRoutes);
 app.use('/api/trading', protect, tradingRoutes);
 app.use('/api/notifications', protect, notificationRoutes);
-app.use('/api/admin', protect, adminRoutes);
+app.use('/api/admin', protect, requireSession, adminRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -156,6 +183,12 @@ const connectDB = async () => {
     // Start background services
     startMiningService();
     startTradingService();
+    startHoldService();
+    startReconciliationService();
+    startBalanceSnapshotService();
+    startAdjustmentService();
+    startInternationalTransferService();
+    startScheduledPaymentService();
     
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
@@ -0,0 +1,38 @@
+/**
+ * Step-up Authentication Configuration
+ * Operations that need a recent password or TOTP check, and the USD amount
+ * from which they need it. A threshold of 0 means the check is always required.
+ */
+
+// How long a successful step-up keeps the session elevated, in minutes
+const STEP_UP_WINDOW_MINUTES = parseInt(process.env.STEP_UP_WINDOW_MINUTES) || 10;
+
+// Read a USD threshold from the environment, keeping an explicit 0
+function threshold(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+}
+
+const STEP_UP_RULES = {
+  send_money: {
+    description: 'Send money',
+    thresholdUSD: threshold('STEP_UP_SEND_THRESHOLD_USD', 1000)
+  },
+  international_transfer: {
+    description: 'International transfer',
+    thresholdUSD: threshold('STEP_UP_INTERNATIONAL_THRESHOLD_USD', 0)
+  },
+  crypto_send: {
+    description: 'Send cryptocurrency',
+    thresholdUSD: threshold('STEP_UP_CRYPTO_THRESHOLD_USD', 0)
+  },
+  api_key_create: {
+    description: 'Create or rotate an API key',
+    thresholdUSD: 0
+  }
+};
+
+module.exports = {
+  STEP_UP_WINDOW_MINUTES,
+  STEP_UP_RULES
+};
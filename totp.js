@@ -0,0 +1,149 @@
+/**
+ * TOTP Utilities
+ * RFC 6238 time-based one-time passwords (RFC 4226 HOTP over a time counter)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  digits: 6,
+  period: 30, // seconds per time step
+  window: 1, // accepted steps of clock drift either side of now
+  algorithm: 'sha1'
+};
+
+// Encode a buffer as RFC 4648 base32 without padding
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+// Decode an RFC 4648 base32 string (padding, spaces and case are ignored)
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+// Compute the HOTP value for a counter
+function hotp(secret, counter, options = {}) {
+  const { digits, algorithm } = { ...DEFAULTS, ...options };
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** digits).toString().padStart(digits, '0');
+}
+
+// Current time step for a timestamp
+function timeStep(timestamp = Date.now(), options = {}) {
+  const { period } = { ...DEFAULTS, ...options };
+  return Math.floor(timestamp / 1000 / period);
+}
+
+// Generate the TOTP code for a timestamp
+function generate(secret, timestamp = Date.now(), options = {}) {
+  return hotp(secret, timeStep(timestamp, options), options);
+}
+
+// Verify a code within the drift window.
+// Returns the matching time step, or null when the code is not valid.
+function verify(secret, code, options = {}) {
+  const { digits, window } = { ...DEFAULTS, ...options };
+  const timestamp = options.timestamp || Date.now();
+
+  if (!secret || typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+    return null;
+  }
+
+  const currentStep = timeStep(timestamp, options);
+  const expected = Buffer.from(code);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    const candidate = Buffer.from(hotp(secret, step, options));
+
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// Build an otpauth:// URI for authenticator apps
+function keyUri(secret, accountName, issuer, options = {}) {
+  const { digits, period, algorithm } = { ...DEFAULTS, ...options };
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(period)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  generate,
+  verify,
+  keyUri
+};
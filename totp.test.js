@@ -0,0 +1,80 @@
+const totp = require('./totp');
+
+// RFC 6238 appendix B seed for SHA-1 ("12345678901234567890")
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('encodes and decodes RFC 4648 base32', () => {
+      expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(totp.base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(totp.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+      expect(() => totp.base32Decode('MZXW1')).toThrow('Invalid base32 character: 1');
+    });
+
+    it('generates 160-bit secrets', () => {
+      expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe('generate', () => {
+    // RFC 6238 appendix B, SHA-1, 8 digits
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    it.each(vectors)('matches the RFC 6238 vector at T=%p', (seconds, code) => {
+      expect(totp.generate(SECRET, seconds * 1000, { digits: 8 })).toBe(code);
+    });
+
+    it('matches the RFC 4226 HOTP vectors', () => {
+      expect(totp.hotp(SECRET, 0)).toBe('755224');
+      expect(totp.hotp(SECRET, 9)).toBe('520489');
+    });
+  });
+
+  describe('verify', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = totp.timeStep(timestamp);
+    const codeAt = offset => totp.hotp(SECRET, step + offset);
+
+    it('accepts the current code and returns its time step', () => {
+      expect(totp.verify(SECRET, codeAt(0), { timestamp })).toBe(step);
+    });
+
+    it('accepts codes one step either side of now', () => {
+      expect(totp.verify(SECRET, codeAt(-1), { timestamp })).toBe(step - 1);
+      expect(totp.verify(SECRET, codeAt(1), { timestamp })).toBe(step + 1);
+    });
+
+    it('rejects codes outside the drift window', () => {
+      expect(totp.verify(SECRET, codeAt(-2), { timestamp })).toBeNull();
+      expect(totp.verify(SECRET, codeAt(2), { timestamp })).toBeNull();
+      expect(totp.verify(SECRET, codeAt(2), { timestamp, window: 2 })).toBe(step + 2);
+      expect(totp.verify(SECRET, codeAt(1), { timestamp, window: 0 })).toBeNull();
+    });
+
+    it('rejects malformed codes and missing secrets', () => {
+      expect(totp.verify(SECRET, '12345', { timestamp })).toBeNull();
+      expect(totp.verify(SECRET, 'abcdef', { timestamp })).toBeNull();
+      expect(totp.verify(SECRET, Number(codeAt(0)), { timestamp })).toBeNull();
+      expect(totp.verify(null, codeAt(0), { timestamp })).toBeNull();
+    });
+  });
+
+  describe('keyUri', () => {
+    it('builds an otpauth URI', () => {
+      expect(totp.keyUri('JBSWY3DP', 'alice@example.com', 'Global Bank')).toBe(
+        'otpauth://totp/Global%20Bank%3Aalice%40example.com?secret=JBSWY3DP&issuer=Global+Bank&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
@@ -8,14 +8,18 @@ const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const AuditLog = require('../models/AuditLog');
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const { idempotent, saveResponse, IdempotencyError } = require('../middleware/idempotency');
 const { logger } = require('../middleware/logger');
+const ledgerService = require('../services/ledgerService');
+const { withTransaction } = require('../utils/dbTransaction');
+const money = require('../utils/money');
 
 // @route   GET /api/trading/status
 // @desc    Get trading status
 // @access  Private
-router.get('/status', protect, async (req, res) => {
+router.get('/status', protect, requireScope('trading:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
 
@@ -50,7 +54,7 @@ router.get('/status', protect, async (req, res) => {
   }
 });
 
-router.post('/toggle', protect, validate(schemas.toggleTrading), async (req, res) => {
+router.post('/toggle', protect, requireScope('trading:write'), validate(schemas.toggleTrading), async (req, res) => {
   try {
     const { enabled } = req.body;
     const user = await User.findById(req.user._id);
@@ -59,8 +63,8 @@ router.post('/toggle', protect, validate(schemas.toggleTrading), async (req, res
     await user.save();
 
     if (enabled) {
-      if (user.trading.capital === 0) {
-        user.trading.capital = 10000;
+      if (money.isZero(user.trading.capital, 'USD')) {
+        user.trading.capital = '10000.00';
         await user.save();
       }
 
@@ -106,11 +110,84 @@ router.post('/toggle', protect, validate(schemas.toggleTrading), async (req, res
   }
 });
 
-router.post('/withdraw-profit', protect, async (req, res) => {
+router.post('/withdraw-profit', protect, requireScope('trading:write'), idempotent, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    // Claim the profit, move it and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      // Zero the profit atomically so concurrent withdrawals cannot both pay out
+      const user = await User.findOneAndUpdate(
+        { _id: req.user._id, 'trading.profit': { $gte: money.toDecimal128('0.01', 'USD') } },
+        { $set: { 'trading.profit': '0' } },
+        { session }
+      );
+
+      if (!user) return null;
+
+      const profitAmount = user.trading.profit;
+
+      const transaction = new Transaction({
+        user: user._id,
+        type: 'trading',
+        currency: 'USD',
+        amount: profitAmount,
+        description: 'Trading profit withdrawal',
+        status: 'completed'
+      });
+
+      // Post to the ledger, which adds the profit to user's USD balance
+      const entry = await ledgerService.post({
+        type: 'trading_profit',
+        transaction: transaction._id,
+        description: 'Trading profit withdrawal',
+        postings: ledgerService.move(
+          ledgerService.systemAccount('trading'),
+          ledgerService.userAccount(user._id),
+          'USD',
+          profitAmount
+        ),
+        session
+      });
+
+      transaction.journalEntry = entry._id;
+      await transaction.save({ session });
+
+      await new Notification({
+        user: user._id,
+        type: 'trading',
+        title: 'Profit Withdrawn',
+        message: `$${profitAmount} trading profit has been transferred to your main balance`,
+        data: {
+          transactionId: transaction._id,
+          amount: profitAmount
+        },
+        priority: 'high'
+      }).save({ session });
+
+      await AuditLog.createLog({
+        user: user._id,
+        action: 'trading_profit',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Withdrew $${profitAmount} trading profit`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      const response = {
+        success: true,
+        message: 'Profit withdrawn successfully',
+        data: {
+          withdrawn: profitAmount,
+          remainingCapital: user.trading.capital,
+          transferredTo: 'main_balance'
+        }
+      };
+      await saveResponse(req, 200, response, session);
 
-    if (user.trading.profit <= 0) {
+      return response;
+    });
+
+    if (!response) {
       return res.status(400).json({
         success: false,
         error: {
@@ -120,55 +197,20 @@ router.post('/withdraw-profit', protect, async (req, res) => {
       });
     }
 
-    const profitAmount = user.trading.profit;
-
-    user.balances.USD += profitAmount;
-    user.trading.profit = 0;
-    await user.save();
-
-    const transaction = await Transaction.create({
-      user: user._id,
-      type: 'trading',
-      currency: 'USD',
-      amount: profitAmount,
-      description: 'Trading profit withdrawal',
-      status: 'completed'
-    });
-
-    await Notification.create({
-      user: user._id,
-      type: 'trading',
-      title: 'Profit Withdrawn',
-      message: `$${profitAmount.toFixed(2)} trading profit has been transferred to your main balance`,
-      data: {
-        transactionId: transaction._id,
-        amount: profitAmount
-      },
-      priority: 'high'
-    });
-
-    await AuditLog.createLog({
-      user: user._id,
-      action: 'trading_profit',
-      entityType: 'transaction',
-      entityId: transaction._id,
-      description: `Withdrew $${profitAmount.toFixed(2)} trading profit`,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+    logger.info(`User ${req.user.username} withdrew $${response.data.withdrawn} trading profit`);
 
-    logger.info(`User ${user.username} withdrew $${profitAmount.toFixed(2)} trading profit`);
-
-    res.status(200).json({
-      success: true,
-      message: 'Profit withdrawn successfully',
-      data: {
-        withdrawn: profitAmount,
-        remainingCapital: user.trading.capital,
-        transferredTo: 'main_balance'
-      }
-    });
+    res.status(200).json(response);
   } catch (error) {
+    if (error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     logger.error('Withdraw profit error:', error);
     res.status(500).json({
       success: false,
@@ -9,6 +9,9 @@ const Transaction = require('../models/Transaction');
 const Notification = require('../models/Notification');
 const AuditLog = require('../models/AuditLog');
 const { logger } = require('../middleware/logger');
+const { withTransaction } = require('../utils/dbTransaction');
+const money = require('../utils/money');
+const { ROUNDING } = require('../config/currencies');
 
 // Start trading service
 function startTradingService() {
@@ -35,68 +38,92 @@ async function executeTradingRobots() {
 
   for (const user of users) {
     try {
-      if (user.trading.capital <= 0) continue;
+      if (money.isZero(user.trading.capital, 'USD')) continue;
 
       // Simulate trading
       const isProfitable = Math.random() > 0.35; // 65% chance of profit
-      const tradeAmount = user.trading.capital * (0.01 + Math.random() * 0.05); // 1-5% of capital
-      const profit = isProfitable ? tradeAmount * (0.02 + Math.random() * 0.08) : -tradeAmount * 0.02;
-
-      if (isProfitable) {
-        // Add to profit
-        user.trading.profit += profit;
-      } else {
-        // Deduct from capital
-        user.trading.capital = Math.max(0, user.trading.capital - Math.abs(profit));
-      }
-
-      await user.save();
-
-      // Create transaction record
-      const transaction = await Transaction.create({
-        user: user._id,
-        type: 'trading',
-        currency: 'USD',
-        amount: Math.abs(profit),
-        description: `Auto-trading - ${isProfitable ? 'Profit' : 'Loss'}`,
-        metadata: {
-          tradeType: isProfitable ? 'profit' : 'loss',
-          profit: isProfitable ? profit : null,
-          loss: !isProfitable ? Math.abs(profit) : null,
-          capital: user.trading.capital
-        },
-        status: 'completed'
-      });
-
-      // Log the trade
-      await AuditLog.createLog({
-        user: user._id,
-        action: 'trading_profit',
-        entityType: 'transaction',
-        entityId: transaction._id,
-        description: `Trading robot executed: ${isProfitable ? 'Profit' : 'Loss'} $${Math.abs(profit).toFixed(2)}`,
-        metadata: {
-          capital: user.trading.capital,
-          profit: user.trading.profit
+      const tradeAmount = money.multiply(user.trading.capital, String(0.01 + Math.random() * 0.05), 'USD', ROUNDING.CALCULATION); // 1-5% of capital
+      const amount = isProfitable
+        ? money.multiply(tradeAmount, String(0.02 + Math.random() * 0.08), 'USD', ROUNDING.CALCULATION)
+        : money.multiply(tradeAmount, '0.02', 'USD', ROUNDING.CALCULATION);
+
+      // Too small to move a cent
+      if (money.isZero(amount, 'USD')) continue;
+
+      // Apply the trade and record it in one database transaction
+      const transaction = await withTransaction(async (session) => {
+        let updated;
+
+        if (isProfitable) {
+          // Add to profit
+          updated = await User.findOneAndUpdate(
+            { _id: user._id },
+            { $inc: { 'trading.profit': money.toDecimal128(amount, 'USD') } },
+            { session, new: true }
+          );
+        } else {
+          // Deduct from capital, never below zero
+          const loss = money.compare(amount, user.trading.capital, 'USD') < 0 ? amount : user.trading.capital;
+          updated = await User.findOneAndUpdate(
+            { _id: user._id, 'trading.capital': { $gte: money.toDecimal128(loss, 'USD') } },
+            { $inc: { 'trading.capital': money.toDecimal128(`-${loss}`, 'USD') } },
+            { session, new: true }
+          );
         }
-      });
 
-      logger.info(`Trading robot for user ${user.username}: ${isProfitable ? 'Profit' : 'Loss'} $${Math.abs(profit).toFixed(2)}`);
+        // Capital changed since it was read; skip this round
+        if (!updated) return null;
 
-      // Create notification for significant profits
-      if (isProfitable && profit > 50) {
-        await Notification.create({
+        // Create transaction record
+        const transaction = await new Transaction({
           user: user._id,
           type: 'trading',
-          title: 'Trading Profit',
-          message: `Your trading robot generated $${profit.toFixed(2)} profit`,
-          data: {
-            transactionId: transaction._id,
-            amount: profit
+          currency: 'USD',
+          amount,
+          description: `Auto-trading - ${isProfitable ? 'Profit' : 'Loss'}`,
+          metadata: {
+            tradeType: isProfitable ? 'profit' : 'loss',
+            profit: isProfitable ? amount : null,
+            loss: !isProfitable ? amount : null,
+            capital: updated.trading.capital
           },
-          priority: 'normal'
-        });
-      }
+          status: 'completed'
+        }).save({ session });
+
+        // Log the trade
+        await AuditLog.createLog({
+          user: user._id,
+          action: 'trading_profit',
+          entityType: 'transaction',
+          entityId: transaction._id,
+          description: `Trading robot executed: ${isProfitable ? 'Profit' : 'Loss'} $${amount}`,
+          metadata: {
+            capital: updated.trading.capital,
+            profit: updated.trading.profit
+          }
+        }, { session });
+
+        // Create notification for significant profits
+        if (isProfitable && money.compare(amount, '50', 'USD') > 0) {
+          await new Notification({
+            user: user._id,
+            type: 'trading',
+            title: 'Trading Profit',
+            message: `Your trading robot generated $${amount} profit`,
+            data: {
+              transactionId: transaction._id,
+              amount
+            },
+            priority: 'normal'
+          }).save({ session });
+        }
+
+        return transaction;
+      });
+
+      if (!transaction) continue;
+
+      logger.info(`Trading robot for user ${user.username}: ${isProfitable ? 'Profit' : 'Loss'} $${amount}`);
 
     } catch (error) {
       logger.error(`Error executing trading robot for user ${user._id}:`, error);
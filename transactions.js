@@ -4,92 +4,201 @@
 
 const express = require('express');
 const router = express.Router();
-const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
 const AuditLog = require('../models/AuditLog');
 const Notification = require('../models/Notification');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope, requireVerifiedEmail, requireStepUp } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const { idempotent, saveResponse, IdempotencyError } = require('../middleware/idempotency');
 const { logger } = require('../middleware/logger');
+const ledgerService = require('../services/ledgerService');
+const holdService = require('../services/holdService');
+const internationalTransferService = require('../services/internationalTransferService');
+const paymentService = require('../services/paymentService');
+const { withTransaction } = require('../utils/dbTransaction');
+const money = require('../utils/money');
+const { ROUNDING } = require('../config/currencies');
 
 // @route   POST /api/transactions/send
-// @desc    Send money
+// @desc    Send money to another user (by username, email, phone or account number), or to a bank
 // @access  Private
-router.post('/send', protect, validate(schemas.sendMoney), async (req, res) => {
+router.post('/send', protect, requireScope('transactions:write'), requireVerifiedEmail, validate(schemas.sendMoney), requireStepUp('send_money'), idempotent, async (req, res) => {
   try {
-    const { currency, amount, recipient, bank, reference } = req.body;
-    const user = await User.findById(req.user._id);
+    const { currency, amount, recipient, recipientType, bank, reference, fromAccountId } = req.body;
 
-    // Check if user has sufficient balance
-    if (user.balances[currency] < amount) {
-      return res.status(400).json({
+    // Without a bank the recipient is a user of the platform
+    const payee = !bank && await paymentService.findRecipient(recipient, recipientType);
+
+    if (!bank && !payee) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'INSUFFICIENT_BALANCE',
-          message: 'Insufficient balance for this transaction'
+          code: 'RECIPIENT_NOT_FOUND',
+          message: `No user found for ${recipient}`
         }
       });
     }
 
-    // Deduct from user's balance
-    user.balances[currency] -= amount;
-    await user.save();
+    // Success response, stored for the Idempotency-Key with the money movement
+    const respond = async (transaction, session) => {
+      const response = {
+        success: true,
+        message: 'Transaction successful',
+        data: {
+          transactionId: transaction._id,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          status: transaction.status,
+          timestamp: transaction.createdAt
+        }
+      };
+      await saveResponse(req, 200, response, session);
 
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: user._id,
-      type: 'send',
-      currency,
-      amount,
-      recipient: {
-        name: recipient,
-        account: recipient,
-        bank: bank
-      },
-      reference,
-      status: 'completed'
-    });
+      return response;
+    };
+
+    // Move the money and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      if (payee) {
+        const { sent, received } = await paymentService.sendToUser({
+          sender: req.user,
+          recipient: payee,
+          identifier: recipient,
+          currency,
+          amount,
+          fromAccountId,
+          description: reference,
+          session
+        });
+
+        await new Notification({
+          user: req.user._id,
+          type: 'transaction',
+          title: 'Money Sent',
+          message: `You sent ${amount} ${currency} to ${recipient}`,
+          data: {
+            transactionId: sent._id,
+            currency,
+            amount
+          },
+          priority: 'normal'
+        }).save({ session });
+
+        await new Notification({
+          user: payee.user._id,
+          type: 'transaction',
+          title: 'Money Received',
+          message: `You received ${amount} ${currency} from ${req.user.fullName}`,
+          data: {
+            transactionId: received._id,
+            currency,
+            amount
+          },
+          priority: 'normal'
+        }).save({ session });
+
+        await AuditLog.createLog({
+          user: req.user._id,
+          action: 'send_money',
+          entityType: 'transaction',
+          entityId: sent._id,
+          description: `Sent ${amount} ${currency} to user ${payee.user.username} (${sent.reference})`,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }, { session });
+
+        await AuditLog.createLog({
+          user: payee.user._id,
+          action: 'receive_money',
+          entityType: 'transaction',
+          entityId: received._id,
+          description: `Received ${amount} ${currency} from user ${req.user.username} (${received.reference})`,
+          metadata: {
+            senderTransaction: sent._id
+          }
+        }, { session });
+
+        return respond(sent, session);
+      }
+
+      // Otherwise the money leaves the platform for the recipient's bank
+      const transaction = new Transaction({
+        user: req.user._id,
+        type: 'send',
+        currency,
+        amount,
+        recipient: {
+          name: recipient,
+          account: recipient,
+          bank: bank
+        },
+        description: reference,
+        status: 'completed'
+      });
 
-    // Create notification
-    await Notification.create({
-      user: user._id,
-      type: 'transaction',
-      title: 'Money Sent',
-      message: `You sent ${amount} ${currency} to ${recipient}`,
-      data: {
-        transactionId: transaction._id,
+      // Post to the ledger, which deducts from the account's balance if it covers the amount
+      const postings = ledgerService.move(
+        ledgerService.userAccount(req.user._id, fromAccountId),
+        ledgerService.systemAccount('external_clearing'),
         currency,
         amount
-      },
-      priority: 'normal'
-    });
+      );
+      const entry = await ledgerService.post({
+        type: 'send',
+        transaction: transaction._id,
+        description: `Sent ${amount} ${currency} to ${recipient}`,
+        postings,
+        session
+      });
 
-    // Log the transaction
-    await AuditLog.createLog({
-      user: user._id,
-      action: 'send_money',
-      entityType: 'transaction',
-      entityId: transaction._id,
-      description: `Sent ${amount} ${currency} to ${recipient}`,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
+      transaction.journalEntry = entry._id;
+      transaction.fromAccount = postings[0].account;
+      await transaction.save({ session });
+
+      // Create notification
+      await new Notification({
+        user: req.user._id,
+        type: 'transaction',
+        title: 'Money Sent',
+        message: `You sent ${amount} ${currency} to ${recipient}`,
+        data: {
+          transactionId: transaction._id,
+          currency,
+          amount
+        },
+        priority: 'normal'
+      }).save({ session });
+
+      // Log the transaction
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'send_money',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Sent ${amount} ${currency} to ${recipient}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return respond(transaction, session);
     });
 
-    logger.info(`User ${user.username} sent ${amount} ${currency} to ${recipient}`);
+    logger.info(`User ${req.user.username} sent ${amount} ${currency} to ${recipient}`);
 
-    res.status(200).json({
-      success: true,
-      message: 'Transaction successful',
-      data: {
-        transactionId: transaction._id,
-        reference: transaction.reference,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        status: transaction.status,
-        timestamp: transaction.createdAt
-      }
-    });
+    res.status(200).json(response);
   } catch (error) {
+    if (error instanceof ledgerService.LedgerError || error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     logger.error('Send money error:', error);
     res.status(500).json({
       success: false,
@@ -104,69 +213,101 @@ router.post('/send', protect, validate(schemas.sendMoney), async (req, res) => {
 // @route   POST /api/transactions/receive
 // @desc    Receive money
 // @access  Private
-router.post('/receive', protect, validate(schemas.receiveMoney), async (req, res) => {
+router.post('/receive', protect, requireScope('transactions:write'), validate(schemas.receiveMoney), idempotent, async (req, res) => {
   try {
-    const { currency, amount, sender, reference } = req.body;
-    const user = await User.findById(req.user._id);
-
-    // Add to user's balance
-    user.balances[currency] += amount;
-    await user.save();
-
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: user._id,
-      type: 'receive',
-      currency,
-      amount,
-      sender: {
-        name: sender,
-        account: sender
-      },
-      reference,
-      status: 'completed'
-    });
+    const { currency, amount, sender, reference, toAccountId } = req.body;
+
+    // Move the money and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      // Create transaction record
+      const transaction = new Transaction({
+        user: req.user._id,
+        type: 'receive',
+        currency,
+        amount,
+        sender: {
+          name: sender,
+          account: sender
+        },
+        description: reference,
+        status: 'completed'
+      });
 
-    // Create notification
-    await Notification.create({
-      user: user._id,
-      type: 'transaction',
-      title: 'Money Received',
-      message: `You received ${amount} ${currency} from ${sender}`,
-      data: {
-        transactionId: transaction._id,
+      // Post to the ledger, which adds to the account's balance
+      const postings = ledgerService.move(
+        ledgerService.systemAccount('external_clearing'),
+        ledgerService.userAccount(req.user._id, toAccountId),
         currency,
         amount
-      },
-      priority: 'normal'
-    });
+      );
+      const entry = await ledgerService.post({
+        type: 'receive',
+        transaction: transaction._id,
+        description: `Received ${amount} ${currency} from ${sender}`,
+        postings,
+        session
+      });
 
-    // Log the transaction
-    await AuditLog.createLog({
-      user: user._id,
-      action: 'receive_money',
-      entityType: 'transaction',
-      entityId: transaction._id,
-      description: `Received ${amount} ${currency} from ${sender}`,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
+      transaction.journalEntry = entry._id;
+      transaction.toAccount = postings[1].account;
+      await transaction.save({ session });
+
+      // Create notification
+      await new Notification({
+        user: req.user._id,
+        type: 'transaction',
+        title: 'Money Received',
+        message: `You received ${amount} ${currency} from ${sender}`,
+        data: {
+          transactionId: transaction._id,
+          currency,
+          amount
+        },
+        priority: 'normal'
+      }).save({ session });
+
+      // Log the transaction
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'receive_money',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Received ${amount} ${currency} from ${sender}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      const response = {
+        success: true,
+        message: 'Payment received successfully',
+        data: {
+          transactionId: transaction._id,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          status: transaction.status,
+          timestamp: transaction.createdAt
+        }
+      };
+      await saveResponse(req, 200, response, session);
+
+      return response;
     });
 
-    logger.info(`User ${user.username} received ${amount} ${currency} from ${sender}`);
+    logger.info(`User ${req.user.username} received ${amount} ${currency} from ${sender}`);
 
-    res.status(200).json({
-      success: true,
-      message: 'Payment received successfully',
-      data: {
-        transactionId: transaction._id,
-        reference: transaction.reference,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        status: transaction.status,
-        timestamp: transaction.createdAt
-      }
-    });
+    res.status(200).json(response);
   } catch (error) {
+    if (error instanceof ledgerService.LedgerError || error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     logger.error('Receive money error:', error);
     res.status(500).json({
       success: false,
@@ -181,10 +322,9 @@ router.post('/receive', protect, validate(schemas.receiveMoney), async (req, res
 // @route   POST /api/transactions/transfer
 // @desc    Transfer between currencies
 // @access  Private
-router.post('/transfer', protect, validate(schemas.transfer), async (req, res) => {
+router.post('/transfer', protect, requireScope('transactions:write'), validate(schemas.transfer), idempotent, async (req, res) => {
   try {
-    const { fromCurrency, toCurrency, amount } = req.body;
-    const user = await User.findById(req.user._id);
+    const { fromCurrency, toCurrency, amount, fromAccountId, toAccountId } = req.body;
 
     if (fromCurrency === toCurrency) {
       return res.status(400).json({
@@ -196,17 +336,6 @@ router.post('/transfer', protect, validate(schemas.transfer), async (req, res) =
       });
     }
 
-    // Check if user has sufficient balance
-    if (user.balances[fromCurrency] < amount) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INSUFFICIENT_BALANCE',
-          message: 'Insufficient balance for this transfer'
-        }
-      });
-    }
-
     // Conversion rates (in production, fetch from external API)
     const conversionRates = {
       'USD-EUR': 0.92,
@@ -220,70 +349,115 @@ router.post('/transfer', protect, validate(schemas.transfer), async (req, res) =
     };
 
     const key = fromCurrency + '-' + toCurrency;
-    const rate = conversionRates[key] || 1;
-    const convertedAmount = amount * rate;
-
-    // Deduct from source currency
-    user.balances[fromCurrency] -= amount;
-    // Add to target currency
-    user.balances[toCurrency] += convertedAmount;
-    await user.save();
-
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: user._id,
-      type: 'transfer',
-      fromCurrency,
-      toCurrency,
-      amount,
-      convertedAmount,
-      exchangeRate: rate,
-      status: 'completed'
-    });
-
-    // Create notification
-    await Notification.create({
-      user: user._id,
-      type: 'transaction',
-      title: 'Transfer Completed',
-      message: `Transferred ${amount} ${fromCurrency} to ${convertedAmount.toFixed(2)} ${toCurrency}`,
-      data: {
-        transactionId: transaction._id,
-        fromCurrency,
-        toCurrency,
-        amount,
-        convertedAmount
-      },
-      priority: 'normal'
-    });
-
-    // Log the transaction
-    await AuditLog.createLog({
-      user: user._id,
-      action: 'transfer',
-      entityType: 'transaction',
-      entityId: transaction._id,
-      description: `Transferred ${amount} ${fromCurrency} to ${convertedAmount.toFixed(2)} ${toCurrency}`,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
-    });
+    const rate = String(conversionRates[key] || 1);
+    const convertedAmount = money.convert(amount, rate, fromCurrency, toCurrency, ROUNDING.FX);
 
-    logger.info(`User ${user.username} transferred ${amount} ${fromCurrency} to ${convertedAmount.toFixed(2)} ${toCurrency}`);
+    if (money.isZero(convertedAmount, toCurrency)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'AMOUNT_TOO_SMALL',
+          message: `Amount is too small to convert to ${toCurrency}`
+        }
+      });
+    }
 
-    res.status(200).json({
-      success: true,
-      message: 'Transfer successful',
-      data: {
-        transactionId: transaction._id,
+    // Move the money and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      // Create transaction record
+      const transaction = new Transaction({
+        user: req.user._id,
+        type: 'transfer',
+        currency: fromCurrency,
         fromCurrency,
         toCurrency,
         amount,
         convertedAmount,
         exchangeRate: rate,
-        timestamp: transaction.createdAt
-      }
+        status: 'completed'
+      });
+
+      // Post to the ledger: the source currency goes to the FX account,
+      // which pays out the target currency
+      const postings = [
+        ...ledgerService.move(ledgerService.userAccount(req.user._id, fromAccountId), ledgerService.systemAccount('fx'), fromCurrency, amount),
+        ...ledgerService.move(ledgerService.systemAccount('fx'), ledgerService.userAccount(req.user._id, toAccountId), toCurrency, convertedAmount)
+      ];
+      const entry = await ledgerService.post({
+        type: 'transfer',
+        transaction: transaction._id,
+        description: `Transferred ${amount} ${fromCurrency} to ${convertedAmount} ${toCurrency}`,
+        postings,
+        metadata: {
+          exchangeRate: rate
+        },
+        session
+      });
+
+      transaction.journalEntry = entry._id;
+      transaction.fromAccount = postings[0].account;
+      transaction.toAccount = postings[3].account;
+      await transaction.save({ session });
+
+      // Create notification
+      await new Notification({
+        user: req.user._id,
+        type: 'transaction',
+        title: 'Transfer Completed',
+        message: `Transferred ${amount} ${fromCurrency} to ${convertedAmount} ${toCurrency}`,
+        data: {
+          transactionId: transaction._id,
+          fromCurrency,
+          toCurrency,
+          amount,
+          convertedAmount
+        },
+        priority: 'normal'
+      }).save({ session });
+
+      // Log the transaction
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'transfer',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Transferred ${amount} ${fromCurrency} to ${convertedAmount} ${toCurrency}`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      const response = {
+        success: true,
+        message: 'Transfer successful',
+        data: {
+          transactionId: transaction._id,
+          fromCurrency,
+          toCurrency,
+          amount,
+          convertedAmount,
+          exchangeRate: rate,
+          timestamp: transaction.createdAt
+        }
+      };
+      await saveResponse(req, 200, response, session);
+
+      return response;
     });
+
+    logger.info(`User ${req.user.username} transferred ${amount} ${fromCurrency} to ${convertedAmount} ${toCurrency}`);
+
+    res.status(200).json(response);
   } catch (error) {
+    if (error instanceof ledgerService.LedgerError || error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
     logger.error('Transfer error:', error);
     res.status(500).json({
       success: false,
@@ -295,19 +469,153 @@ router.post('/transfer', protect, validate(schemas.transfer), async (req, res) =
   }
 });
 
+// @route   POST /api/transactions/move
+// @desc    Move money between two of the user's accounts in the same currency
+// @access  Private
+router.post('/move', protect, requireScope('transactions:write'), validate(schemas.moveBetweenAccounts), idempotent, async (req, res) => {
+  try {
+    const { fromAccountId, toAccountId, description } = req.body;
+
+    if (fromAccountId === toAccountId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SAME_ACCOUNT',
+          message: 'Cannot move money to the same account'
+        }
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      Account.findOne({ _id: fromAccountId, user: req.user._id }),
+      Account.findOne({ _id: toAccountId, user: req.user._id })
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_NOT_FOUND',
+          message: 'Account not found'
+        }
+      });
+    }
+
+    if (from.currency !== to.currency) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_CURRENCY_MISMATCH',
+          message: 'Both accounts must hold the same currency; use /transfer to convert'
+        }
+      });
+    }
+
+    const { currency } = from;
+    const amount = ledgerService.toAmount(req.body.amount, currency);
+
+    // Move the money and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      const transaction = new Transaction({
+        user: req.user._id,
+        type: 'account_move',
+        currency,
+        amount,
+        fromAccount: from._id,
+        toAccount: to._id,
+        description: description || `${from.name} to ${to.name}`,
+        status: 'completed'
+      });
+
+      // Both postings are the user's, so the total balance is unchanged
+      const entry = await ledgerService.post({
+        type: 'account_move',
+        transaction: transaction._id,
+        description: `Moved ${amount} ${currency} from ${from.name} to ${to.name}`,
+        postings: ledgerService.move(
+          ledgerService.userAccount(req.user._id, from._id),
+          ledgerService.userAccount(req.user._id, to._id),
+          currency,
+          amount
+        ),
+        session
+      });
+
+      transaction.journalEntry = entry._id;
+      await transaction.save({ session });
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'account_move',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Moved ${amount} ${currency} from ${from.name} to ${to.name}`,
+        metadata: {
+          fromAccount: from._id,
+          toAccount: to._id
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      const response = {
+        success: true,
+        message: 'Money moved successfully',
+        data: {
+          transactionId: transaction._id,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          currency,
+          fromAccountId: from._id,
+          toAccountId: to._id,
+          timestamp: transaction.createdAt
+        }
+      };
+      await saveResponse(req, 200, response, session);
+
+      return response;
+    });
+
+    logger.info(`User ${req.user.username} moved ${amount} ${currency} between accounts ${from._id} and ${to._id}`);
+
+    res.status(200).json(response);
+  } catch (error) {
+    // e.g. not enough available in the source account, or a frozen or closed account
+    if (error instanceof ledgerService.LedgerError || error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Move between accounts error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ACCOUNT_MOVE_FAILED',
+        message: 'Failed to move money between accounts'
+      }
+    });
+  }
+});
+
 // @route   GET /api/transactions/history
 // @desc    Get transaction history
 // @access  Private
-router.get('/history', protect, async (req, res) => {
+router.get('/history', protect, requireScope('transactions:read'), async (req, res) => {
   try {
-    const { limit = 20, offset = 0, type, status, currency } = req.query;
+    const { limit = 20, offset = 0, type, status, currency, accountId } = req.query;
 
     const transactions = await Transaction.getUserTransactions(req.user._id, {
       limit: parseInt(limit),
       offset: parseInt(offset),
       type,
       status,
-      currency
+      currency,
+      accountId
     });
 
     const total = await Transaction.countDocuments({ user: req.user._id });
@@ -336,92 +644,232 @@ router.get('/history', protect, async (req, res) => {
 // @route   POST /api/transactions/international
 // @desc    International transfer via SWIFT
 // @access  Private
-router.post('/international', protect, async (req, res) => {
+router.post('/international', protect, requireScope('transactions:write'), requireVerifiedEmail, validate(schemas.international), requireStepUp('international_transfer'), idempotent, async (req, res) => {
   try {
-    const { currency, amount, swiftCode, iban, bankName, country, recipientName } = req.body;
-    const user = await User.findById(req.user._id);
+    const { currency, amount, swiftCode, iban, accountNumber, bankName, country, recipientName, fromAccountId } = req.body;
+
+    // Reserve the money and record it in one database transaction
+    const response = await withTransaction(async (session) => {
+      // Create transaction record
+      const transaction = new Transaction({
+        user: req.user._id,
+        type: 'send',
+        currency,
+        amount,
+        recipient: {
+          name: recipientName,
+          account: iban || accountNumber
+        },
+        internationalTransfer: {
+          swiftCode,
+          iban,
+          accountNumber,
+          bankName,
+          country,
+          status: 'created'
+        },
+        status: 'processing'
+      });
 
-    // Check if user has sufficient balance
-    if (user.balances[currency] < amount) {
-      return res.status(400).json({
+      // Hold the funds until services/internationalTransferService.js submits
+      // the transfer, which captures the hold into suspense
+      const hold = await holdService.placeHold({
+        userId: req.user._id,
+        accountId: fromAccountId,
+        currency,
+        amount,
+        description: `International transfer of ${amount} ${currency} to ${recipientName} (${swiftCode})`,
+        entryType: 'international',
+        settlementAccount: 'suspense',
+        transaction: transaction._id,
+        session
+      });
+
+      transaction.hold = hold._id;
+      transaction.fromAccount = hold.account;
+      await transaction.save({ session });
+
+      // Create notification
+      await new Notification({
+        user: req.user._id,
+        type: 'transaction',
+        title: 'International Transfer Initiated',
+        message: `Your international transfer of ${amount} ${currency} to ${recipientName} is being processed`,
+        data: {
+          transactionId: transaction._id,
+          currency,
+          amount,
+          swiftCode
+        },
+        priority: 'high'
+      }).save({ session });
+
+      // Log the transaction
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'send_money',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Initiated international transfer: ${amount} ${currency} to ${recipientName} (${swiftCode})`,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      const response = {
+        success: true,
+        message: 'International transfer initiated successfully',
+        data: {
+          transactionId: transaction._id,
+          reference: transaction.reference,
+          amount: transaction.amount,
+          currency: transaction.currency,
+          status: transaction.status,
+          holdId: transaction.hold,
+          estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+        }
+      };
+      await saveResponse(req, 200, response, session);
+
+      return response;
+    });
+
+    logger.info(`User ${req.user.username} initiated international transfer: ${amount} ${currency} to ${recipientName}`);
+
+    res.status(200).json(response);
+  } catch (error) {
+    if (error instanceof ledgerService.LedgerError || error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({
         success: false,
         error: {
-          code: 'INSUFFICIENT_BALANCE',
-          message: 'Insufficient balance for this transfer'
+          code: error.code,
+          message: error.message
         }
       });
     }
 
-    // Deduct from user's balance
-    user.balances[currency] -= amount;
-    await user.save();
-
-    // Create transaction record
-    const transaction = await Transaction.create({
-      user: user._id,
-      type: 'send',
-      currency,
-      amount,
-      recipient: {
-        name: recipientName,
-        account: iban
-      },
-      internationalTransfer: {
-        swiftCode,
-        iban,
-        bankName,
-        country
-      },
-      status: 'processing'
+    logger.error('International transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNATIONAL_TRANSFER_FAILED',
+        message: 'Failed to initiate international transfer'
+      }
     });
+  }
+});
 
-    // Create notification
-    await Notification.create({
-      user: user._id,
-      type: 'transaction',
-      title: 'International Transfer Initiated',
-      message: `Your international transfer of ${amount} ${currency} to ${recipientName} is being processed`,
-      data: {
-        transactionId: transaction._id,
-        currency,
-        amount,
-        swiftCode
-      },
-      priority: 'high'
-    });
+// @route   POST /api/transactions/:id/cancel
+// @desc    Cancel a pending or processing transaction and release its held funds
+// @access  Private
+router.post('/:id/cancel', protect, requireScope('transactions:write'), validate(schemas.cancelTransaction), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const existing = await Transaction.findOne({ _id: req.params.id, user: req.user._id });
 
-    // Log the transaction
-    await AuditLog.createLog({
-      user: user._id,
-      action: 'send_money',
-      entityType: 'transaction',
-      entityId: transaction._id,
-      description: `Initiated international transfer: ${amount} ${currency} to ${recipientName} (${swiftCode})`,
-      ipAddress: req.ip,
-      userAgent: req.get('user-agent')
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TRANSACTION_NOT_FOUND',
+          message: 'Transaction not found'
+        }
+      });
+    }
+
+    const transaction = await withTransaction(async (session) => {
+      // International transfers can only be cancelled before they are submitted
+      const transaction = await Transaction.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: { $in: ['pending', 'processing'] },
+          'internationalTransfer.status': { $in: ['created', null] }
+        },
+        {
+          $set: {
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            cancelReason: reason,
+            ...(existing.internationalTransfer.swiftCode && { 'internationalTransfer.status': 'cancelled' })
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!transaction) return null;
+
+      if (transaction.hold) {
+        await holdService.releaseHold(transaction.hold, { reason: `Cancelled by user: ${reason}`, session });
+      } else if (transaction.type === 'send') {
+        // Made before holds existed: the amount was debited when it was sent
+        await internationalTransferService.refundUnheldTransfer(transaction, `Cancelled by user: ${reason}`, session);
+      }
+
+      await new Notification({
+        user: req.user._id,
+        type: 'transaction',
+        title: 'Transaction Cancelled',
+        message: `Your transaction of ${transaction.amount} ${transaction.currency} (${transaction.reference}) was cancelled`,
+        data: {
+          transactionId: transaction._id,
+          currency: transaction.currency,
+          amount: transaction.amount
+        },
+        priority: 'normal'
+      }).save({ session });
+
+      await AuditLog.createLog({
+        user: req.user._id,
+        action: 'transaction_cancel',
+        entityType: 'transaction',
+        entityId: transaction._id,
+        description: `Cancelled ${transaction.type} of ${transaction.amount} ${transaction.currency} (${transaction.reference}): ${reason}`,
+        metadata: {
+          previousStatus: existing.status,
+          holdId: transaction.hold,
+          reason
+        },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      }, { session });
+
+      return transaction;
     });
 
-    logger.info(`User ${user.username} initiated international transfer: ${amount} ${currency} to ${recipientName}`);
+    if (!transaction) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TRANSACTION_NOT_CANCELLABLE',
+          message: `Only pending or processing transactions that have not been sent on can be cancelled; this one is ${existing.status}`
+        }
+      });
+    }
+
+    logger.info(`User ${req.user.username} cancelled transaction ${transaction.reference}`);
 
     res.status(200).json({
       success: true,
-      message: 'International transfer initiated successfully',
-      data: {
-        transactionId: transaction._id,
-        reference: transaction.reference,
-        amount: transaction.amount,
-        currency: transaction.currency,
-        status: transaction.status,
-        estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
-      }
+      message: 'Transaction cancelled',
+      data: transaction
     });
   } catch (error) {
-    logger.error('International transfer error:', error);
+    // e.g. the hold was released or captured meanwhile
+    if (error instanceof ledgerService.LedgerError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: {
+          code: error.code,
+          message: error.message
+        }
+      });
+    }
+
+    logger.error('Cancel transaction error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'INTERNATIONAL_TRANSFER_FAILED',
-        message: 'Failed to initiate international transfer'
+        code: 'CANCEL_FAILED',
+        message: 'Failed to cancel transaction'
       }
     });
   }
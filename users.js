@@ -5,15 +5,16 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Session = require('../models/Session');
 const AuditLog = require('../models/AuditLog');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope, requireSession, requireStepUp } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 const { logger } = require('../middleware/logger');
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
-router.get('/profile', protect, async (req, res) => {
+router.get('/profile', protect, requireScope('profile:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
 
@@ -23,6 +24,7 @@ router.get('/profile', protect, async (req, res) => {
         username: user.username,
         email: user.email,
         role: user.role,
+        permissions: user.permissions,
         profile: user.profile,
         settings: user.settings,
         createdAt: user.createdAt
@@ -43,7 +45,7 @@ router.get('/profile', protect, async (req, res) => {
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', protect, validate(schemas.updateProfile), async (req, res) => {
+router.put('/profile', protect, requireScope('profile:write'), validate(schemas.updateProfile), async (req, res) => {
   try {
     const { firstName, lastName, dateOfBirth, sex, country, phone } = req.body;
 
@@ -92,7 +94,7 @@ router.put('/profile', protect, validate(schemas.updateProfile), async (req, res
 // @route   PUT /api/users/settings
 // @desc    Update user notification settings
 // @access  Private
-router.put('/settings', protect, validate(schemas.updateSettings), async (req, res) => {
+router.put('/settings', protect, requireScope('profile:write'), validate(schemas.updateSettings), async (req, res) => {
   try {
     const { smsAlerts, emailAlerts, miningAlerts, tradingAlerts } = req.body;
 
@@ -136,24 +138,51 @@ router.put('/settings', protect, validate(schemas.updateSettings), async (req, r
   }
 });
 
+// Public view of an API key record (never includes the key or its hash)
+const formatApiKey = (key) => ({
+  keyId: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  ipAllowlist: key.ipAllowlist,
+  requireSignature: key.requireSignature,
+  expiresAt: key.expiresAt,
+  createdAt: key.createdAt,
+  lastUsed: key.lastUsed,
+  isActive: key.isActive,
+  status: key.getStatus()
+});
+
 // @route   POST /api/users/api-keys
 // @desc    Generate API key
 // @access  Private
-router.post('/api-keys', protect, validate(schemas.createApiKey), async (req, res) => {
+router.post('/api-keys', protect, requireSession, validate(schemas.createApiKey), requireStepUp('api_key_create'), async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, scopes, expiresInDays, ipAllowlist, requireSignature } = req.body;
 
     const user = await User.findById(req.user._id);
 
     // Generate API key
-    const apiKey = user.generateApiKey(name);
+    const { key, signingSecret, apiKey } = user.generateApiKey(name, {
+      scopes,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+      ipAllowlist,
+      requireSignature
+    });
     await user.save();
 
     // Log the creation
     await AuditLog.createLog({
       user: user._id,
       action: 'api_key_create',
+      entityType: 'apiKey',
+      entityId: apiKey._id,
       description: `API key created: ${name}`,
+      metadata: {
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt
+      },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
@@ -162,10 +191,11 @@ router.post('/api-keys', protect, validate(schemas.createApiKey), async (req, re
 
     res.status(201).json({
       success: true,
-      message: 'API key generated successfully',
+      message: 'API key generated successfully. It will not be shown again.',
       data: {
-        apiKey,
-        name
+        apiKey: key,
+        signingSecret,
+        ...formatApiKey(apiKey)
       }
     });
   } catch (error) {
@@ -183,19 +213,12 @@ router.post('/api-keys', protect, validate(schemas.createApiKey), async (req, re
 // @route   GET /api/users/api-keys
 // @desc    Get all API keys
 // @access  Private
-router.get('/api-keys', protect, async (req, res) => {
+router.get('/api-keys', protect, requireSession, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
 
-    // Return API keys without the actual key value (for security)
-    const apiKeys = user.apiKeys.map(key => ({
-      name: key.name,
-      createdAt: key.createdAt,
-      lastUsed: key.lastUsed,
-      isActive: key.isActive,
-      // Show partial key for identification
-      partialKey: key.key.substring(0, 8) + '...' + key.key.substring(key.key.length - 4)
-    }));
+    // Only hashes are stored, so keys are identified by their prefix
+    const apiKeys = user.apiKeys.map(formatApiKey);
 
     res.status(200).json({
       success: true,
@@ -213,19 +236,106 @@ router.get('/api-keys', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/api-keys/:keyId/rotate
+// @desc    Rotate API key; the old key keeps working for a grace period
+// @access  Private
+router.post('/api-keys/:keyId/rotate', protect, requireSession, validate(schemas.rotateApiKey), requireStepUp('api_key_create'), async (req, res) => {
+  try {
+    const { gracePeriodHours } = req.body;
+
+    const user = await User.findById(req.user._id);
+    const oldKey = user.apiKeys.id(req.params.keyId);
+
+    if (!oldKey || !oldKey.isUsable()) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'API_KEY_NOT_FOUND',
+          message: 'API key not found'
+        }
+      });
+    }
+
+    if (oldKey.rotatedAt) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'API_KEY_ALREADY_ROTATED',
+          message: 'API key has already been rotated'
+        }
+      });
+    }
+
+    // New key inherits the old key's name, scopes, allowlist, expiry and signing requirement
+    const { key, signingSecret, apiKey } = user.generateApiKey(oldKey.name, {
+      scopes: oldKey.scopes,
+      expiresAt: oldKey.expiresAt,
+      ipAllowlist: oldKey.ipAllowlist,
+      requireSignature: oldKey.requireSignature
+    });
+
+    const graceEndsAt = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+    oldKey.rotatedAt = new Date();
+    oldKey.replacedBy = apiKey._id;
+    if (!oldKey.expiresAt || oldKey.expiresAt > graceEndsAt) {
+      oldKey.expiresAt = graceEndsAt;
+    }
+    await user.save();
+
+    await AuditLog.createLog({
+      user: user._id,
+      action: 'api_key_rotate',
+      entityType: 'apiKey',
+      entityId: apiKey._id,
+      description: `API key rotated: ${oldKey.name}`,
+      metadata: {
+        oldPrefix: oldKey.prefix,
+        newPrefix: apiKey.prefix,
+        graceEndsAt: oldKey.expiresAt
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${user.username} rotated API key: ${oldKey.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated successfully. The new key will not be shown again.',
+      data: {
+        apiKey: key,
+        signingSecret,
+        ...formatApiKey(apiKey),
+        previousKey: formatApiKey(oldKey)
+      }
+    });
+  } catch (error) {
+    logger.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'API_KEY_ROTATE_FAILED',
+        message: 'Failed to rotate API key'
+      }
+    });
+  }
+});
+
 // @route   DELETE /api/users/api-keys/:name
-// @desc    Delete API key
+// @desc    Delete API key (by name or key ID)
 // @access  Private
-router.delete('/api-keys/:name', protect, async (req, res) => {
+router.delete('/api-keys/:name', protect, requireSession, async (req, res) => {
   try {
     const { name } = req.params;
 
     const user = await User.findById(req.user._id);
 
-    // Find and deactivate the API key
-    const apiKeyIndex = user.apiKeys.findIndex(key => key.name === name);
-    
-    if (apiKeyIndex === -1) {
+    // Find and deactivate the matching API keys
+    const apiKeys = user.apiKeys.filter(key =>
+      key.isActive && (key.name === name || key._id.toString() === name)
+    );
+
+    if (apiKeys.length === 0) {
       return res.status(404).json({
         success: false,
         error: {
@@ -235,14 +345,20 @@ router.delete('/api-keys/:name', protect, async (req, res) => {
       });
     }
 
-    user.apiKeys[apiKeyIndex].isActive = false;
+    apiKeys.forEach(key => {
+      key.isActive = false;
+    });
     await user.save();
 
     // Log the deletion
     await AuditLog.createLog({
       user: user._id,
       action: 'api_key_delete',
+      entityType: 'apiKey',
       description: `API key deleted: ${name}`,
+      metadata: {
+        prefixes: apiKeys.map(key => key.prefix)
+      },
       ipAddress: req.ip,
       userAgent: req.get('user-agent')
     });
@@ -265,4 +381,121 @@ router.delete('/api-keys/:name', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/sessions
+// @desc    Get active sessions and devices
+// @access  Private
+router.get('/sessions', protect, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        sessionId: session._id,
+        device: session.device,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        impersonated: session.isImpersonation(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSIONS_FETCH_FAILED',
+        message: 'Failed to fetch sessions'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', protect, requireSession, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'session_revoke',
+      entityType: 'session',
+      description: `Revoked ${result.modifiedCount} other session(s)`,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${req.user.username} revoked ${result.modifiedCount} other session(s)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'All other sessions revoked successfully',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_FAILED',
+        message: 'Failed to revoke sessions'
+      }
+    });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:sessionId
+// @desc    Revoke a session
+// @access  Private
+router.delete('/sessions/:sessionId', protect, requireSession, async (req, res) => {
+  try {
+    const result = await Session.updateOne(
+      { _id: req.params.sessionId, user: req.user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'user_revoked' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found'
+        }
+      });
+    }
+
+    await AuditLog.createLog({
+      user: req.user._id,
+      action: 'session_revoke',
+      entityType: 'session',
+      entityId: req.params.sessionId,
+      description: 'Session revoked',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    logger.info(`User ${req.user.username} revoked session ${req.params.sessionId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SESSION_REVOKE_FAILED',
+        message: 'Failed to revoke session'
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Signed in as alice on her current session
+const mockUser = { _id: new mongoose.Types.ObjectId(), username: 'alice' };
+const mockSession = { _id: new mongoose.Types.ObjectId() };
+
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    req.authSession = mockSession;
+    next();
+  }
+}));
+jest.mock('../models/AuditLog', () => ({ createLog: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const userRoutes = require('./users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+describe('session management', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    AuditLog.createLog.mockReset();
+  });
+
+  describe('GET /api/users/sessions', () => {
+    it('lists active sessions with their device, marking the current one', async () => {
+      const other = new Session({
+        user: mockUser._id,
+        currentTokenId: 'token-2',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1'
+      });
+      const current = new Session({ _id: mockSession._id, user: mockUser._id, currentTokenId: 'token-1', expiresAt: new Date(Date.now() + 60 * 1000) });
+      jest.spyOn(Session, 'getActiveSessions').mockResolvedValue([other, current]);
+
+      const res = await request(app).get('/api/users/sessions');
+
+      expect(res.status).toBe(200);
+      expect(Session.getActiveSessions).toHaveBeenCalledWith(mockUser._id);
+      expect(res.body.data.map(session => session.current)).toEqual([false, true]);
+      expect(res.body.data[0].device).toEqual({ browser: 'Safari', os: 'iOS', type: 'mobile' });
+      expect(res.body.data[0]).not.toHaveProperty('currentTokenId');
+    });
+  });
+
+  describe('DELETE /api/users/sessions/:sessionId', () => {
+    it('revokes one of the user\'s own sessions', async () => {
+      const sessionId = new mongoose.Types.ObjectId().toString();
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const res = await request(app).delete(`/api/users/sessions/${sessionId}`);
+
+      expect(res.status).toBe(200);
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: sessionId, user: mockUser._id, revokedAt: { $exists: false } },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'user_revoked' } }
+      );
+      expect(AuditLog.createLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'session_revoke', entityId: sessionId }));
+    });
+
+    it('does not find sessions of other users, or ones already revoked', async () => {
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const res = await request(app).delete(`/api/users/sessions/${new mongoose.Types.ObjectId()}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('SESSION_NOT_FOUND');
+      expect(AuditLog.createLog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/users/sessions', () => {
+    it('revokes every other session, keeping the current one', async () => {
+      jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 3 });
+
+      const res = await request(app).delete('/api/users/sessions');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.revoked).toBe(3);
+      expect(Session.revokeAllForUser).toHaveBeenCalledWith(mockUser._id, 'user_revoked', mockSession._id);
+    });
+  });
+});
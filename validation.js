@@ -4,6 +4,41 @@
  */
 
 const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { ACCOUNT_TYPES, ADJUSTMENT_REASONS, PAYMENT_FREQUENCIES } = require('../config/ledger');
+const { CURRENCIES } = require('../config/currencies');
+const money = require('../utils/money');
+const international = require('../utils/internationalValidation');
+
+// Money amount: a positive decimal string (or number) with no more decimal places
+// than its currency allows, converted to a canonical decimal string ("12.50").
+// Strings are tried first so they are never rounded through a float.
+// The currency is fixed (`currency`) or taken from a sibling key (`currencyKey`).
+const moneyAmount = ({ currency, currencyKey = 'currency' } = {}) => Joi.alternatives()
+  .try(Joi.string().trim().pattern(/^\d+(\.\d+)?$/), Joi.number())
+  .custom((value, helpers) => {
+    const code = currency || helpers.state.ancestors[0][currencyKey];
+
+    // An unsupported currency is reported by the currency field itself
+    if (!money.isSupported(code)) return value;
+
+    let minor;
+    try {
+      minor = money.toMinor(value, code);
+    } catch (error) {
+      return helpers.message(`{{#label}} must have at most ${money.getDecimals(code)} decimal places for ${code}`);
+    }
+
+    if (minor <= 0n) {
+      return helpers.message('{{#label}} must be a positive amount');
+    }
+
+    return money.fromMinor(minor, code);
+  }, 'money amount')
+  .messages({ 'alternatives.match': '{{#label}} must be a number or a decimal string' });
+
+// MongoDB ObjectId as a 24-character hex string
+const objectId = () => Joi.string().hex().length(24);
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -49,31 +84,139 @@ const schemas = {
 
   login: Joi.object({
     email: Joi.string().email().required(),
-    password: Joi.string().required()
+    password: Joi.string().required(),
+    twoFactorCode: Joi.string().trim()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).required()
   }),
 
+  verifyEmail: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  // Two-factor schemas
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().required()
+  }),
+
+  stepUp: Joi.object({
+    password: Joi.string(),
+    code: Joi.string().trim()
+  }).xor('password', 'code'),
+
   // Transaction schemas
   sendMoney: Joi.object({
     currency: Joi.string().valid('USD', 'EUR', 'GBP', 'CNY', 'NGN').required(),
-    amount: Joi.number().positive().required(),
-    recipient: Joi.string().required(),
+    amount: moneyAmount().required(),
+    // A platform user unless `bank` is given; see services/paymentService.js
+    recipient: Joi.string().trim().required(),
+    recipientType: Joi.string().valid('username', 'email', 'phone', 'accountNumber'),
     bank: Joi.string().valid('commercial', 'microfinance', 'palmpay', 'moniepoint', 'opay'),
-    reference: Joi.string()
+    reference: Joi.string(),
+    fromAccountId: objectId()
   }),
 
   receiveMoney: Joi.object({
     currency: Joi.string().valid('USD', 'EUR', 'GBP', 'CNY', 'NGN').required(),
-    amount: Joi.number().positive().required(),
+    amount: moneyAmount().required(),
     sender: Joi.string().required(),
-    reference: Joi.string()
+    reference: Joi.string(),
+    toAccountId: objectId()
   }),
 
   transfer: Joi.object({
     fromCurrency: Joi.string().valid('USD', 'EUR', 'GBP', 'CNY', 'NGN').required(),
     toCurrency: Joi.string().valid('USD', 'EUR', 'GBP', 'CNY', 'NGN').required(),
-    amount: Joi.number().positive().required()
+    amount: moneyAmount({ currencyKey: 'fromCurrency' }).required(),
+    fromAccountId: objectId(),
+    toAccountId: objectId()
   }),
 
+  // The currency comes from the accounts, so the amount is checked in the route
+  moveBetweenAccounts: Joi.object({
+    fromAccountId: objectId().required(),
+    toAccountId: objectId().required(),
+    amount: Joi.alternatives().try(Joi.string().trim(), Joi.number()).required(),
+    description: Joi.string().trim().max(140)
+  }),
+
+  // Beneficiary checks live in utils/internationalValidation.js
+  international: Joi.object({
+    currency: international.transferCurrency().required(),
+    amount: moneyAmount().required(),
+    country: international.countryCode().required(),
+    swiftCode: international.bic().required(),
+    iban: international.ibanForCountry(),
+    accountNumber: international.accountNumberForCountry(),
+    bankName: Joi.string().trim().max(100),
+    recipientName: Joi.string().trim().min(1).max(140).required(),
+    fromAccountId: objectId()
+  }),
+
+  // Standing orders; see services/scheduledPaymentService.js
+  createScheduledPayment: Joi.object({
+    currency: Joi.string().valid('USD', 'EUR', 'GBP', 'CNY', 'NGN').required(),
+    amount: moneyAmount().required(),
+    recipient: Joi.string().trim().required(),
+    recipientType: Joi.string().valid('username', 'email', 'phone', 'accountNumber'),
+    fromAccountId: objectId(),
+    description: Joi.string().trim().max(140),
+    frequency: Joi.string().valid(...PAYMENT_FREQUENCIES).required(),
+    startDate: Joi.date().iso().greater('now').required(),
+    // A one-off payment has nothing to end
+    endDate: Joi.when('frequency', {
+      is: 'once',
+      then: Joi.forbidden(),
+      otherwise: Joi.date().iso().greater(Joi.ref('startDate'))
+    }),
+    maxOccurrences: Joi.when('frequency', {
+      is: 'once',
+      then: Joi.forbidden(),
+      otherwise: Joi.number().integer().min(1).max(1000)
+    })
+  }),
+
+  updateScheduledPayment: Joi.object({
+    // Set from the order by the route, so the amount is checked in its currency
+    currency: Joi.string(),
+    amount: moneyAmount(),
+    fromAccountId: objectId(),
+    description: Joi.string().trim().max(140).allow(''),
+    endDate: Joi.date().iso().greater('now').allow(null),
+    maxOccurrences: Joi.number().integer().min(1).max(1000).allow(null),
+    status: Joi.string().valid('active', 'paused')
+  }).or('amount', 'fromAccountId', 'description', 'endDate', 'maxOccurrences', 'status'),
+
+  cancelTransaction: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // Account schemas
+  openAccount: Joi.object({
+    currency: Joi.string().valid(...CURRENCIES).required(),
+    name: Joi.string().trim().min(1).max(50).required(),
+    type: Joi.string().valid(...ACCOUNT_TYPES).default('current')
+  }),
+
+  // Confirmation of payee: who holds an account number or IBAN, and does the name match
+  lookupAccount: Joi.object({
+    accountNumber: Joi.string().trim(),
+    iban: Joi.string().trim().max(42),
+    name: Joi.string().trim().max(100)
+  }).xor('accountNumber', 'iban'),
+
+  updateAccount: Joi.object({
+    name: Joi.string().trim().min(1).max(50),
+    type: Joi.string().valid(...ACCOUNT_TYPES)
+  }).min(1),
+
   // Crypto schemas
   createWallet: Joi.object({
     currency: Joi.string().valid('BTC', 'TRX', 'TON', 'ETH').required(),
@@ -82,7 +225,7 @@ const schemas = {
 
   sendCrypto: Joi.object({
     currency: Joi.string().valid('BTC', 'TRX', 'TON', 'ETH').required(),
-    amount: Joi.number().positive().required(),
+    amount: moneyAmount().required(),
     recipientAddress: Joi.string().required()
   }),
 
@@ -99,7 +242,7 @@ const schemas = {
   placeTrade: Joi.object({
     pair: Joi.string().required(),
     type: Joi.string().valid('buy', 'sell').required(),
-    amount: Joi.number().positive().required()
+    amount: moneyAmount({ currency: 'USD' }).required()
   }),
 
   // User schemas
@@ -121,11 +264,53 @@ const schemas = {
 
   // API key schemas
   createApiKey: Joi.object({
-    name: Joi.string().required()
+    name: Joi.string().max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...Object.keys(API_KEY_SCOPES))).min(1).unique(),
+    expiresInDays: Joi.number().integer().min(1).max(365),
+    ipAllowlist: Joi.array().items(Joi.string().ip({ cidr: 'optional' })).max(20),
+    requireSignature: Joi.boolean()
+  }),
+
+  rotateApiKey: Joi.object({
+    gracePeriodHours: Joi.number().min(0).max(168).default(24)
+  }),
+
+  // Admin schemas
+  impersonate: Joi.object({
+    reason: Joi.string().trim().min(5).max(500).required(),
+    mode: Joi.string().valid('read_only', 'full').default('read_only')
+  }),
+
+  releaseHold: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // The new balance may be zero, so it is checked against the currency in the route
+  proposeAdjustment: Joi.object({
+    userId: Joi.string().hex().length(24).required(),
+    amount: Joi.alternatives().try(Joi.string().trim(), Joi.number()).required(),
+    reasonCode: Joi.string().valid(...Object.keys(ADJUSTMENT_REASONS)).required(),
+    note: Joi.string().trim().min(10).max(1000).required()
+  }),
+
+  rejectAdjustment: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // Without an amount the whole remaining amount is reversed; it is checked against the currency in the service
+  reverseTransaction: Joi.object({
+    amount: Joi.alternatives().try(Joi.string().trim(), Joi.number()),
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  updateAccountStatus: Joi.object({
+    status: Joi.string().valid('active', 'frozen').required(),
+    reason: Joi.string().trim().min(3).max(500).required()
   })
 };
 
 module.exports = {
   validate,
-  schemas
+  schemas,
+  moneyAmount
 };
\ No newline at end of file